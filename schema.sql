@@ -5,14 +5,27 @@ CREATE TABLE IF NOT EXISTS posts (
   image_url TEXT,
   image_sensitive BOOLEAN DEFAULT 0,
   is_pinned BOOLEAN DEFAULT 0,
+  author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'published',  -- draft, scheduled, published
+  visibility TEXT NOT NULL DEFAULT 'public',  -- public, unlisted（URLを知っている人のみ）, private（管理画面と共有リンクのみ）
+  publish_at DATETIME,  -- 予約投稿の公開日時（UTC）
+  deleted_at DATETIME,  -- ゴミ箱に移動した日時（NULLの場合は通常の投稿）
+  parent_id TEXT REFERENCES posts(id) ON DELETE SET NULL,  -- スレッドの直前の投稿
+  thread_root_id TEXT,  -- スレッドの最初の投稿（NULLの場合はスレッドの先頭または単独の投稿）
+  quote_post_id TEXT,  -- 引用した投稿（引用元が削除されても参照を残すため外部キーにしない）
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 1  -- 更新のたびに1増える（ETag・同時編集の検出に使う）
 );
 
 -- タグテーブル
 CREATE TABLE IF NOT EXISTS tags (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT UNIQUE NOT NULL
+  name TEXT UNIQUE NOT NULL COLLATE NOCASE,  -- 大文字・小文字だけが異なるタグは作れない
+  parent_id INTEGER,  -- 「dev/cloudflare」の親は「dev」
+  description TEXT,
+  color TEXT,  -- #RRGGBB
+  FOREIGN KEY (parent_id) REFERENCES tags(id) ON DELETE SET NULL
 );
 
 -- 投稿-タグ関連テーブル
@@ -34,9 +47,184 @@ CREATE TABLE IF NOT EXISTS likes (
   UNIQUE(post_id, ip_hash)
 );
 
+-- APIトークンテーブル（トークン本体はSHA-256ハッシュで保存）
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_prefix TEXT NOT NULL,  -- 一覧表示用のトークン先頭部分
+  scopes TEXT NOT NULL,        -- カンマ区切り（read, write, upload, admin）
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME,
+  revoked_at DATETIME
+);
+
+-- ユーザーテーブル（role: owner, editor, author, viewer）
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL COLLATE NOCASE,
+  name TEXT,
+  picture TEXT,
+  role TEXT NOT NULL DEFAULT 'author',
+  invited_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME
+);
+
+-- パスキー（WebAuthn）テーブル
+CREATE TABLE IF NOT EXISTS passkeys (
+  id TEXT PRIMARY KEY,  -- credential ID（base64url）
+  user_id INTEGER NOT NULL,
+  name TEXT,
+  public_key TEXT NOT NULL,  -- JWK形式の公開鍵（JSON）
+  algorithm INTEGER NOT NULL,  -- COSEアルゴリズム（-7: ES256, -257: RS256）
+  sign_count INTEGER DEFAULT 0,
+  transports TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 投稿の編集履歴テーブル（作成・編集のたびに投稿の状態を保存）
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id TEXT NOT NULL,
+  content TEXT NOT NULL,
+  image_url TEXT,
+  image_sensitive BOOLEAN DEFAULT 0,
+  media TEXT,  -- 画像一覧（JSON配列: [{ url, alt_text, is_sensitive }]）
+  tags TEXT,  -- カンマ区切り
+  edited_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+);
+
+-- 投稿画像テーブル（1投稿につき最大4枚、position 順に表示）
+-- 1枚目の画像は posts.image_url / image_sensitive にも保存する（OGP・一覧のサムネイル用）
+CREATE TABLE IF NOT EXISTS post_media (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  alt_text TEXT,
+  is_sensitive BOOLEAN DEFAULT 0,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+);
+
+-- 非公開投稿の共有リンクテーブル（トークンはハッシュで保存し、有効期限を過ぎると無効）
+CREATE TABLE IF NOT EXISTS post_share_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_prefix TEXT NOT NULL,  -- 一覧表示用（トークンの先頭8文字）
+  expires_at DATETIME NOT NULL,
+  created_by TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+);
+
+-- 全文検索テーブル（FTS5）
+-- 日本語は単語の区切りが空白ではないため、3文字単位で索引を作る trigram トークナイザを使う
+-- posts.content の変更はトリガーで同期する
+CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(post_id UNINDEXED, content, tokenize = 'trigram');
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+  INSERT INTO posts_fts (post_id, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF content ON posts BEGIN
+  UPDATE posts_fts SET content = new.content WHERE post_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+  DELETE FROM posts_fts WHERE post_id = old.id;
+END;
+
+-- 監査ログテーブル（投稿の作成・編集・削除、ログインなどの操作履歴）
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor_email TEXT,
+  actor_type TEXT,      -- session, token, google, passkey, dev, system
+  action TEXT NOT NULL, -- post.create, post.update, auth.login など
+  target_post_id TEXT,  -- 投稿が削除されても履歴を残すため外部キーにしない
+  details TEXT,         -- 変更前後の差分などの概要（JSON）
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- インデックスの作成
 CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_posts_is_pinned ON posts(is_pinned);
 CREATE INDEX IF NOT EXISTS idx_post_tags_post_id ON post_tags(post_id);
 CREATE INDEX IF NOT EXISTS idx_post_tags_tag_id ON post_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_tags_parent_id ON tags(parent_id);
+-- 列の COLLATE NOCASE は作成済みのテーブルには付かないため、既存のデータベースでも大文字・小文字だけが異なるタグを作れないようにする
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name_nocase ON tags(name COLLATE NOCASE);
 CREATE INDEX IF NOT EXISTS idx_likes_post_id ON likes(post_id);
+CREATE INDEX IF NOT EXISTS idx_posts_author_id ON posts(author_id);
+CREATE INDEX IF NOT EXISTS idx_posts_status ON posts(status);
+CREATE INDEX IF NOT EXISTS idx_posts_visibility ON posts(visibility);
+CREATE INDEX IF NOT EXISTS idx_posts_publish_at ON posts(publish_at);
+CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_posts_thread_root_id ON posts(thread_root_id);
+CREATE INDEX IF NOT EXISTS idx_posts_quote_post_id ON posts(quote_post_id);
+CREATE INDEX IF NOT EXISTS idx_passkeys_user_id ON passkeys(user_id);
+CREATE INDEX IF NOT EXISTS idx_post_media_post_id ON post_media(post_id, position);
+CREATE INDEX IF NOT EXISTS idx_post_media_url ON post_media(url);
+CREATE INDEX IF NOT EXISTS idx_post_share_links_post_id ON post_share_links(post_id);
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target_post_id ON audit_log(target_post_id);
+
+-- ============================================================================
+-- 既存データベースの移行
+-- 以前のバージョンで作成済みのデータベースでは、schema.sql を再実行する前に以下を一度だけ実行してください
+-- ============================================================================
+
+-- ALTER TABLE posts ADD COLUMN author_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+-- ALTER TABLE posts ADD COLUMN status TEXT NOT NULL DEFAULT 'published';
+-- ALTER TABLE posts ADD COLUMN publish_at DATETIME;
+-- ALTER TABLE posts ADD COLUMN deleted_at DATETIME;
+-- ALTER TABLE posts ADD COLUMN parent_id TEXT REFERENCES posts(id) ON DELETE SET NULL;
+-- ALTER TABLE posts ADD COLUMN thread_root_id TEXT;
+-- ALTER TABLE posts ADD COLUMN quote_post_id TEXT;
+-- ALTER TABLE post_revisions ADD COLUMN media TEXT;
+-- ALTER TABLE posts ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+-- ALTER TABLE tags ADD COLUMN description TEXT;
+-- ALTER TABLE tags ADD COLUMN color TEXT;
+-- ALTER TABLE tags ADD COLUMN parent_id INTEGER REFERENCES tags(id) ON DELETE SET NULL;
+-- ALTER TABLE posts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+-- 大文字・小文字だけが異なるタグがあると idx_tags_name_nocase を作成できないため、管理画面の「🏷️ タグ」で統合しておいてください
+-- SELECT lower(name), group_concat(name) FROM tags GROUP BY lower(name) HAVING COUNT(*) > 1;
+
+-- 全文検索テーブルは schema.sql の実行後に、既存の投稿を一度だけ登録してください
+-- INSERT INTO posts_fts (post_id, content) SELECT id, content FROM posts;
+
+-- 画像テーブルは schema.sql の実行後に、既存の投稿の画像を1枚目の画像として一度だけ移行してください
+-- INSERT INTO post_media (post_id, url, is_sensitive, position)
+--   SELECT id, image_url, image_sensitive, 0 FROM posts WHERE image_url IS NOT NULL;
+
+-- 「/」を含む既存のタグは schema.sql の実行後に、親のタグを作成して parent_id を一度だけ設定してください
+-- （rtrim(name, replace(name, '/', '')) は最後の「/」までの部分。親のタグにも「/」があれば、さらに上の親も作成する）
+-- WITH RECURSIVE parents(name) AS (
+--   SELECT substr(name, 1, length(rtrim(name, replace(name, '/', ''))) - 1) FROM tags WHERE instr(name, '/') > 1
+--   UNION
+--   SELECT substr(name, 1, length(rtrim(name, replace(name, '/', ''))) - 1) FROM parents WHERE instr(name, '/') > 1
+-- )
+-- INSERT INTO tags (name)
+--   SELECT MIN(name) FROM parents
+--   WHERE NOT EXISTS (SELECT 1 FROM tags WHERE tags.name = parents.name COLLATE NOCASE)
+--   GROUP BY lower(name);
+-- UPDATE tags SET parent_id = (
+--   SELECT parent.id FROM tags parent
+--   WHERE parent.name = substr(tags.name, 1, length(rtrim(tags.name, replace(tags.name, '/', ''))) - 1) COLLATE NOCASE
+-- )
+-- WHERE parent_id IS NULL AND instr(name, '/') > 1;
+
+-- ユーザーテーブルより前に発行したAPIトークンは、発行者のユーザーがいないとすべての権限を失います
+-- （当時トークンを発行できたのは ALLOWED_EMAIL のみ）schema.sql の実行後に、未登録の発行者を owner として一度だけ登録してください
+-- INSERT INTO users (email, role)
+--   SELECT DISTINCT lower(created_by), 'owner' FROM api_tokens
+--   WHERE created_by IS NOT NULL
+--     AND NOT EXISTS (SELECT 1 FROM users WHERE users.email = api_tokens.created_by COLLATE NOCASE);
@@ -2,6 +2,8 @@
  * Cloudflare Blog System - Main Worker
  */
 
+import { marked } from 'marked';
+
 // ============================================================================
 // Constants
 // ============================================================================
@@ -18,6 +20,145 @@ const BLOCKED_BOTS = [
   'Bytespider'
 ];
 
+// 認証なしで実行できる更新系APIルート
+const PUBLIC_WRITE_ROUTES = [
+  { method: 'POST', pattern: /^\/api\/like\/[^/]+$/ },
+  { method: 'POST', pattern: /^\/api\/passkeys\/login(\/options)?$/ }
+];
+
+// セッションの有効期間（秒）
+// 最終アクセスから SESSION_IDLE_TTL で失効し、ログインから SESSION_MAX_AGE を超えると再ログインが必要
+const SESSION_IDLE_TTL = 86400 * 7;
+const SESSION_MAX_AGE = 86400 * 30;
+const SESSION_REFRESH_INTERVAL = 3600;
+
+// OAuth state / PKCE verifier の有効期間（秒）
+const OAUTH_STATE_TTL = 600;
+
+// WebAuthn challenge の有効期間（秒）
+const WEBAUTHN_CHALLENGE_TTL = 300;
+
+// WebAuthn で受け付ける公開鍵アルゴリズム（COSE: -7 = ES256, -257 = RS256）
+const WEBAUTHN_ALGORITHMS = [-7, -257];
+
+// APIトークン
+const API_TOKEN_PREFIX = 'nct_';
+const API_TOKEN_SCOPES = ['read', 'write', 'upload', 'admin'];
+
+// ユーザーロールと許可されるスコープ
+// editor は全ての投稿を、author は自分の投稿のみを編集できる
+const ROLE_SCOPES = {
+  owner: ['read', 'write', 'upload', 'admin'],
+  editor: ['read', 'write', 'upload'],
+  author: ['read', 'write', 'upload'],
+  viewer: ['read']
+};
+const USER_ROLES = Object.keys(ROLE_SCOPES);
+
+// 自分のセッション・パスキーの管理に必要な認証（ロールに関係なく、ログイン中のブラウザのみ）
+const SESSION_ONLY_SCOPE = 'session';
+
+// 投稿の状態（draft と scheduled は管理画面でのみ表示される）
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
+// 投稿の公開範囲と表示名
+// unlisted は URL を知っている人のみ、private は管理画面のユーザーと共有リンクでのみ閲覧できる
+const POST_VISIBILITY_LABELS = {
+  public: '公開',
+  unlisted: '限定公開',
+  private: '非公開'
+};
+const POST_VISIBILITIES = Object.keys(POST_VISIBILITY_LABELS);
+
+// 非公開の投稿の共有リンクの有効期間（日）
+const SHARE_LINK_DEFAULT_DAYS = 7;
+const SHARE_LINK_MAX_DAYS = 30;
+
+// テキストspoiler（||テキスト||）と、クリックで表示できない場所での伏せ字
+const SPOILER_PATTERN = /\|\|(?=\S)([\s\S]*?\S)\|\|/g;
+const SPOILER_MASK = '■■■';
+
+// 全文検索（trigram トークナイザは3文字未満の語を検索できないため、その場合は LIKE で検索する）
+const SEARCH_MIN_TRIGRAM_LENGTH = 3;
+const SEARCH_MAX_TERMS = 10;
+const SEARCH_SNIPPET_LENGTH = 120;
+
+// フィード（RSS 2.0 / Atom / JSON Feed）に含める投稿数と形式
+const FEED_ITEM_LIMIT = 20;
+const FEED_FORMATS = {
+  rss: { path: 'feed.xml', name: 'RSS', type: 'application/rss+xml' },
+  atom: { path: 'atom.xml', name: 'Atom', type: 'application/atom+xml' },
+  json: { path: 'feed.json', name: 'JSON Feed', type: 'application/feed+json' }
+};
+
+// 画像の拡張子と MIME タイプ（フィードの添付ファイル用）
+const IMAGE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// タグページの1ページあたりの投稿数
+const TAG_PAGE_SIZE = 20;
+
+// タグ名・説明の最大文字数と色（#RRGGBB 形式）
+const TAG_NAME_MAX_LENGTH = 50;
+const TAG_DESCRIPTION_MAX_LENGTH = 500;
+const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// タグとその子孫のタグが付いた投稿IDを取得するサブクエリ（? に正規化したタグ名を指定する。大文字・小文字は区別しない）
+const TAGGED_POST_IDS_SQL = `
+  SELECT tree_pt.post_id FROM post_tags tree_pt
+  WHERE tree_pt.tag_id IN (
+    WITH RECURSIVE tag_tree(id) AS (
+      SELECT id FROM tags WHERE name = ? COLLATE NOCASE
+      UNION
+      SELECT tags.id FROM tags JOIN tag_tree ON tags.parent_id = tag_tree.id
+    )
+    SELECT id FROM tag_tree
+  )
+`;
+
+// 1投稿に添付できる画像の最大数
+const MAX_MEDIA_PER_POST = 4;
+
+// ゴミ箱の投稿を完全に削除するまでの日数（TRASH_RETENTION_DAYS で変更可能）
+const TRASH_RETENTION_DAYS = 30;
+
+// 監査ログの操作と表示名
+const AUDIT_ACTIONS = {
+  'post.create': '投稿作成',
+  'post.update': '投稿編集',
+  'post.trash': 'ゴミ箱へ移動',
+  'post.untrash': 'ゴミ箱から復元',
+  'post.delete': '完全に削除',
+  'post.pin': '固定',
+  'post.unpin': '固定解除',
+  'post.schedule': '予約設定',
+  'post.publish': '公開',
+  'post.restore': '版の復元',
+  'post.share': '共有リンク発行',
+  'post.unshare': '共有リンク削除',
+  'image.upload': '画像アップロード',
+  'tag.update': 'タグ編集',
+  'tag.merge': 'タグ統合',
+  'tag.delete': 'タグ削除',
+  'auth.login': 'ログイン',
+  'auth.login_denied': 'ログイン拒否',
+  'token.create': 'トークン発行',
+  'token.revoke': 'トークン失効',
+  'user.invite': 'ユーザー招待',
+  'user.update': 'ロール変更',
+  'user.delete': 'ユーザー削除',
+  'session.revoke': 'セッション失効',
+  'passkey.register': 'パスキー登録',
+  'passkey.delete': 'パスキー削除'
+};
+const AUDIT_TEXT_LENGTH = 200;
+const AUDIT_PAGE_SIZE = 50;
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -58,16 +199,23 @@ async function generateUniquePostId(db) {
 }
 
 /**
- * IPアドレスのハッシュを生成
+ * SHA-256ハッシュを16進文字列で生成
  */
-async function hashIP(ip) {
+async function sha256Hex(text) {
   const encoder = new TextEncoder();
-  const data = encoder.encode(ip);
+  const data = encoder.encode(text);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * IPアドレスのハッシュを生成
+ */
+async function hashIP(ip) {
+  return sha256Hex(ip);
+}
+
 /**
  * ブロック対象のボットかチェック
  */
@@ -107,7 +255,8 @@ function corsHeaders(origin, env) {
 
   const headers = {
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token, If-Match',
+    'Access-Control-Expose-Headers': 'ETag'
   };
 
   if (allowedOrigins.includes(origin)) {
@@ -143,13 +292,317 @@ function htmlResponse(html, status = 200, additionalHeaders = {}) {
   });
 }
 
+/**
+ * spoiler（||テキスト||）の中身を伏せ字にする（OGP・フィードなど、クリックで表示できない場所用）
+ */
+function maskSpoilers(text) {
+  return String(text ?? '').replace(SPOILER_PATTERN, SPOILER_MASK);
+}
+
+/**
+ * Markdown のリンク・画像のURLをHTML属性用にエスケープする（http(s)・mailto・相対URL以外は null）
+ */
+function sanitizeMarkdownURL(href) {
+  let url;
+  try {
+    url = encodeURI(href).replace(/%25/g, '%');
+  } catch (error) {
+    return null;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^(?:https?|mailto):/i.test(url)) {
+    return null;
+  }
+
+  return url.replace(/&/g, '&amp;');
+}
+
+/**
+ * 生のHTMLと危険なURLを出力しない marked のレンダラー（サーバーとブラウザで共通）
+ * 投稿本文は管理画面と同じオリジンで表示するため、Markdown 中のHTMLは文字列として表示する
+ */
+function createSafeMarkdownRenderer() {
+  return {
+    html(html) {
+      return escapeHTML(html);
+    },
+    link(href, title, text) {
+      const url = sanitizeMarkdownURL(href);
+      if (url === null) return text;
+      return '<a href="' + url + '"' + (title ? ' title="' + title + '"' : '') + '>' + text + '</a>';
+    },
+    image(href, title, text) {
+      const url = sanitizeMarkdownURL(href);
+      if (url === null) return text;
+      return '<img src="' + url + '" alt="' + text + '"' + (title ? ' title="' + title + '"' : '') + '>';
+    }
+  };
+}
+
+marked.use({ renderer: createSafeMarkdownRenderer() });
+
+/**
+ * ブラウザ側の marked の設定（安全なレンダラーと、||テキスト|| をクリックで表示する spoiler 拡張）
+ * marked.js を読み込んだ後に出力する
+ */
+function renderMarkdownScript() {
+  return `<script>
+    ${escapeHTML}
+    ${sanitizeMarkdownURL}
+    ${createSafeMarkdownRenderer}
+
+    marked.use({ renderer: createSafeMarkdownRenderer() });
+
+    function revealSpoiler(event, element) {
+      if (element.classList.contains('revealed')) return;
+
+      // リンク内の spoiler は、表示するまでリンクとして扱わない
+      event.preventDefault();
+      event.stopPropagation();
+      element.classList.add('revealed');
+    }
+
+    marked.use({
+      extensions: [{
+        name: 'spoiler',
+        level: 'inline',
+        start(src) {
+          return src.indexOf('||');
+        },
+        tokenizer(src) {
+          const match = new RegExp('^' + ${JSON.stringify(SPOILER_PATTERN.source)}).exec(src);
+          if (match) {
+            return { type: 'spoiler', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+          }
+        },
+        renderer(token) {
+          return '<span class="spoiler" title="クリックで表示" onclick="revealSpoiler(event, this)">' + this.parser.parseInline(token.tokens) + '</span>';
+        }
+      }]
+    });
+  </script>`;
+}
+
+/**
+ * 引用カードのスタイル（トップページ・投稿ページ・タグページで共通）
+ */
+function renderQuoteCardStyles() {
+  return `/* Quote */
+    .quote-card {
+      display: block;
+      margin-bottom: 16px;
+      padding: 12px 16px;
+      border: 1px solid var(--color-border);
+      border-radius: 8px;
+      color: inherit;
+      text-decoration: none;
+    }
+
+    .quote-card:hover {
+      background-color: var(--color-bg-secondary);
+    }
+
+    .quote-card .post-content {
+      max-height: 200px;
+      overflow: hidden;
+      margin-bottom: 0;
+    }
+
+    .quote-card img {
+      max-width: 100%;
+      max-height: 200px;
+      border-radius: 4px;
+      margin-top: 8px;
+    }
+
+    .quote-meta {
+      font-size: 13px;
+      color: var(--color-text-secondary);
+      margin-bottom: 4px;
+    }
+
+    .quote-deleted {
+      font-style: italic;
+      color: var(--color-text-secondary);
+    }`;
+}
+
+/**
+ * 引用カードの Alpine.js テンプレート
+ * name は引用元を持つ投稿の変数名（x-for の変数など）
+ */
+function renderQuoteCard(name) {
+  const quoted = `${name}.quoted_post`;
+  return `<template x-if="${quoted}">
+          <div>
+            <template x-if="${quoted}.deleted">
+              <div class="quote-card quote-deleted">引用元の投稿は削除されたか、非公開になりました</div>
+            </template>
+            <template x-if="!${quoted}.deleted">
+              <a :href="'/post/' + ${quoted}.id" class="quote-card">
+                <div class="quote-meta" x-text="(${quoted}.author_name ? ${quoted}.author_name + ' · ' : '') + formatTimestamp(${quoted}.created_at)"></div>
+                <div class="post-content" x-html="renderMarkdown(${quoted}.content)"></div>
+                <template x-if="${quoted}.image_url && !${quoted}.image_sensitive">
+                  <img :src="${quoted}.image_url" alt="引用元の画像">
+                </template>
+              </a>
+            </template>
+          </div>
+        </template>`;
+}
+
+/**
+ * 投稿画像ギャラリーの Alpine.js テンプレート（センシティブ画像はクリックで表示）
+ * name は media を持つ投稿の変数名（x-for の変数など）
+ */
+function renderGallery(name) {
+  return `<template x-if="${name}.media && ${name}.media.length > 0">
+          <div class="post-gallery" :class="'gallery-' + ${name}.media.length">
+            <template x-for="(image, index) in ${name}.media" :key="index">
+              <div class="post-image-container">
+                <img
+                  :src="image.url"
+                  :class="image.is_sensitive ? 'post-image spoiler-image' : 'post-image'"
+                  :id="'img-' + ${name}.id + '-' + index"
+                  @click="image.is_sensitive && revealImage('img-' + ${name}.id + '-' + index)"
+                  :alt="image.alt_text || '投稿画像'"
+                >
+                <template x-if="image.is_sensitive">
+                  <div class="spoiler-overlay">
+                    <div class="spoiler-warning">
+                      <p>⚠️ センシティブな内容</p>
+                      <p style="font-size: 14px; margin-top: 8px; opacity: 0.8;">クリックで表示</p>
+                    </div>
+                  </div>
+                </template>
+              </div>
+            </template>
+          </div>
+        </template>`;
+}
+
+/**
+ * 検索クエリを語に分割（空白区切り、全角スペースも可）
+ */
+function parseSearchTerms(query) {
+  return String(query ?? '').split(/\s+/).filter(term => term).slice(0, SEARCH_MAX_TERMS);
+}
+
+/**
+ * 正規表現の特殊文字をエスケープ
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 検索結果の抜粋を作成
+ * spoiler は伏せ字にし、最初に一致した語の前後を切り出して検索語を <mark> で強調したHTMLを返す
+ */
+function buildSearchSnippet(content, terms) {
+  const text = maskSpoilers(content).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  const lowerText = text.toLowerCase();
+  const positions = terms
+    .map(term => lowerText.indexOf(term.toLowerCase()))
+    .filter(position => position >= 0);
+
+  const start = Math.max((positions.length > 0 ? Math.min(...positions) : 0) - Math.floor(SEARCH_SNIPPET_LENGTH / 4), 0);
+  const excerpt = text.substring(start, start + SEARCH_SNIPPET_LENGTH);
+
+  // 分割結果の奇数番目が検索語に一致した部分
+  const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+  const html = excerpt.split(pattern)
+    .map((part, index) => index % 2 === 1 ? '<mark>' + escapeHTML(part) + '</mark>' : escapeHTML(part))
+    .join('');
+
+  return (start > 0 ? '…' : '') + html + (start + SEARCH_SNIPPET_LENGTH < text.length ? '…' : '');
+}
+
+/**
+ * HTML特殊文字をエスケープ
+ */
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * セッションIDを生成
+ * ユーザーのセッション一覧をKVのprefixで取得できるよう、先頭にユーザーごとのキーを付ける
  */
-async function generateSessionId() {
+async function generateSessionId(email) {
   const array = new Uint8Array(32);
   crypto.getRandomValues(array);
-  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+  const random = Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${await getSessionUserKey(email)}:${random}`;
+}
+
+/**
+ * セッションIDの先頭に付けるユーザーごとのキー（Cookieにメールアドレスを含めないためハッシュを使う）
+ */
+async function getSessionUserKey(email) {
+  return (await sha256Hex(String(email || '').toLowerCase())).substring(0, 16);
+}
+
+/**
+ * バイト列をbase64url文字列に変換
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * ランダムなbase64url文字列を生成
+ */
+function generateRandomToken(byteLength = 32) {
+  const array = new Uint8Array(byteLength);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(array);
+}
+
+/**
+ * ログイン後の戻り先を検証（管理画面内の相対パスのみ許可）
+ */
+function sanitizeReturnTo(returnTo) {
+  if (typeof returnTo !== 'string') return '/admin';
+  if (!/^\/admin(\/|\?|$)/.test(returnTo)) return '/admin';
+  return returnTo;
+}
+
+/**
+ * ログインページへのリダイレクトレスポンスを生成
+ */
+function redirectToLogin(url) {
+  const returnTo = url.pathname + url.search;
+  return new Response(null, {
+    status: 302,
+    headers: { 'Location': '/login?return_to=' + encodeURIComponent(returnTo) }
+  });
+}
+
+/**
+ * Cookieから指定した名前の値を取得
+ */
+function getCookie(request, name) {
+  const cookie = request.headers.get('Cookie');
+  if (!cookie) return null;
+
+  for (const part of cookie.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    if (part.substring(0, index).trim() === name) {
+      return part.substring(index + 1).trim();
+    }
+  }
+  return null;
 }
 
 /**
@@ -160,7 +613,18 @@ async function saveSession(env, sessionId, userData) {
   await env.SESSION_KV.put(
     `session:${sessionId}`,
     JSON.stringify(userData),
-    { expirationTtl: 86400 * 7 } // 7日間
+    {
+      expirationTtl: SESSION_IDLE_TTL,
+      // セッション一覧表示用（KVのlistで取得できる）
+      metadata: {
+        email: userData.email,
+        handle: userData.handle,
+        createdAt: userData.createdAt,
+        lastSeenAt: userData.lastSeenAt,
+        userAgent: userData.userAgent,
+        ipHash: userData.ipHash
+      }
+    }
   );
   return true;
 }
@@ -183,1532 +647,6401 @@ async function deleteSession(env, sessionId) {
 }
 
 /**
- * Cookieからセッションを取得
+ * セッションの公開用ハンドルを生成（一覧・失効操作でセッションIDを露出しないため）
  */
-function getSessionFromCookie(request) {
-  const cookie = request.headers.get('Cookie');
-  if (!cookie) return null;
+async function getSessionHandle(sessionId) {
+  return (await sha256Hex(sessionId)).substring(0, 16);
+}
 
-  const match = cookie.match(/session=([^;]+)/);
-  return match ? match[1] : null;
+/**
+ * ログインセッションを作成し、Set-Cookie ヘッダーの値を返す
+ * 既存のセッションは破棄して新しいIDを発行する（セッション固定攻撃対策）
+ */
+async function createUserSession(env, userData, request) {
+  await deleteSession(env, await getSessionFromCookie(request, env));
+
+  const sessionId = await generateSessionId(userData.email);
+  const cookieValue = await signSessionId(env, sessionId);
+  const now = Date.now();
+  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
+
+  await saveSession(env, sessionId, {
+    ...userData,
+    handle: await getSessionHandle(sessionId),
+    csrfToken: generateRandomToken(),
+    createdAt: now,
+    lastSeenAt: now,
+    userAgent: (request.headers.get('user-agent') || '').substring(0, 200),
+    ipHash: (await hashIP(ip)).substring(0, 12)
+  });
+
+  return `session=${cookieValue}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_MAX_AGE}`;
 }
 
 /**
- * 認証済みかチェック
+ * セッションの有効期限を延長（スライディング有効期限）
+ * 絶対有効期限を過ぎたセッションは削除して null を返す
  */
-async function isAuthenticated(request, env) {
-  const sessionId = getSessionFromCookie(request);
-  if (!sessionId) return false;
+async function touchSession(env, sessionId, session) {
+  if (!session) return null;
 
-  const session = await getSession(env, sessionId);
-  if (!session) return false;
+  const now = Date.now();
+  if (session.createdAt && now - session.createdAt > SESSION_MAX_AGE * 1000) {
+    await deleteSession(env, sessionId);
+    return null;
+  }
 
-  // 許可されたメールアドレスかチェック
-  const allowedEmail = env.ALLOWED_EMAIL;
-  if (allowedEmail && session.email !== allowedEmail) {
-    return false;
+  if (!session.lastSeenAt || !session.csrfToken || now - session.lastSeenAt > SESSION_REFRESH_INTERVAL * 1000) {
+    session.lastSeenAt = now;
+    session.handle = session.handle || await getSessionHandle(sessionId);
+    session.csrfToken = session.csrfToken || generateRandomToken();
+    await saveSession(env, sessionId, session);
   }
 
-  return true;
+  return session;
 }
 
 /**
- * Google OAuth URL を生成
+ * ユーザーのセッション一覧を取得
+ * セッションIDの先頭のユーザーごとのキーで絞り込むため、他のユーザーのセッションは読み込まない
  */
-function getGoogleAuthURL(env) {
-  const params = new URLSearchParams({
-    client_id: env.GOOGLE_CLIENT_ID,
-    redirect_uri: env.GOOGLE_REDIRECT_URI,
-    response_type: 'code',
-    scope: 'openid email profile',
-    access_type: 'offline',
-    prompt: 'consent'
-  });
+async function listUserSessions(env, email) {
+  if (!env.SESSION_KV) return [];
+
+  const prefix = `session:${await getSessionUserKey(email)}:`;
+  const sessions = [];
+  let cursor;
+  do {
+    const result = await env.SESSION_KV.list({ prefix, cursor });
+    result.keys.forEach(key => {
+      sessions.push({ key: key.name, ...key.metadata });
+    });
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
 
-  return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+  return sessions.sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
 }
 
 /**
- * Google OAuth トークン交換
+ * ユーザーのセッションを削除（handle 指定時はそのセッションのみ）
  */
-async function exchangeCodeForToken(code, env) {
-  const response = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: new URLSearchParams({
-      code,
-      client_id: env.GOOGLE_CLIENT_ID,
-      client_secret: env.GOOGLE_CLIENT_SECRET,
-      redirect_uri: env.GOOGLE_REDIRECT_URI,
-      grant_type: 'authorization_code'
-    })
-  });
+async function deleteUserSessions(env, email, handle = null) {
+  const sessions = await listUserSessions(env, email);
+  const targets = sessions.filter(session => !handle || session.handle === handle);
 
-  return response.json();
+  for (const session of targets) {
+    await env.SESSION_KV.delete(session.key);
+  }
+
+  return targets.length;
 }
 
 /**
- * Google ユーザー情報を取得
+ * セッション署名用のHMAC鍵を取得
  */
-async function getGoogleUserInfo(accessToken) {
-  const response = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`
-    }
-  });
+async function importSessionKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
 
-  return response.json();
+/**
+ * セッションIDにSESSION_SECRETで署名し、Cookieの値を作成
+ */
+async function signSessionId(env, sessionId) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+
+  const key = await importSessionKey(env.SESSION_SECRET);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(sessionId));
+  return `${sessionId}.${base64UrlEncode(signature)}`;
 }
 
-// ============================================================================
-// Handlers
-// ============================================================================
+/**
+ * 署名付きCookieの値を検証してセッションIDを返す
+ * 鍵のローテーション中は SESSION_SECRET_PREVIOUS で署名されたCookieも受け付ける
+ */
+async function verifySessionCookie(env, value) {
+  // ユーザーごとのキーのない以前の形式のセッションIDは受け付けない
+  const match = /^([0-9a-f]{16}:[0-9a-f]{64})\.([A-Za-z0-9_-]{43})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, sessionId, signature] = match;
+  const data = new TextEncoder().encode(sessionId);
+  const signatureBytes = base64UrlDecode(signature);
+
+  for (const secret of [env.SESSION_SECRET, env.SESSION_SECRET_PREVIOUS]) {
+    if (!secret) continue;
+    const key = await importSessionKey(secret);
+    if (await crypto.subtle.verify('HMAC', key, signatureBytes, data)) {
+      return sessionId;
+    }
+  }
+  return null;
+}
 
 /**
- * robots.txt ハンドラー
+ * Cookieからセッションを取得（署名を検証できない場合は null）
  */
-function handleRobotsTxt() {
-  const robotsTxt = `
-User-agent: GPTBot
-Disallow: /
+async function getSessionFromCookie(request, env) {
+  return verifySessionCookie(env, getCookie(request, 'session'));
+}
 
-User-agent: CCBot
-Disallow: /
+/**
+ * AuthorizationヘッダーからBearerトークンを取得
+ */
+function getBearerToken(request) {
+  const authorization = request.headers.get('Authorization');
+  if (!authorization) return null;
 
-User-agent: anthropic-ai
-Disallow: /
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
 
-User-agent: Claude-Web
-Disallow: /
+/**
+ * APIトークンを生成
+ */
+function generateAPIToken() {
+  const array = new Uint8Array(32);
+  crypto.getRandomValues(array);
+  return API_TOKEN_PREFIX + Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-User-agent: ChatGPT-User
-Disallow: /
+/**
+ * APIトークンを検証し、有効なトークンのレコードを返す
+ */
+async function verifyAPIToken(env, token) {
+  if (!token.startsWith(API_TOKEN_PREFIX)) return null;
 
-User-agent: cohere-ai
-Disallow: /
+  const tokenHash = await sha256Hex(token);
+  const record = await env.DB.prepare(
+    'SELECT id, name, scopes, created_by FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL'
+  ).bind(tokenHash).first();
 
-User-agent: Google-Extended
-Disallow: /
+  if (!record) return null;
 
-User-agent: Bytespider
-Disallow: /
+  // 最終使用日時を更新
+  await env.DB.prepare(
+    'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).bind(record.id).run();
 
-User-agent: Googlebot
-Crawl-delay: 10
-Allow: /
-
-User-agent: Bingbot
-Crawl-delay: 10
-Allow: /
-
-User-agent: *
-Crawl-delay: 10
-Allow: /
-  `.trim();
+  return record;
+}
 
-  return new Response(robotsTxt, {
-    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
-  });
+/**
+ * スコープを持っているかチェック（adminは全スコープを含む）
+ */
+function hasScope(scopes, scope) {
+  return scopes.includes('admin') || scopes.includes(scope);
 }
 
 /**
- * CORS Preflight ハンドラー
+ * メールアドレスからユーザーを取得（大文字・小文字は区別しない）
  */
-function handleCORS(request, env) {
-  const origin = request.headers.get('Origin');
-  return new Response(null, {
-    headers: corsHeaders(origin, env)
-  });
+async function getUserByEmail(env, email) {
+  if (!email) return null;
+  return env.DB.prepare(
+    'SELECT id, email, name, picture, role FROM users WHERE email = ? COLLATE NOCASE ORDER BY id LIMIT 1'
+  ).bind(email).first();
 }
 
 /**
- * ログインページハンドラー
+ * ログインしたユーザーのレコードを取得・更新
+ * 未登録のメールアドレスは、ALLOWED_EMAIL（未設定の場合は最初のログイン）のみ owner として登録する
  */
-function handleLoginPage(env) {
-  const authURL = getGoogleAuthURL(env);
+async function loginUser(env, userInfo) {
+  if (!userInfo.email) return null;
 
-  const html = `
-<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>ログイン - ${env.SITE_NAME || 'Blog'}</title>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
+  let user = await getUserByEmail(env, userInfo.email);
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-      background: #0f0f0f;
-      min-height: 100vh;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-    }
+  if (!user) {
+    // 最初の owner の登録はユーザーが1人もいないときだけ（削除された ALLOWED_EMAIL のアカウントは復活させない）
+    const hasUsers = await env.DB.prepare('SELECT id FROM users LIMIT 1').first();
+    const allowedEmail = env.ALLOWED_EMAIL;
+    const isBootstrapOwner = !hasUsers &&
+      (!allowedEmail || userInfo.email.toLowerCase() === allowedEmail.trim().toLowerCase());
 
-    .login-container {
-      background: #1a1a1a;
-      border: 1px solid #2d2d2d;
-      border-radius: 12px;
-      padding: 60px 40px;
-      max-width: 400px;
-      width: 100%;
-      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
-      text-align: center;
-    }
+    if (!isBootstrapOwner) return null;
 
-    h1 {
-      font-size: 28px;
-      margin-bottom: 10px;
-      color: #ffffff;
-    }
+    // 招待時と同じく小文字で登録する
+    await env.DB.prepare(
+      'INSERT INTO users (email, role) VALUES (?, ?)'
+    ).bind(userInfo.email.toLowerCase(), 'owner').run();
+    user = await getUserByEmail(env, userInfo.email);
+  }
 
-    p {
-      color: #b0b0b0;
-      margin-bottom: 40px;
-      line-height: 1.6;
-    }
+  await env.DB.prepare(
+    'UPDATE users SET name = ?, picture = ?, last_login_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).bind(userInfo.name || null, userInfo.picture || null, user.id).run();
 
-    .google-btn {
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      background: #2d2d2d;
-      color: #ffffff;
-      border: 2px solid #404040;
-      border-radius: 8px;
-      padding: 12px 24px;
-      font-size: 16px;
-      font-weight: 500;
-      text-decoration: none;
-      transition: all 0.3s;
-      cursor: pointer;
-      width: 100%;
-    }
+  return { ...user, name: userInfo.name || null, picture: userInfo.picture || null };
+}
 
-    .google-btn:hover {
-      background: #353535;
-      border-color: #4285f4;
-      box-shadow: 0 2px 8px rgba(66, 133, 244, 0.3);
-    }
+/**
+ * ロールに許可されたスコープを取得
+ */
+function getRoleScopes(role) {
+  return ROLE_SCOPES[role] || [];
+}
 
-    .google-icon {
-      width: 20px;
-      height: 20px;
-      margin-right: 12px;
-    }
+/**
+ * リクエストの認証情報を取得
+ * セッションCookie、または Authorization: Bearer のAPIトークンを受け付ける
+ */
+async function getAuthContext(request, env) {
+  const bearerToken = getBearerToken(request);
+  if (bearerToken) {
+    const token = await verifyAPIToken(env, bearerToken);
+    if (!token) return null;
+
+    // トークンの権限は発行したユーザーのロールの範囲に制限する
+    const user = await getUserByEmail(env, token.created_by);
+    const roleScopes = getRoleScopes(user?.role);
+
+    return {
+      type: 'token',
+      email: token.created_by,
+      user,
+      tokenId: token.id,
+      scopes: token.scopes.split(',').filter(scope => hasScope(roleScopes, scope))
+    };
+  }
 
-    .back-link {
-      display: block;
-      margin-top: 30px;
-      color: #1da1f2;
-      text-decoration: none;
-      font-size: 14px;
-    }
+  const sessionId = await getSessionFromCookie(request, env);
+  const session = await touchSession(env, sessionId, await getSession(env, sessionId));
+  if (!session) return null;
 
-    .back-link:hover {
-      text-decoration: underline;
-      color: #1a91da;
-    }
-  </style>
-</head>
-<body>
-  <div class="login-container">
-    <h1>管理者ログイン</h1>
-    <p>ブログの管理画面にアクセスするには<br>Googleアカウントでログインしてください</p>
+  const user = await getUserByEmail(env, session.email);
 
-    <a href="${authURL}" class="google-btn">
-      <svg class="google-icon" viewBox="0 0 24 24">
-        <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-        <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-        <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
-        <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
-      </svg>
-      Googleでログイン
-    </a>
+  return {
+    type: 'session',
+    email: session.email,
+    user,
+    session,
+    sessionHandle: session.handle,
+    scopes: [...getRoleScopes(user?.role)]
+  };
+}
 
-    <a href="/" class="back-link">← トップページに戻る</a>
-  </div>
-</body>
-</html>
-  `;
+/**
+ * 全ての投稿を管理できるロールかチェック
+ */
+function canManageAllPosts(auth) {
+  return !!auth?.user && ['owner', 'editor'].includes(auth.user.role);
+}
 
-  return htmlResponse(html);
+/**
+ * 投稿を編集・削除できるかチェック（authorは自分の投稿のみ）
+ */
+function canEditPost(auth, post) {
+  if (!hasScope(auth?.scopes || [], 'write')) return false;
+  return canManageAllPosts(auth) || (post.author_id != null && post.author_id === auth.user?.id);
 }
 
 /**
- * OAuth コールバックハンドラー
+ * 認証なしで閲覧できる投稿かチェック（公開済みで非公開でないもの）
  */
-async function handleAuthCallback(request, env) {
-  const url = new URL(request.url);
-  const code = url.searchParams.get('code');
+function isPubliclyViewable(post) {
+  return post.status === 'published' && post.visibility !== 'private';
+}
 
-  if (!code) {
-    return htmlResponse('<h1>認証エラー</h1><p>認証コードが取得できませんでした。</p>', 400);
-  }
+/**
+ * 投稿を閲覧できるかチェック（下書きは編集できるユーザー、非公開は管理画面のユーザーのみ）
+ */
+function canViewPost(auth, post) {
+  if (isPubliclyViewable(post)) return true;
+  if (post.status === 'published') return hasScope(auth?.scopes || [], 'read');
+  return canEditPost(auth, post);
+}
 
-  try {
-    // トークン取得
-    const tokenData = await exchangeCodeForToken(code, env);
+/**
+ * 共有リンクのトークンを検証（有効期限内で、その投稿のものの場合のみ true）
+ */
+async function verifyShareToken(env, postId, token) {
+  if (!token) return false;
 
-    if (!tokenData.access_token) {
-      throw new Error('アクセストークンの取得に失敗しました');
-    }
+  const tokenHash = await sha256Hex(token);
+  const link = await env.DB.prepare(
+    'SELECT id FROM post_share_links WHERE post_id = ? AND token_hash = ? AND expires_at > CURRENT_TIMESTAMP'
+  ).bind(postId, tokenHash).first();
 
-    // ユーザー情報取得
-    const userInfo = await getGoogleUserInfo(tokenData.access_token);
+  return !!link;
+}
 
-    // 許可されたメールアドレスかチェック
-    const allowedEmail = env.ALLOWED_EMAIL;
-    if (allowedEmail && userInfo.email !== allowedEmail) {
-      return htmlResponse(`
-        <h1>アクセス拒否</h1>
-        <p>このメールアドレス（${userInfo.email}）は許可されていません。</p>
-        <a href="/">トップページに戻る</a>
-      `, 403);
-    }
+/**
+ * リクエストから投稿を閲覧できるかチェック
+ * 公開済みの非公開投稿は、有効な共有リンク（?share=）でも閲覧できる
+ */
+async function canRequestViewPost(request, env, post) {
+  if (isPubliclyViewable(post)) return true;
+  if (canViewPost(await getAuthContext(request, env), post)) return true;
+  if (post.status !== 'published') return false;
 
-    // セッション作成
-    const sessionId = await generateSessionId();
-    await saveSession(env, sessionId, {
-      email: userInfo.email,
-      name: userInfo.name,
-      picture: userInfo.picture
-    });
+  return verifyShareToken(env, post.id, new URL(request.url).searchParams.get('share'));
+}
 
-    // Cookieをセットしてリダイレクト
-    return new Response(null, {
-      status: 302,
-      headers: {
-        'Location': '/admin',
-        'Set-Cookie': `session=${sessionId}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${86400 * 7}`
-      }
-    });
+/**
+ * 管理画面の認証チェック
+ * 未ログインはログインページへリダイレクト、権限不足は403を返す
+ */
+async function authorizeAdminPage(request, env, url, scope = 'read') {
+  const auth = await getAuthContext(request, env);
+  if (!auth) {
+    return { response: redirectToLogin(url) };
+  }
 
-  } catch (error) {
-    console.error('Auth callback error:', error);
-    return htmlResponse(`<h1>認証エラー</h1><p>${error.message}</p>`, 500);
+  if (!hasScope(auth.scopes, scope)) {
+    return {
+      response: htmlResponse(`
+        <h1>アクセス拒否</h1>
+        <p>このページを表示する権限がありません。</p>
+        <a href="/admin">管理画面に戻る</a>
+      `, 403)
+    };
   }
+
+  return { auth };
 }
 
 /**
- * ログアウトハンドラー
+ * 認証なしで実行できる更新系ルートかチェック
  */
-async function handleLogout(request, env) {
-  const sessionId = getSessionFromCookie(request);
+function isPublicWriteRoute(method, pathname) {
+  return PUBLIC_WRITE_ROUTES.some(route =>
+    route.method === method && route.pattern.test(pathname)
+  );
+}
 
-  if (sessionId) {
-    await deleteSession(env, sessionId);
+/**
+ * APIルートに必要なスコープを取得（認証不要の場合は null、ログイン中のみの場合は SESSION_ONLY_SCOPE）
+ */
+function getRequiredScope(method, pathname) {
+  if (pathname === '/api/tokens' || pathname.startsWith('/api/tokens/')) return 'admin';
+  if (pathname === '/api/users' || pathname.startsWith('/api/users/')) return 'admin';
+  if (pathname === '/api/audit') return 'admin';
+  if (pathname.startsWith('/api/tags/')) return 'admin';
+  if (pathname === '/api/trash' || pathname.startsWith('/api/trash/')) return method === 'GET' ? 'read' : 'write';
+  if (/^\/api\/posts\/[^/]+\/revisions/.test(pathname)) return method === 'GET' ? 'read' : 'write';
+  if (/^\/api\/posts\/[^/]+\/share-links/.test(pathname)) return 'write';
+  if (pathname === '/api/sessions' || pathname.startsWith('/api/sessions/')) return SESSION_ONLY_SCOPE;
+  if (pathname === '/api/passkeys' || pathname.startsWith('/api/passkeys/')) {
+    if (isPublicWriteRoute(method, pathname)) return null;
+    return method === 'GET' ? 'read' : SESSION_ONLY_SCOPE;
   }
-
-  return new Response(null, {
-    status: 302,
-    headers: {
-      'Location': '/',
-      'Set-Cookie': 'session=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0'
-    }
-  });
+  if (method === 'GET') return null;
+  if (isPublicWriteRoute(method, pathname)) return null;
+  if (pathname === '/api/upload') return 'upload';
+  return 'write';
 }
 
 /**
- * API ハンドラー
+ * 文字列を一定時間で比較
  */
-async function handleAPI(request, env, pathname) {
-  const method = request.method;
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
 
-  // GET /api/posts - 投稿一覧取得
-  if (pathname === '/api/posts' && method === 'GET') {
-    return handleGetPosts(request, env);
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
   }
+  return diff === 0;
+}
 
-  // GET /api/posts/:id - 個別投稿取得
-  if (pathname.match(/^\/api\/posts\/[^/]+$/) && method === 'GET') {
-    const postId = pathname.split('/')[3];
-    return handleGetPost(env, postId);
-  }
+/**
+ * 管理画面に埋め込むCSRFトークンのmetaタグを生成
+ */
+function csrfMetaTag(auth) {
+  return `<meta name="csrf-token" content="${escapeHTML(auth?.session?.csrfToken || '')}">`;
+}
 
-  // POST /api/posts - 新規投稿
-  if (pathname === '/api/posts' && method === 'POST') {
-    return handleCreatePost(request, env);
-  }
+/**
+ * CSRF対策チェック（Cookie認証の更新系リクエストのみ）
+ * X-CSRF-Token ヘッダーとセッションのトークンを照合し、Origin / Referer も検証する
+ * 検証エラー時はエラーレスポンスを、成功時は null を返す
+ */
+function verifyCSRF(request, auth) {
+  if (auth?.type !== 'session') return null;
 
-  // PUT /api/posts/:id - 投稿編集
-  if (pathname.match(/^\/api\/posts\/[^/]+$/) && method === 'PUT') {
-    const postId = pathname.split('/')[3];
-    return handleUpdatePost(request, env, postId);
-  }
+  const expectedOrigin = new URL(request.url).origin;
+  const origin = request.headers.get('Origin');
+  const referer = request.headers.get('Referer');
 
-  // DELETE /api/posts/:id - 投稿削除
-  if (pathname.match(/^\/api\/posts\/[^/]+$/) && method === 'DELETE') {
-    const postId = pathname.split('/')[3];
-    return handleDeletePost(request, env, postId);
+  let requestOrigin = origin;
+  if (!requestOrigin && referer) {
+    try {
+      requestOrigin = new URL(referer).origin;
+    } catch {
+      requestOrigin = 'invalid';
+    }
   }
 
-  // GET /api/tags - タグ一覧取得
-  if (pathname === '/api/tags' && method === 'GET') {
-    return handleGetTags(env);
+  if (requestOrigin && requestOrigin !== expectedOrigin) {
+    return jsonResponse({ error: 'Invalid origin' }, 403);
   }
 
-  // POST /api/like/:postId - いいね追加
-  if (pathname.match(/^\/api\/like\/[^/]+$/) && method === 'POST') {
-    const postId = pathname.split('/')[3];
-    return handleLike(request, env, postId);
+  const token = request.headers.get('X-CSRF-Token');
+  if (!timingSafeEqual(token, auth.session.csrfToken)) {
+    return jsonResponse({ error: 'Invalid CSRF token' }, 403);
   }
 
-  // GET /api/likes/:postId - いいね数取得
-  if (pathname.match(/^\/api\/likes\/[^/]+$/) && method === 'GET') {
-    const postId = pathname.split('/')[3];
-    return handleGetLikes(request, env, postId);
+  return null;
+}
+
+/**
+ * API認証チェック
+ * 認証エラー時はエラーレスポンスを、成功時は null を返す
+ */
+function authorizeAPIRequest(auth, scope) {
+  if (!auth) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
   }
 
-  // PUT /api/posts/:id/pin - 固定投稿設定/解除
-  if (pathname.match(/^\/api\/posts\/[^/]+\/pin$/) && method === 'PUT') {
-    // 認証チェック
-    const authenticated = await isAuthenticated(request, env);
-    if (!authenticated) {
-      return jsonResponse({ error: 'Unauthorized' }, 401);
-    }
-    const postId = pathname.split('/')[3];
-    return handleTogglePin(request, env, postId);
+  // 自分の認証情報の管理は viewer も含め、ログイン中のブラウザからのみ（APIトークンは不可）
+  if (scope === SESSION_ONLY_SCOPE) {
+    return auth.type === 'session' ? null : jsonResponse({ error: 'Forbidden', required_scope: scope }, 403);
   }
 
-  // POST /api/upload - 画像アップロード
-  if (pathname === '/api/upload' && method === 'POST') {
-    // 認証チェック
-    const authenticated = await isAuthenticated(request, env);
-    if (!authenticated) {
-      return jsonResponse({ error: 'Unauthorized' }, 401);
-    }
-    return handleImageUpload(request, env);
+  if (!hasScope(auth.scopes, scope)) {
+    return jsonResponse({ error: 'Forbidden', required_scope: scope }, 403);
   }
 
-  return jsonResponse({ error: 'Not found' }, 404);
+  return null;
 }
 
 /**
- * GET /api/posts - 投稿一覧取得
+ * 監査ログを記録
+ * 記録に失敗しても元の操作は失敗させない
  */
-async function handleGetPosts(request, env) {
-  const url = new URL(request.url);
-  const tag = url.searchParams.get('tag');
-  const pinned = url.searchParams.get('pinned');
-  const limit = parseInt(url.searchParams.get('limit') || '10');
-  const offset = parseInt(url.searchParams.get('offset') || '0');
-
+async function writeAuditLog(env, actor, action, { postId = null, details = null } = {}) {
   try {
-    let query = `
-      SELECT
-        p.*,
-        GROUP_CONCAT(t.name) as tags,
-        COALESCE((SELECT COUNT(*) FROM likes WHERE post_id = p.id), 0) as likes
-      FROM posts p
-      LEFT JOIN post_tags pt ON p.id = pt.post_id
-      LEFT JOIN tags t ON pt.tag_id = t.id
-    `;
-    let bindings = [];
-    let whereConditions = [];
-
-    if (pinned === 'true') {
-      whereConditions.push('p.is_pinned = 1');
-    }
-
-    if (tag) {
-      whereConditions.push(`p.id IN (
-        SELECT p2.id FROM posts p2
-        JOIN post_tags pt2 ON p2.id = pt2.post_id
-        JOIN tags t2 ON pt2.tag_id = t2.id
-        WHERE t2.name = ?
-      )`);
-      bindings.push(tag);
-    }
-
-    if (whereConditions.length > 0) {
-      query += ' WHERE ' + whereConditions.join(' AND ');
-    }
-
-    query += ' GROUP BY p.id ORDER BY p.is_pinned DESC, p.created_at DESC LIMIT ? OFFSET ?';
-    bindings.push(limit, offset);
-
-    const stmt = env.DB.prepare(query).bind(...bindings);
-    const { results } = await stmt.all();
-
-    // タグを配列に変換
-    results.forEach(post => {
-      post.tags = post.tags ? post.tags.split(',') : [];
-    });
-
-    return jsonResponse({ posts: results, hasMore: results.length === limit });
+    await env.DB.prepare(
+      'INSERT INTO audit_log (actor_email, actor_type, action, target_post_id, details) VALUES (?, ?, ?, ?, ?)'
+    ).bind(
+      actor?.email || null,
+      actor?.type || null,
+      action,
+      postId,
+      details ? JSON.stringify(details) : null
+    ).run();
   } catch (error) {
-    console.error('Error fetching posts:', error);
-    return jsonResponse({ error: 'Failed to fetch posts' }, 500);
+    console.error('Error writing audit log:', error);
   }
 }
 
 /**
- * GET /api/posts/:id - 個別投稿取得
+ * 投稿のETagを生成（更新のたびに増える version を使う）
  */
-async function handleGetPost(env, postId) {
-  try {
-    const post = await env.DB.prepare(
-      'SELECT * FROM posts WHERE id = ?'
-    ).bind(postId).first();
+function postETag(post) {
+  return `"${post.version}"`;
+}
 
-    if (!post) {
-      return jsonResponse({ error: 'Post not found' }, 404);
-    }
+/**
+ * 編集元のバージョンが古いかチェック
+ * If-Match ヘッダーまたは body の version で指定（どちらもなければチェックしない）
+ */
+function isStaleWrite(request, body, post) {
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const etags = ifMatch.split(',').map(etag => etag.trim().replace(/^W\//, ''));
+    return !etags.includes(postETag(post));
+  }
 
-    // タグを取得
-    const tagsStmt = env.DB.prepare(`
-      SELECT t.name FROM tags t
-      JOIN post_tags pt ON t.id = pt.tag_id
-      WHERE pt.post_id = ?
-    `).bind(postId);
-    const { results: tags } = await tagsStmt.all();
-    post.tags = tags.map(t => t.name);
+  if (body.version !== undefined && body.version !== null) {
+    return Number(body.version) !== post.version;
+  }
 
-    // いいね数を取得
-    const likesStmt = env.DB.prepare(
-      'SELECT COUNT(*) as count FROM likes WHERE post_id = ?'
-    ).bind(postId);
-    const likesResult = await likesStmt.first();
-    post.likes = likesResult.count;
+  return false;
+}
 
-    return jsonResponse({ post });
-  } catch (error) {
-    console.error('Error fetching post:', error);
-    return jsonResponse({ error: 'Failed to fetch post' }, 500);
+/**
+ * 引用元の投稿（quoted_post）と引用された数（quote_count）を付与
+ * 引用元が削除されたか公開範囲が public でない場合は { id, deleted: true } を返す（限定公開の本文をタイムライン・フィードに載せない）
+ * 引用された数には公開範囲が public の投稿のみ数える
+ */
+async function attachQuotes(env, posts) {
+  if (posts.length === 0) return posts;
+
+  const postIds = posts.map(post => post.id);
+  const { results: counts } = await env.DB.prepare(`
+    SELECT quote_post_id, COUNT(*) as count FROM posts
+    WHERE quote_post_id IN (SELECT value FROM json_each(?))
+      AND status = 'published' AND visibility = 'public' AND deleted_at IS NULL
+    GROUP BY quote_post_id
+  `).bind(JSON.stringify(postIds)).all();
+  const countMap = new Map(counts.map(row => [row.quote_post_id, row.count]));
+
+  const quoteIds = [...new Set(posts.map(post => post.quote_post_id).filter(Boolean))];
+  let quoteMap = new Map();
+  if (quoteIds.length > 0) {
+    const { results: quoted } = await env.DB.prepare(`
+      SELECT p.id, p.content, p.image_url, p.image_sensitive, p.created_at, u.name as author_name, u.picture as author_picture
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      WHERE p.id IN (SELECT value FROM json_each(?))
+        AND p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+    `).bind(JSON.stringify(quoteIds)).all();
+    quoteMap = new Map(quoted.map(quotedPost => [quotedPost.id, quotedPost]));
   }
+
+  posts.forEach(post => {
+    post.quote_count = countMap.get(post.id) || 0;
+    if (post.quote_post_id) {
+      post.quoted_post = quoteMap.get(post.quote_post_id) || { id: post.quote_post_id, deleted: true };
+    }
+  });
+
+  return posts;
 }
 
 /**
- * POST /api/posts - 新規投稿
+ * 投稿をタグ・いいね数付きで取得
  */
-async function handleCreatePost(request, env) {
-  // TODO: 認証チェックを実装
+async function getPostDetail(env, postId) {
+  const post = await env.DB.prepare(`
+    SELECT p.*, u.name as author_name, u.picture as author_picture
+    FROM posts p
+    LEFT JOIN users u ON p.author_id = u.id
+    WHERE p.id = ? AND p.deleted_at IS NULL
+  `).bind(postId).first();
 
-  try {
-    const body = await request.json();
-    const { content, image_url, image_sensitive, tags, is_pinned } = body;
+  if (!post) return null;
 
-    if (!content) {
-      return jsonResponse({ error: 'Content is required' }, 400);
-    }
+  // タグを取得
+  const { results: tags } = await env.DB.prepare(`
+    SELECT t.name FROM tags t
+    JOIN post_tags pt ON t.id = pt.tag_id
+    WHERE pt.post_id = ?
+  `).bind(postId).all();
+  post.tags = tags.map(t => t.name);
+
+  // いいね数を取得
+  const likesResult = await env.DB.prepare(
+    'SELECT COUNT(*) as count FROM likes WHERE post_id = ?'
+  ).bind(postId).first();
+  post.likes = likesResult.count;
 
-    const postId = await generateUniquePostId(env.DB);
+  await attachMedia(env, [post]);
+  await attachQuotes(env, [post]);
 
-    // 投稿を作成
-    await env.DB.prepare(
-      'INSERT INTO posts (id, content, image_url, image_sensitive, is_pinned) VALUES (?, ?, ?, ?, ?)'
-    ).bind(
-      postId,
-      content,
-      image_url || null,
-      image_sensitive ? 1 : 0,
-      is_pinned ? 1 : 0
-    ).run();
+  return post;
+}
 
-    // タグを処理
-    if (tags && tags.length > 0) {
-      for (const tagName of tags) {
-        // タグが存在するか確認
-        let tag = await env.DB.prepare(
-          'SELECT id FROM tags WHERE name = ?'
-        ).bind(tagName).first();
-
-        // タグが存在しない場合は作成
-        if (!tag) {
-          const insertResult = await env.DB.prepare(
-            'INSERT INTO tags (name) VALUES (?)'
-          ).bind(tagName).run();
-          tag = { id: insertResult.meta.last_row_id };
-        }
+/**
+ * スレッドの投稿を古い順に取得（postId はスレッド内のどの投稿でもよい）
+ * 閲覧権限による絞り込みは呼び出し側で行う
+ */
+async function getThreadPosts(env, postId) {
+  const post = await env.DB.prepare(
+    'SELECT id, thread_root_id FROM posts WHERE id = ?'
+  ).bind(postId).first();
 
-        // 投稿とタグを関連付け
-        await env.DB.prepare(
-          'INSERT INTO post_tags (post_id, tag_id) VALUES (?, ?)'
-        ).bind(postId, tag.id).run();
-      }
-    }
+  if (!post) return [];
+
+  const rootId = post.thread_root_id || post.id;
+  const { results } = await env.DB.prepare(`
+    SELECT
+      p.*,
+      GROUP_CONCAT(t.name) as tags,
+      COALESCE((SELECT COUNT(*) FROM likes WHERE post_id = p.id), 0) as likes,
+      u.name as author_name,
+      u.picture as author_picture
+    FROM posts p
+    LEFT JOIN users u ON p.author_id = u.id
+    LEFT JOIN post_tags pt ON p.id = pt.post_id
+    LEFT JOIN tags t ON pt.tag_id = t.id
+    WHERE (p.id = ? OR p.thread_root_id = ?) AND p.deleted_at IS NULL
+    GROUP BY p.id
+    ORDER BY p.created_at ASC, p.id ASC
+  `).bind(rootId, rootId).all();
+
+  results.forEach(threadPost => {
+    threadPost.tags = threadPost.tags ? threadPost.tags.split(',') : [];
+  });
 
-    return jsonResponse({
-      success: true,
-      post: {
-        id: postId,
-        url: `/post/${postId}`,
-        created_at: new Date().toISOString()
-      }
-    }, 201);
-  } catch (error) {
-    console.error('Error creating post:', error);
-    return jsonResponse({ error: 'Failed to create post' }, 500);
+  await attachMedia(env, results);
+  return attachQuotes(env, results);
+}
+
+/**
+ * スレッドから閲覧できる投稿のみを取得（下書き・非公開の投稿を含む場合のみ認証情報を確認）
+ */
+async function getVisibleThreadPosts(request, env, postId) {
+  const thread = await getThreadPosts(env, postId);
+  if (thread.every(isPubliclyViewable)) {
+    return thread;
   }
+
+  const auth = await getAuthContext(request, env);
+  return thread.filter(threadPost => canViewPost(auth, threadPost));
 }
 
 /**
- * PUT /api/posts/:id - 投稿編集
+ * 編集の競合時のレスポンス（サーバー側の最新の投稿を返す）
  */
-async function handleUpdatePost(request, env, postId) {
-  // TODO: 認証チェックを実装
+async function conflictResponse(env, postId) {
+  const post = await getPostDetail(env, postId);
+  return jsonResponse(
+    { error: 'Post has been modified by someone else', post },
+    409,
+    post ? { 'ETag': postETag(post) } : {}
+  );
+}
 
-  try {
-    const body = await request.json();
-    const { content, image_url, image_sensitive, tags, is_pinned } = body;
+/**
+ * 監査ログ用に投稿の状態を取得
+ */
+async function getPostSnapshot(env, postId) {
+  const post = await env.DB.prepare(
+    'SELECT content, image_url, image_sensitive, is_pinned, status, visibility, publish_at FROM posts WHERE id = ?'
+  ).bind(postId).first();
 
-    // 投稿の存在確認
-    const existing = await env.DB.prepare(
-      'SELECT id FROM posts WHERE id = ?'
-    ).bind(postId).first();
+  if (!post) return null;
+
+  const { results: tags } = await env.DB.prepare(`
+    SELECT t.name
+    FROM tags t
+    JOIN post_tags pt ON t.id = pt.tag_id
+    WHERE pt.post_id = ?
+    ORDER BY t.name
+  `).bind(postId).all();
+
+  const { results: media } = await env.DB.prepare(
+    'SELECT url, alt_text, is_sensitive FROM post_media WHERE post_id = ? ORDER BY position'
+  ).bind(postId).all();
+
+  return {
+    content: post.content,
+    image_url: post.image_url,
+    image_sensitive: !!post.image_sensitive,
+    media: media.map(item => item.url + (item.alt_text ? ` (${item.alt_text})` : '') + (item.is_sensitive ? ' [sensitive]' : '')).join(', '),
+    is_pinned: !!post.is_pinned,
+    status: post.status,
+    visibility: post.visibility,
+    publish_at: post.publish_at,
+    tags: tags.map(tag => tag.name).join(', ')
+  };
+}
 
-    if (!existing) {
-      return jsonResponse({ error: 'Post not found' }, 404);
+/**
+ * 投稿の変更前後の差分概要を作成（長い本文は切り詰める）
+ */
+function diffPostSnapshots(before, after) {
+  const summarize = value => typeof value === 'string' && value.length > AUDIT_TEXT_LENGTH
+    ? value.substring(0, AUDIT_TEXT_LENGTH) + '…'
+    : value;
+
+  const changes = {};
+  for (const field of Object.keys(before || after || {})) {
+    const oldValue = before ? before[field] : null;
+    const newValue = after ? after[field] : null;
+    if (oldValue !== newValue) {
+      changes[field] = { before: summarize(oldValue), after: summarize(newValue) };
     }
+  }
+  return { changes };
+}
 
-    // 投稿を更新
-    await env.DB.prepare(`
-      UPDATE posts
-      SET content = ?, image_url = ?, image_sensitive = ?, is_pinned = ?, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).bind(
-      content,
-      image_url || null,
-      image_sensitive ? 1 : 0,
-      is_pinned ? 1 : 0,
-      postId
-    ).run();
+/**
+ * タグ名を正規化（全角英数字や空白を統一し、前後の空白と先頭の # を除く）
+ * カンマはタグの区切りとして扱われるため空白に置き換える
+ * 階層の区切りの / の前後の空白と空の階層も除く（「 dev / js/」→「dev/js」）
+ */
+function normalizeTagName(name) {
+  return String(name ?? '')
+    .normalize('NFKC')
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .split('/')
+    .map(part => part.trim())
+    .filter(part => part)
+    .join('/');
+}
 
-    // 既存のタグ関連を削除
-    await env.DB.prepare(
-      'DELETE FROM post_tags WHERE post_id = ?'
-    ).bind(postId).run();
+/**
+ * リクエストのタグ一覧を検証して正規化（不正な場合は null）
+ * 大文字・小文字だけが異なるタグは1つにまとめる
+ */
+function parsePostTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) return null;
 
-    // 新しいタグを処理
-    if (tags && tags.length > 0) {
-      for (const tagName of tags) {
-        let tag = await env.DB.prepare(
-          'SELECT id FROM tags WHERE name = ?'
-        ).bind(tagName).first();
-
-        if (!tag) {
-          const insertResult = await env.DB.prepare(
-            'INSERT INTO tags (name) VALUES (?)'
-          ).bind(tagName).run();
-          tag = { id: insertResult.meta.last_row_id };
-        }
+  const names = [];
+  for (const tag of tags) {
+    if (typeof tag !== 'string') return null;
 
-        await env.DB.prepare(
-          'INSERT INTO post_tags (post_id, tag_id) VALUES (?, ?)'
-        ).bind(postId, tag.id).run();
-      }
+    const name = normalizeTagName(tag);
+    if (name.length > TAG_NAME_MAX_LENGTH) return null;
+    if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      names.push(name);
     }
-
-    return jsonResponse({ success: true });
-  } catch (error) {
-    console.error('Error updating post:', error);
-    return jsonResponse({ error: 'Failed to update post' }, 500);
   }
+  return names;
 }
 
 /**
- * DELETE /api/posts/:id - 投稿削除
+ * タグ名で検索（大文字・小文字を区別しない）
  */
-async function handleDeletePost(request, env, postId) {
-  // TODO: 認証チェックを実装
-
-  try {
-    const result = await env.DB.prepare(
-      'DELETE FROM posts WHERE id = ?'
-    ).bind(postId).run();
+async function findTagByName(env, name) {
+  return env.DB.prepare(
+    'SELECT id, name, parent_id, description, color FROM tags WHERE name = ? COLLATE NOCASE ORDER BY id LIMIT 1'
+  ).bind(name).first();
+}
 
-    if (result.meta.changes === 0) {
-      return jsonResponse({ error: 'Post not found' }, 404);
+/**
+ * タグの名前・説明・色の変更前後の差分概要を作成
+ */
+function diffTagSnapshots(before, after) {
+  const changes = {};
+  for (const field of ['name', 'description', 'color']) {
+    if (before[field] !== after[field]) {
+      changes[field] = { before: before[field], after: after[field] };
     }
-
-    return jsonResponse({ success: true });
-  } catch (error) {
-    console.error('Error deleting post:', error);
-    return jsonResponse({ error: 'Failed to delete post' }, 500);
   }
+  return { changes };
 }
 
 /**
- * GET /api/tags - タグ一覧取得
+ * タグを取得（存在しない場合は親のタグも含めて作成）
+ * 「dev/cloudflare」のように / で区切ったタグは「dev」の子タグになり、親のタグの表記に合わせる
  */
-async function handleGetTags(env) {
-  try {
-    const { results } = await env.DB.prepare(`
-      SELECT t.id, t.name, COUNT(pt.post_id) as count
-      FROM tags t
-      LEFT JOIN post_tags pt ON t.id = pt.tag_id
-      GROUP BY t.id, t.name
-      HAVING count > 0
-      ORDER BY count DESC, t.name ASC
-    `).all();
+async function findOrCreateTag(env, name) {
+  const separator = name.lastIndexOf('/');
+  const parent = separator > 0 ? await findOrCreateTag(env, name.substring(0, separator)) : null;
+  const tagName = parent ? parent.name + name.substring(separator) : name;
 
-    return jsonResponse({ tags: results });
-  } catch (error) {
-    console.error('Error fetching tags:', error);
-    return jsonResponse({ error: 'Failed to fetch tags' }, 500);
+  const existing = await findTagByName(env, tagName);
+  if (existing) {
+    // 階層に対応する前に作られたタグは親子関係を設定する
+    if (parent && existing.parent_id !== parent.id) {
+      await env.DB.prepare(
+        'UPDATE tags SET parent_id = ? WHERE id = ?'
+      ).bind(parent.id, existing.id).run();
+      existing.parent_id = parent.id;
+    }
+    return existing;
   }
+
+  const result = await env.DB.prepare(
+    'INSERT INTO tags (name, parent_id) VALUES (?, ?)'
+  ).bind(tagName, parent ? parent.id : null).run();
+
+  return { id: result.meta.last_row_id, name: tagName, parent_id: parent ? parent.id : null };
 }
 
 /**
- * POST /api/like/:postId - いいね追加
+ * タグの子孫のタグを取得
  */
-async function handleLike(request, env, postId) {
-  try {
-    const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-    const ipHash = await hashIP(ip);
+async function getTagDescendants(env, tagId) {
+  const { results } = await env.DB.prepare(`
+    WITH RECURSIVE tag_tree(id) AS (
+      SELECT id FROM tags WHERE parent_id = ?
+      UNION
+      SELECT tags.id FROM tags JOIN tag_tree ON tags.parent_id = tag_tree.id
+    )
+    SELECT id, name FROM tags WHERE id IN (SELECT id FROM tag_tree)
+  `).bind(tagId).all();
+  return results;
+}
 
-    // 投稿の存在確認
-    const post = await env.DB.prepare(
-      'SELECT id FROM posts WHERE id = ?'
-    ).bind(postId).first();
+/**
+ * タグの名前と親を変更し、子孫のタグの名前も合わせて変更
+ */
+async function renameTagTree(env, tag, newName, parentId) {
+  const descendants = await getTagDescendants(env, tag.id);
 
-    if (!post) {
-      return jsonResponse({ error: 'Post not found' }, 404);
-    }
+  await env.DB.prepare(
+    'UPDATE tags SET name = ?, parent_id = ? WHERE id = ?'
+  ).bind(newName, parentId, tag.id).run();
 
-    // 既にいいねしているか確認
-    const existing = await env.DB.prepare(
-      'SELECT id FROM likes WHERE post_id = ? AND ip_hash = ?'
-    ).bind(postId, ipHash).first();
+  for (const descendant of descendants) {
+    await env.DB.prepare(
+      'UPDATE tags SET name = ? WHERE id = ?'
+    ).bind(newName + descendant.name.substring(tag.name.length), descendant.id).run();
+  }
+}
 
-    if (existing) {
-      // 既にいいね済み - いいねを削除（トグル）
-      await env.DB.prepare(
-        'DELETE FROM likes WHERE post_id = ? AND ip_hash = ?'
-      ).bind(postId, ipHash).run();
+/**
+ * タグを別のタグに統合し、統合元のタグが付いていた投稿数を返す
+ * 子タグは統合先の子タグに移動する（同じ名前の子タグがあればそのタグに統合する）
+ */
+async function mergeTagInto(env, source, target) {
+  const { results: children } = await env.DB.prepare(
+    'SELECT id, name, description, color FROM tags WHERE parent_id = ?'
+  ).bind(source.id).all();
+
+  for (const child of children) {
+    const childName = target.name + child.name.substring(source.name.length);
+    const existing = await findTagByName(env, childName);
+    if (existing && existing.id !== child.id) {
+      await mergeTagInto(env, child, existing);
     } else {
-      // いいねを追加
-      await env.DB.prepare(
-        'INSERT INTO likes (post_id, ip_hash) VALUES (?, ?)'
-      ).bind(postId, ipHash).run();
+      await renameTagTree(env, child, childName, target.id);
     }
+  }
 
-    // いいね数を取得
-    const likesResult = await env.DB.prepare(
-      'SELECT COUNT(*) as count FROM likes WHERE post_id = ?'
-    ).bind(postId).first();
+  const { count } = await env.DB.prepare(
+    'SELECT COUNT(*) as count FROM post_tags WHERE tag_id = ?'
+  ).bind(source.id).first();
+
+  // 両方のタグが付いた投稿は統合先のタグを1つだけ残す
+  await env.DB.prepare(
+    'INSERT OR IGNORE INTO post_tags (post_id, tag_id) SELECT post_id, ? FROM post_tags WHERE tag_id = ?'
+  ).bind(target.id, source.id).run();
+  await env.DB.prepare(
+    'DELETE FROM post_tags WHERE tag_id = ?'
+  ).bind(source.id).run();
+
+  // 統合先に説明や色がなければ統合元のものを引き継ぐ
+  await env.DB.prepare(
+    'UPDATE tags SET description = COALESCE(description, ?), color = COALESCE(color, ?) WHERE id = ?'
+  ).bind(source.description, source.color, target.id).run();
+  await env.DB.prepare(
+    'DELETE FROM tags WHERE id = ?'
+  ).bind(source.id).run();
+
+  return count;
+}
 
-    return jsonResponse({
-      success: true,
-      likes: likesResult.count,
-      liked: !existing
-    });
-  } catch (error) {
-    console.error('Error processing like:', error);
-    return jsonResponse({ error: 'Failed to process like' }, 500);
-  }
+/**
+ * 公開中の投稿が付いたタグの一覧を取得
+ * count は子孫のタグが付いた投稿を含めた投稿数、own_count はそのタグ自体が付いた投稿数
+ */
+async function getPublicTagCounts(env) {
+  const { results } = await env.DB.prepare(`
+    WITH RECURSIVE tag_ancestors(tag_id, ancestor_id) AS (
+      SELECT id, id FROM tags
+      UNION ALL
+      SELECT ta.tag_id, t.parent_id
+      FROM tag_ancestors ta
+      JOIN tags t ON t.id = ta.ancestor_id
+      WHERE t.parent_id IS NOT NULL
+    )
+    SELECT t.id, t.name, t.parent_id, t.description, t.color,
+      COUNT(DISTINCT p.id) as count,
+      COUNT(DISTINCT CASE WHEN pt.tag_id = t.id THEN p.id END) as own_count
+    FROM tags t
+    JOIN tag_ancestors ta ON ta.ancestor_id = t.id
+    LEFT JOIN post_tags pt ON pt.tag_id = ta.tag_id
+    LEFT JOIN posts p ON pt.post_id = p.id AND p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+    GROUP BY t.id
+    HAVING count > 0
+    ORDER BY count DESC, t.name ASC
+  `).all();
+  return results;
 }
 
 /**
- * GET /api/likes/:postId - いいね数取得
+ * 投稿のタグを置き換え（存在しないタグは作成）
  */
-async function handleGetLikes(request, env, postId) {
-  try {
-    const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-    const ipHash = await hashIP(ip);
+async function savePostTags(env, postId, tags) {
+  await env.DB.prepare(
+    'DELETE FROM post_tags WHERE post_id = ?'
+  ).bind(postId).run();
 
-    // いいね数を取得
-    const likesResult = await env.DB.prepare(
-      'SELECT COUNT(*) as count FROM likes WHERE post_id = ?'
-    ).bind(postId).first();
+  const names = parsePostTags(tags) || [];
+  if (names.length === 0) return;
 
-    // 自分がいいねしているか確認
-    const userLike = await env.DB.prepare(
-      'SELECT id FROM likes WHERE post_id = ? AND ip_hash = ?'
-    ).bind(postId, ipHash).first();
+  for (const tagName of names) {
+    // タグが存在しない場合は作成
+    const tag = await findOrCreateTag(env, tagName);
 
-    return jsonResponse({
-      likes: likesResult.count,
-      liked: !!userLike
-    });
-  } catch (error) {
-    console.error('Error fetching likes:', error);
-    return jsonResponse({ error: 'Failed to fetch likes' }, 500);
+    // 投稿とタグを関連付け
+    await env.DB.prepare(
+      'INSERT INTO post_tags (post_id, tag_id) VALUES (?, ?)'
+    ).bind(postId, tag.id).run();
   }
 }
 
 /**
- * PUT /api/posts/:id/pin - 固定投稿設定/解除
+ * リクエストの画像一覧を検証して正規化（不正な場合は null）
+ * media を省略した場合は image_url / image_sensitive を1枚目の画像として扱う
  */
-async function handleTogglePin(request, env, postId) {
-  try {
-    const body = await request.json();
-    const isPinned = body.is_pinned;
-
-    if (typeof isPinned !== 'boolean') {
-      return jsonResponse({ error: 'is_pinned must be a boolean' }, 400);
-    }
+function parsePostMedia(body) {
+  const media = body.media !== undefined
+    ? body.media
+    : (body.image_url ? [{ url: body.image_url, is_sensitive: body.image_sensitive }] : []);
+
+  if (!Array.isArray(media) || media.length > MAX_MEDIA_PER_POST) return null;
+  if (media.some(item => !item || typeof item.url !== 'string' || !item.url)) return null;
+
+  return media.map(item => ({
+    url: item.url,
+    alt_text: typeof item.alt_text === 'string' && item.alt_text.trim() ? item.alt_text.trim() : null,
+    is_sensitive: item.is_sensitive ? 1 : 0
+  }));
+}
 
-    // 既に固定投稿がある場合は、それを解除する
-    if (isPinned) {
-      await env.DB.prepare(
-        'UPDATE posts SET is_pinned = 0 WHERE is_pinned = 1'
-      ).run();
-    }
+/**
+ * 投稿の画像を置き換え（配列の順番で表示）
+ */
+async function savePostMedia(env, postId, media) {
+  await env.DB.prepare(
+    'DELETE FROM post_media WHERE post_id = ?'
+  ).bind(postId).run();
 
-    // 指定された投稿の固定状態を設定
+  for (const [position, item] of media.entries()) {
     await env.DB.prepare(
-      'UPDATE posts SET is_pinned = ? WHERE id = ?'
-    ).bind(isPinned ? 1 : 0, postId).run();
-
-    return jsonResponse({
-      success: true,
-      is_pinned: isPinned
-    });
-  } catch (error) {
-    console.error('Error toggling pin:', error);
-    return jsonResponse({ error: 'Failed to toggle pin' }, 500);
+      'INSERT INTO post_media (post_id, url, alt_text, is_sensitive, position) VALUES (?, ?, ?, ?, ?)'
+    ).bind(postId, item.url, item.alt_text, item.is_sensitive, position).run();
   }
 }
 
 /**
- * POST /api/upload - 画像アップロード
+ * 投稿に画像一覧（media）を付与
+ * post_media がない投稿（移行前の投稿）は image_url を1枚目の画像として扱う
  */
-async function handleImageUpload(request, env) {
-  try {
-    if (!env.R2) {
-      return jsonResponse({ error: 'R2 bucket not configured' }, 500);
-    }
+async function attachMedia(env, posts) {
+  if (posts.length === 0) return posts;
+
+  const { results } = await env.DB.prepare(`
+    SELECT post_id, url, alt_text, is_sensitive FROM post_media
+    WHERE post_id IN (SELECT value FROM json_each(?))
+    ORDER BY post_id, position
+  `).bind(JSON.stringify(posts.map(post => post.id))).all();
+
+  const mediaMap = new Map();
+  results.forEach(({ post_id, ...item }) => {
+    if (!mediaMap.has(post_id)) mediaMap.set(post_id, []);
+    mediaMap.get(post_id).push(item);
+  });
 
-    const formData = await request.formData();
-    const imageFile = formData.get('image');
+  posts.forEach(post => {
+    post.media = mediaMap.get(post.id)
+      || (post.image_url ? [{ url: post.image_url, alt_text: null, is_sensitive: post.image_sensitive ? 1 : 0 }] : []);
+  });
 
-    if (!imageFile) {
-      return jsonResponse({ error: 'No image file provided' }, 400);
-    }
+  return posts;
+}
 
-    // ファイルタイプチェック
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    if (!allowedTypes.includes(imageFile.type)) {
-      return jsonResponse({ error: 'Invalid file type. Allowed: JPEG, PNG, GIF, WebP' }, 400);
-    }
+/**
+ * 履歴の画像一覧を取得（post_media への移行前の履歴は image_url を使う）
+ */
+function getRevisionMedia(revision) {
+  const media = revision.media ? JSON.parse(revision.media) : [];
+  if (media.length === 0 && revision.image_url) {
+    return [{ url: revision.image_url, alt_text: null, is_sensitive: revision.image_sensitive ? 1 : 0 }];
+  }
+  return media;
+}
 
-    // ファイルサイズチェック (5MB制限)
-    if (imageFile.size > 5 * 1024 * 1024) {
-      return jsonResponse({ error: 'File size exceeds 5MB limit' }, 400);
-    }
+/**
+ * 投稿の現在の状態を履歴（post_revisions）に保存
+ */
+async function savePostRevision(env, postId, auth) {
+  await env.DB.prepare(`
+    INSERT INTO post_revisions (post_id, content, image_url, image_sensitive, media, tags, edited_by)
+    SELECT p.id, p.content, p.image_url, p.image_sensitive,
+      (
+        SELECT json_group_array(json_object('url', m.url, 'alt_text', m.alt_text, 'is_sensitive', m.is_sensitive))
+        FROM (SELECT * FROM post_media WHERE post_id = p.id ORDER BY position) m
+      ),
+      (SELECT GROUP_CONCAT(t.name) FROM tags t JOIN post_tags pt ON t.id = pt.tag_id WHERE pt.post_id = p.id),
+      ?
+    FROM posts p
+    WHERE p.id = ?
+  `).bind(auth?.email || null, postId).run();
+}
 
-    // ファイル名を生成（タイムスタンプ + ランダム文字列）
-    const timestamp = Date.now();
-    const randomStr = Math.random().toString(36).substring(2, 10);
-    const ext = imageFile.name.split('.').pop();
-    const filename = `${timestamp}-${randomStr}.${ext}`;
+/**
+ * DateをD1の日時形式（UTCの 'YYYY-MM-DD HH:MM:SS'）に変換
+ */
+function toSQLDateTime(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
 
-    // R2にアップロード
-    await env.R2.put(filename, imageFile.stream(), {
-      httpMetadata: {
-        contentType: imageFile.type
-      }
-    });
+/**
+ * 予約投稿の公開日時を検証してD1の日時形式で返す（不正・過去の日時は null）
+ */
+function parsePublishAt(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime()) || date.getTime() <= Date.now()) return null;
+  return toSQLDateTime(date);
+}
 
-    // 公開URLを生成
-    // Note: R2のPublic Bucketを使用している場合、またはCustom Domainを設定している場合
-    // ここではWorker経由で画像を提供する想定
-    const imageUrl = `${env.SITE_URL}/images/${filename}`;
+/**
+ * 公開日時を過ぎた予約投稿を公開（Cron Triggerから実行）
+ * 予約した日時を投稿日時にする
+ */
+async function publishScheduledPosts(env) {
+  const { results } = await env.DB.prepare(
+    "SELECT id, publish_at FROM posts WHERE status = 'scheduled' AND publish_at <= ? AND deleted_at IS NULL"
+  ).bind(toSQLDateTime(new Date())).all();
 
-    return jsonResponse({
-      success: true,
-      url: imageUrl,
-      filename: filename
-    });
+  for (const post of results) {
+    await env.DB.prepare(`
+      UPDATE posts
+      SET status = 'published', created_at = publish_at, updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = ? AND status = 'scheduled'
+    `).bind(post.id).run();
 
-  } catch (error) {
-    console.error('Error uploading image:', error);
-    return jsonResponse({ error: 'Failed to upload image' }, 500);
+    await writeAuditLog(env, { type: 'system' }, 'post.publish', {
+      postId: post.id,
+      details: { publish_at: post.publish_at }
+    });
   }
+
+  return results.length;
 }
 
 /**
- * 画像取得ハンドラー (R2から画像を取得)
+ * 画像URLからR2のファイル名を取得（このサイトの /images/ 以外は null）
  */
-async function handleImageGet(env, filename) {
+function getImageFilename(env, imageUrl) {
   try {
-    if (!env.R2) {
-      return new Response('R2 bucket not configured', { status: 500 });
-    }
+    const url = new URL(imageUrl, env.SITE_URL);
+    if (url.host !== new URL(env.SITE_URL).host) return null;
 
-    const object = await env.R2.get(filename);
+    const match = /^\/images\/([^/]+)$/.exec(url.pathname);
+    return match ? decodeURIComponent(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
 
-    if (!object) {
-      return new Response('Image not found', { status: 404 });
+/**
+ * 投稿を完全に削除し、他で使われていない画像をR2から削除
+ * タグの関連付け・いいね・編集履歴は ON DELETE CASCADE で削除される
+ */
+async function purgePost(env, postId, actor) {
+  const before = await getPostSnapshot(env, postId);
+
+  // 投稿と編集履歴で使われている画像
+  const { results: images } = await env.DB.prepare(`
+    SELECT image_url FROM posts WHERE id = ? AND image_url IS NOT NULL
+    UNION
+    SELECT url FROM post_media WHERE post_id = ?
+    UNION
+    SELECT image_url FROM post_revisions WHERE post_id = ? AND image_url IS NOT NULL
+    UNION
+    SELECT json_extract(m.value, '$.url') FROM post_revisions r, json_each(r.media) m
+    WHERE r.post_id = ? AND r.media IS NOT NULL
+  `).bind(postId, postId, postId, postId).all();
+
+  await env.DB.prepare(
+    'DELETE FROM posts WHERE id = ?'
+  ).bind(postId).run();
+
+  for (const { image_url } of images) {
+    const filename = getImageFilename(env, image_url);
+    if (!filename || !env.R2) continue;
+
+    const inUse = await env.DB.prepare(`
+      SELECT 1 FROM posts WHERE image_url = ?
+      UNION ALL
+      SELECT 1 FROM post_media WHERE url = ?
+      UNION ALL
+      SELECT 1 FROM post_revisions WHERE image_url = ?
+      UNION ALL
+      SELECT 1 FROM post_revisions r, json_each(r.media) m
+      WHERE r.media IS NOT NULL AND json_extract(m.value, '$.url') = ?
+      LIMIT 1
+    `).bind(image_url, image_url, image_url, image_url).first();
+
+    if (!inUse) {
+      await env.R2.delete(filename);
     }
+  }
 
-    const headers = new Headers();
-    object.writeHttpMetadata(headers);
-    headers.set('etag', object.httpEtag);
-    headers.set('cache-control', 'public, max-age=31536000');
-
-    return new Response(object.body, {
-      headers
-    });
+  await writeAuditLog(env, actor, 'post.delete', {
+    postId,
+    details: diffPostSnapshots(before, null)
+  });
+}
 
-  } catch (error) {
-    console.error('Error fetching image:', error);
-    return new Response('Failed to fetch image', { status: 500 });
-  }
+/**
+ * ゴミ箱の保存日数を取得（TRASH_RETENTION_DAYS が正の整数でない場合はデフォルト値）
+ * 0 以下や数値以外の値でゴミ箱全体が削除されないようにする
+ */
+function getTrashRetentionDays(env) {
+  const days = Number(env.TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : TRASH_RETENTION_DAYS;
 }
 
 /**
- * トップページハンドラー
+ * 保存期間を過ぎたゴミ箱の投稿を完全に削除（Cron Triggerから実行）
  */
-async function handleIndexPage(env) {
-  const siteName = env.SITE_NAME || 'Journal';
+async function purgeDeletedPosts(env) {
+  const retentionDays = getTrashRetentionDays(env);
+  const cutoff = toSQLDateTime(new Date(Date.now() - retentionDays * 86400 * 1000));
 
-  const html = `
-<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${siteName}</title>
-  <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
-  <script src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js" defer></script>
-  <style>
-    :root {
-      --color-primary: #3965a0ff;
-      --color-primary-dark: #383933;
-      --color-bg: #3d3b3bff;
-      --color-bg-secondary: #181818ff;
-      --color-text: #8f8b7c;
-      --color-text-secondary: #666666;
-      --color-text-muted: #999999;
-      --color-border: #333435;
-      --color-like: #687428ff;
-      --color-tag: #737550;
-      --color-spoiler-bg: #686767ff;
-      --color-spoiler-overlay: rgba(32, 32, 32, 0.8);
-    }
+  const { results } = await env.DB.prepare(
+    'SELECT id FROM posts WHERE deleted_at IS NOT NULL AND deleted_at <= ?'
+  ).bind(cutoff).all();
 
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
+  for (const post of results) {
+    await purgePost(env, post.id, { type: 'system' });
+  }
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif;
-      font-size: 16px;
-      line-height: 1.6;
-      color: var(--color-text);
-      background-color: var(--color-bg);
-    }
+  return results.length;
+}
 
-    .container {
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 20px;
-    }
+/**
+ * 監査ログのページング位置（?before= のログID）を取得
+ * 未指定は null、正の整数でない場合は NaN
+ */
+function parseAuditLogBefore(value) {
+  if (value === null || value === '') return null;
 
-    /* ヘッダー */
-    header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      padding: 20px 0;
-      margin-bottom: 30px;
-      border-bottom: 1px solid var(--color-border);
-    }
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
 
-    .logo {
-      font-size: 24px;
-      font-weight: 700;
-      color: var(--color-text);
-      text-decoration: none;
-    }
+/**
+ * 監査ログを検索（before は parseAuditLogBefore で検証したID）
+ */
+async function queryAuditLog(env, { action, actor, postId, before } = {}) {
+  const conditions = [];
+  const params = [];
 
-    .login-btn {
-      padding: 8px 16px;
-      background-color: var(--color-primary);
-      color: white;
-      border: none;
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 14px;
-      text-decoration: none;
-    }
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (actor) {
+    // % と _ は部分一致の特殊文字として扱わない
+    conditions.push("actor_email LIKE ? ESCAPE '\\'");
+    params.push('%' + actor.replace(/[\\%_]/g, '\\$&') + '%');
+  }
+  if (postId) {
+    conditions.push('target_post_id = ?');
+    params.push(postId);
+  }
+  if (before) {
+    conditions.push('id < ?');
+    params.push(before);
+  }
 
-    .login-btn:hover {
-      background-color: var(--color-primary-dark);
-    }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { results } = await env.DB.prepare(`
+    SELECT id, actor_email, actor_type, action, target_post_id, details, created_at
+    FROM audit_log
+    ${where}
+    ORDER BY id DESC
+    LIMIT ?
+  `).bind(...params, AUDIT_PAGE_SIZE + 1).all();
+
+  return {
+    entries: results.slice(0, AUDIT_PAGE_SIZE).map(entry => ({
+      ...entry,
+      details: entry.details ? JSON.parse(entry.details) : null
+    })),
+    hasMore: results.length > AUDIT_PAGE_SIZE
+  };
+}
 
-    .list-btn {
-      padding: 8px 16px;
-      background-color: var(--color-secondary);
-      color: var(--color-text);
-      border: 1px solid var(--color-border);
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 14px;
-      text-decoration: none;
-      transition: all 0.2s;
-    }
+/**
+ * 開発用ログインが有効かチェック
+ * DEV_LOGIN が "true" でも、SITE_URL が本番（localhost 以外の HTTPS）の場合は無効
+ */
+function isDevLoginEnabled(env) {
+  if (env.DEV_LOGIN !== 'true') return false;
 
-    .list-btn:hover {
-      background-color: var(--color-spoiler-bg);
-      border-color: var(--color-primary);
-    }
+  try {
+    const siteURL = new URL(env.SITE_URL);
+    const isLocalhost = ['localhost', '127.0.0.1', '[::1]'].includes(siteURL.hostname);
+    return siteURL.protocol !== 'https:' || isLocalhost;
+  } catch {
+    return false;
+  }
+}
 
-    /* タグナビゲーション */
-    .tag-nav {
-      display: flex;
-      gap: 12px;
-      margin-bottom: 30px;
-      overflow-x: auto;
-      padding-bottom: 10px;
-    }
+/**
+ * OAuth state と PKCE verifier を保存
+ */
+async function saveOAuthState(env, state, data) {
+  await env.SESSION_KV.put(
+    `oauth:${state}`,
+    JSON.stringify(data),
+    { expirationTtl: OAUTH_STATE_TTL }
+  );
+}
 
-    .tag-nav::-webkit-scrollbar {
-      height: 6px;
-    }
+/**
+ * OAuth state を取得して削除（一度だけ使用可能）
+ */
+async function consumeOAuthState(env, state) {
+  if (!env.SESSION_KV || !state) return null;
+  const key = `oauth:${state}`;
+  const data = await env.SESSION_KV.get(key);
+  if (!data) return null;
+  await env.SESSION_KV.delete(key);
+  return JSON.parse(data);
+}
 
-    .tag-nav::-webkit-scrollbar-thumb {
-      background-color: var(--color-border);
-      border-radius: 3px;
-    }
+/**
+ * PKCE の code_challenge を生成（S256）
+ */
+async function createCodeChallenge(codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(digest);
+}
 
-    .tag-item {
-      padding: 6px 16px;
-      background-color: var(--color-bg-secondary);
-      color: var(--color-text);
+/**
+ * Google OAuth URL を生成
+ */
+function getGoogleAuthURL(env, state, codeChallenge) {
+  const params = new URLSearchParams({
+    client_id: env.GOOGLE_CLIENT_ID,
+    redirect_uri: env.GOOGLE_REDIRECT_URI,
+    response_type: 'code',
+    scope: 'openid email profile',
+    access_type: 'offline',
+    prompt: 'consent',
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+}
+
+/**
+ * Google OAuth トークン交換
+ */
+async function exchangeCodeForToken(code, codeVerifier, env) {
+  const response = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      code,
+      client_id: env.GOOGLE_CLIENT_ID,
+      client_secret: env.GOOGLE_CLIENT_SECRET,
+      redirect_uri: env.GOOGLE_REDIRECT_URI,
+      grant_type: 'authorization_code',
+      code_verifier: codeVerifier
+    })
+  });
+
+  return response.json();
+}
+
+/**
+ * Google ユーザー情報を取得
+ */
+async function getGoogleUserInfo(accessToken) {
+  const response = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+
+  return response.json();
+}
+
+/**
+ * base64url文字列をバイト列に変換
+ */
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * バイト列を連結
+ */
+function concatBytes(...arrays) {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+/**
+ * バイト列が等しいかチェック
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * CBORをデコード（WebAuthnで使われる型のみ対応）
+ * 値と読み取ったバイト数を返す
+ */
+function decodeCBOR(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const readLength = info => {
+    if (info < 24) return info;
+    if (info === 24) return view.getUint8(offset++);
+    if (info === 25) {
+      const value = view.getUint16(offset);
+      offset += 2;
+      return value;
+    }
+    if (info === 26) {
+      const value = view.getUint32(offset);
+      offset += 4;
+      return value;
+    }
+    throw new Error('Unsupported CBOR length');
+  };
+
+  const readItem = () => {
+    const initial = view.getUint8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 1:
+        return -1 - readLength(info);
+      case 2: {
+        const length = readLength(info);
+        const value = bytes.slice(offset, offset + length);
+        offset += length;
+        return value;
+      }
+      case 3: {
+        const length = readLength(info);
+        const value = new TextDecoder().decode(bytes.slice(offset, offset + length));
+        offset += length;
+        return value;
+      }
+      case 4: {
+        const length = readLength(info);
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(readItem());
+        return items;
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        throw new Error('Unsupported CBOR simple value');
+      default:
+        throw new Error('Unsupported CBOR type');
+    }
+  };
+
+  const value = readItem();
+  return { value, length: offset };
+}
+
+/**
+ * WebAuthn の authenticatorData を解析
+ */
+function parseAuthenticatorData(bytes) {
+  if (bytes.length < 37) {
+    throw new Error('authenticatorData is too short');
+  }
+
+  const flags = bytes[32];
+  const result = {
+    rpIdHash: bytes.slice(0, 32),
+    userPresent: !!(flags & 0x01),
+    userVerified: !!(flags & 0x04),
+    signCount: new DataView(bytes.buffer, bytes.byteOffset + 33, 4).getUint32(0),
+    credential: null
+  };
+
+  // 登録時は attested credential data が含まれる
+  if (flags & 0x40) {
+    const credentialIdLength = (bytes[53] << 8) | bytes[54];
+    const credentialId = bytes.slice(55, 55 + credentialIdLength);
+    const { value: publicKey } = decodeCBOR(bytes.slice(55 + credentialIdLength));
+    result.credential = { credentialId, publicKey };
+  }
+
+  return result;
+}
+
+/**
+ * COSE形式の公開鍵をJWKに変換
+ */
+function coseKeyToJWK(coseKey) {
+  const keyType = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+
+  if (keyType === 2 && algorithm === -7 && coseKey.get(-1) === 1) {
+    return {
+      algorithm,
+      jwk: { kty: 'EC', crv: 'P-256', x: base64UrlEncode(coseKey.get(-2)), y: base64UrlEncode(coseKey.get(-3)) }
+    };
+  }
+
+  if (keyType === 3 && algorithm === -257) {
+    return {
+      algorithm,
+      jwk: { kty: 'RSA', alg: 'RS256', n: base64UrlEncode(coseKey.get(-1)), e: base64UrlEncode(coseKey.get(-2)) }
+    };
+  }
+
+  throw new Error('Unsupported public key algorithm');
+}
+
+/**
+ * DER形式のECDSA署名を raw (r || s) 形式に変換
+ */
+function derToRawSignature(der, size = 32) {
+  let offset = 2;
+  const readInteger = () => {
+    if (der[offset++] !== 0x02) throw new Error('Invalid DER signature');
+    const length = der[offset++];
+    let integer = der.slice(offset, offset + length);
+    offset += length;
+
+    while (integer.length > size && integer[0] === 0) {
+      integer = integer.slice(1);
+    }
+    const padded = new Uint8Array(size);
+    padded.set(integer, size - integer.length);
+    return padded;
+  };
+
+  if (der[0] !== 0x30) throw new Error('Invalid DER signature');
+  return concatBytes(readInteger(), readInteger());
+}
+
+/**
+ * WebAuthn の署名を検証
+ */
+async function verifyWebAuthnSignature(algorithm, jwk, signature, data) {
+  if (algorithm === -7) {
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), data);
+  }
+
+  if (algorithm === -257) {
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data);
+  }
+
+  return false;
+}
+
+/**
+ * WebAuthn challenge を発行して保存
+ */
+async function createWebAuthnChallenge(env, data) {
+  const challenge = generateRandomToken();
+  await env.SESSION_KV.put(
+    `webauthn:${challenge}`,
+    JSON.stringify(data),
+    { expirationTtl: WEBAUTHN_CHALLENGE_TTL }
+  );
+  return challenge;
+}
+
+/**
+ * WebAuthn challenge を取得して削除（一度だけ使用可能）
+ */
+async function consumeWebAuthnChallenge(env, challenge) {
+  if (!env.SESSION_KV || !challenge) return null;
+  const key = `webauthn:${challenge}`;
+  const data = await env.SESSION_KV.get(key);
+  if (!data) return null;
+  await env.SESSION_KV.delete(key);
+  return JSON.parse(data);
+}
+
+/**
+ * clientDataJSON を検証し、challenge に紐づくデータを返す
+ */
+async function verifyClientData(env, request, clientDataJSON, expectedType) {
+  const clientData = JSON.parse(new TextDecoder().decode(clientDataJSON));
+  const origin = new URL(request.url).origin;
+
+  if (clientData.type !== expectedType) {
+    throw new Error('Invalid client data type');
+  }
+
+  if (clientData.origin !== origin) {
+    throw new Error('Invalid origin');
+  }
+
+  const challengeData = await consumeWebAuthnChallenge(env, clientData.challenge);
+  if (!challengeData || challengeData.type !== expectedType) {
+    throw new Error('Invalid or expired challenge');
+  }
+
+  return challengeData;
+}
+
+/**
+ * authenticatorData の RP ID ハッシュとユーザー存在フラグを検証
+ */
+async function verifyAuthenticatorData(request, authData) {
+  const rpId = new URL(request.url).hostname;
+  const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(rpId)));
+
+  if (!bytesEqual(authData.rpIdHash, rpIdHash)) {
+    throw new Error('Invalid RP ID');
+  }
+
+  if (!authData.userPresent) {
+    throw new Error('User presence is required');
+  }
+}
+
+/**
+ * D1 の日時（UTC の 'YYYY-MM-DD HH:MM:SS'）を Date に変換
+ */
+function parseUTC(value) {
+  return new Date(String(value).replace(' ', 'T') + 'Z');
+}
+
+/**
+ * 投稿のタイトルを取得（最初の見出し、なければ最初の行。spoiler は伏せ字）
+ */
+function getPostTitle(content) {
+  const lines = maskSpoilers(content).split('\n');
+  const heading = lines.find(line => line.trim().startsWith('# '));
+  if (heading) {
+    return heading.trim().replace(/^#\s+/, '');
+  }
+
+  const firstLine = lines[0]?.trim() || '';
+  return firstLine.length > 50 ? firstLine.substring(0, 50) + '...' : firstLine || '無題';
+}
+
+/**
+ * 画像URLの拡張子から MIME タイプを推測
+ */
+function getImageMimeType(url) {
+  const ext = String(url).split('?')[0].split('.').pop().toLowerCase();
+  return IMAGE_MIME_TYPES[ext] || 'image/jpeg';
+}
+
+/**
+ * フィードの <link rel="alternate"> タグを生成（tag を指定するとタグのフィード）
+ */
+function renderFeedLinks(env, tag = null) {
+  const siteName = env.SITE_NAME || 'My Blog';
+  const basePath = tag ? `/tag/${encodeURIComponent(tag)}` : '';
+  const title = escapeHTML(tag ? `${siteName} - #${tag}` : siteName);
+
+  return Object.values(FEED_FORMATS).map(format =>
+    `<link rel="alternate" type="${format.type}" title="${title} (${format.name})" href="${basePath}/${format.path}">`
+  ).join('\n  ');
+}
+
+/**
+ * フィード用に投稿本文をHTMLに変換
+ * spoiler は伏せ字にし、画像と引用元は本文の後に追加する（センシティブな画像はリンクのみ）
+ */
+function renderFeedContent(env, post) {
+  const postUrl = `${env.SITE_URL}/post/${post.id}`;
+  let html = marked.parse(maskSpoilers(post.content));
+
+  post.media.filter(item => !item.is_sensitive).forEach(item => {
+    html += `<p><img src="${escapeHTML(item.url)}" alt="${escapeHTML(item.alt_text || '')}"></p>`;
+  });
+
+  if (post.media.some(item => item.is_sensitive)) {
+    html += `<p><a href="${postUrl}">センシティブな画像があります（サイトで表示）</a></p>`;
+  }
+
+  if (post.quoted_post && !post.quoted_post.deleted) {
+    html += `<blockquote>${marked.parse(maskSpoilers(post.quoted_post.content))}`
+      + `<p><a href="${env.SITE_URL}/post/${post.quoted_post.id}">引用元の投稿</a></p></blockquote>`;
+  }
+
+  return html;
+}
+
+/**
+ * RSS 2.0 フィードを生成
+ */
+function renderRSSFeed(env, feed) {
+  const items = feed.posts.map(post => {
+    const postUrl = `${env.SITE_URL}/post/${post.id}`;
+    const enclosure = post.media.find(item => !item.is_sensitive);
+
+    return `
+    <item>
+      <title>${escapeHTML(getPostTitle(post.content))}</title>
+      <link>${postUrl}</link>
+      <guid isPermaLink="true">${postUrl}</guid>
+      <pubDate>${parseUTC(post.created_at).toUTCString()}</pubDate>
+      ${post.author_name ? `<dc:creator>${escapeHTML(post.author_name)}</dc:creator>` : ''}
+      ${post.tags.map(tag => `<category>${escapeHTML(tag)}</category>`).join('')}
+      <description>${escapeHTML(renderFeedContent(env, post))}</description>
+      ${enclosure ? `<enclosure url="${escapeHTML(enclosure.url)}" length="0" type="${getImageMimeType(enclosure.url)}"/>` : ''}
+    </item>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHTML(feed.title)}</title>
+    <link>${feed.homeUrl}</link>
+    <description>${escapeHTML(feed.title)}</description>
+    <language>ja</language>
+    <atom:link href="${feed.feedUrl}" rel="self" type="application/rss+xml"/>
+    ${feed.updated ? `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : ''}${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom フィードを生成
+ */
+function renderAtomFeed(env, feed) {
+  const entries = feed.posts.map(post => {
+    const postUrl = `${env.SITE_URL}/post/${post.id}`;
+
+    return `
+  <entry>
+    <title>${escapeHTML(getPostTitle(post.content))}</title>
+    <link rel="alternate" type="text/html" href="${postUrl}"/>
+    <id>${postUrl}</id>
+    <published>${parseUTC(post.created_at).toISOString()}</published>
+    <updated>${parseUTC(post.updated_at || post.created_at).toISOString()}</updated>
+    <author><name>${escapeHTML(post.author_name || feed.siteName)}</name></author>
+    ${post.tags.map(tag => `<category term="${escapeHTML(tag)}"/>`).join('')}
+    ${post.media.filter(item => !item.is_sensitive).map(item =>
+      `<link rel="enclosure" type="${getImageMimeType(item.url)}" href="${escapeHTML(item.url)}"/>`
+    ).join('')}
+    <content type="html">${escapeHTML(renderFeedContent(env, post))}</content>
+  </entry>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="ja">
+  <title>${escapeHTML(feed.title)}</title>
+  <link rel="alternate" type="text/html" href="${feed.homeUrl}"/>
+  <link rel="self" type="application/atom+xml" href="${feed.feedUrl}"/>
+  <id>${feed.homeUrl}</id>
+  <updated>${(feed.updated || new Date(0)).toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 を生成
+ */
+function renderJSONFeed(env, feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    language: 'ja',
+    items: feed.posts.map(post => {
+      const images = post.media.filter(item => !item.is_sensitive);
+
+      return {
+        id: `${env.SITE_URL}/post/${post.id}`,
+        url: `${env.SITE_URL}/post/${post.id}`,
+        title: getPostTitle(post.content),
+        content_html: renderFeedContent(env, post),
+        date_published: parseUTC(post.created_at).toISOString(),
+        date_modified: parseUTC(post.updated_at || post.created_at).toISOString(),
+        ...(post.author_name ? { authors: [{ name: post.author_name, avatar: post.author_picture || undefined }] } : {}),
+        tags: post.tags,
+        ...(images.length > 0 ? { image: images[0].url } : {}),
+        attachments: images.map(item => ({
+          url: item.url,
+          mime_type: getImageMimeType(item.url),
+          ...(item.alt_text ? { title: item.alt_text } : {})
+        }))
+      };
+    })
+  }, null, 2);
+}
+
+// ============================================================================
+// Handlers
+// ============================================================================
+
+/**
+ * GET /feed.xml, /atom.xml, /feed.json - フィード（/tag/:name/ 以下はタグごとのフィード）
+ * 公開済み・公開範囲が公開の投稿のみを新しい順に含める
+ * If-None-Match（ETag）による条件付きGETに対応
+ */
+async function handleFeed(request, env, formatKey, tagSegment = null) {
+  try {
+    let tag = null;
+    if (tagSegment) {
+      const tagRecord = await findTagByName(env, normalizeTagName(decodeURIComponent(tagSegment)));
+      if (!tagRecord) {
+        return new Response('Not found', { status: 404 });
+      }
+      tag = tagRecord.name;
+    }
+
+    const { results: posts } = await env.DB.prepare(`
+      SELECT
+        p.*,
+        GROUP_CONCAT(t.name) as tags,
+        u.name as author_name,
+        u.picture as author_picture
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      LEFT JOIN post_tags pt ON p.id = pt.post_id
+      LEFT JOIN tags t ON pt.tag_id = t.id
+      WHERE p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+        ${tag ? `AND p.id IN (${TAGGED_POST_IDS_SQL})` : ''}
+      GROUP BY p.id
+      ORDER BY p.created_at DESC
+      LIMIT ?
+    `).bind(...(tag ? [tag] : []), FEED_ITEM_LIMIT).all();
+
+    posts.forEach(post => {
+      post.tags = post.tags ? post.tags.split(',') : [];
+    });
+
+    await attachMedia(env, posts);
+    await attachQuotes(env, posts);
+
+    // 最終更新日時は含まれる投稿の updated_at の最大値
+    const updatedTimes = posts.map(post => parseUTC(post.updated_at || post.created_at).getTime());
+    const updated = updatedTimes.length > 0 ? new Date(Math.max(...updatedTimes)) : null;
+
+    const format = FEED_FORMATS[formatKey];
+    const siteName = env.SITE_NAME || 'My Blog';
+    const basePath = tag ? `/tag/${encodeURIComponent(tag)}` : '';
+    const feed = {
+      siteName,
+      title: tag ? `${siteName} - #${tag}` : siteName,
+      homeUrl: env.SITE_URL + (basePath || '/'),
+      feedUrl: `${env.SITE_URL}${basePath}/${format.path}`,
+      updated,
+      posts
+    };
+
+    const body = { rss: renderRSSFeed, atom: renderAtomFeed, json: renderJSONFeed }[formatKey](env, feed);
+
+    // 投稿の削除や公開範囲の変更も反映されるよう、ETag は内容から計算する
+    // updated_at の最大値は最新の投稿が消えると過去に戻るため、Last-Modified による条件付きGETには使わない
+    const etag = `"${(await sha256Hex(body)).substring(0, 32)}"`;
+    const headers = {
+      'Content-Type': `${format.type}; charset=utf-8`,
+      'ETag': etag,
+      'Cache-Control': 'public, max-age=300'
+    };
+
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    const notModified = !!ifNoneMatch &&
+      ifNoneMatch.split(',').map(value => value.trim().replace(/^W\//, '')).includes(etag);
+
+    if (notModified) {
+      return new Response(null, { status: 304, headers });
+    }
+
+    return new Response(body, { headers });
+  } catch (error) {
+    if (error instanceof URIError) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    console.error('Error generating feed:', error);
+    return new Response('Failed to generate feed', { status: 500 });
+  }
+}
+
+/**
+ * robots.txt ハンドラー
+ */
+function handleRobotsTxt() {
+  const robotsTxt = `
+User-agent: GPTBot
+Disallow: /
+
+User-agent: CCBot
+Disallow: /
+
+User-agent: anthropic-ai
+Disallow: /
+
+User-agent: Claude-Web
+Disallow: /
+
+User-agent: ChatGPT-User
+Disallow: /
+
+User-agent: cohere-ai
+Disallow: /
+
+User-agent: Google-Extended
+Disallow: /
+
+User-agent: Bytespider
+Disallow: /
+
+User-agent: Googlebot
+Crawl-delay: 10
+Allow: /
+
+User-agent: Bingbot
+Crawl-delay: 10
+Allow: /
+
+User-agent: *
+Crawl-delay: 10
+Allow: /
+  `.trim();
+
+  return new Response(robotsTxt, {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+  });
+}
+
+/**
+ * CORS Preflight ハンドラー
+ */
+function handleCORS(request, env) {
+  const origin = request.headers.get('Origin');
+  return new Response(null, {
+    headers: corsHeaders(origin, env)
+  });
+}
+
+/**
+ * ログインページハンドラー
+ */
+function handleLoginPage(request, env) {
+  const url = new URL(request.url);
+  const returnTo = sanitizeReturnTo(url.searchParams.get('return_to'));
+  const authURL = '/auth/google?return_to=' + encodeURIComponent(returnTo);
+  const devLoginURL = '/auth/dev?return_to=' + encodeURIComponent(returnTo);
+
+  const html = `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>ログイン - ${env.SITE_NAME || 'Blog'}</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+      background: #0f0f0f;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+    }
+
+    .login-container {
+      background: #1a1a1a;
+      border: 1px solid #2d2d2d;
+      border-radius: 12px;
+      padding: 60px 40px;
+      max-width: 400px;
+      width: 100%;
+      box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
+      text-align: center;
+    }
+
+    h1 {
+      font-size: 28px;
+      margin-bottom: 10px;
+      color: #ffffff;
+    }
+
+    p {
+      color: #b0b0b0;
+      margin-bottom: 40px;
+      line-height: 1.6;
+    }
+
+    .google-btn {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      background: #2d2d2d;
+      color: #ffffff;
+      border: 2px solid #404040;
+      border-radius: 8px;
+      padding: 12px 24px;
+      font-size: 16px;
+      font-weight: 500;
+      text-decoration: none;
+      transition: all 0.3s;
+      cursor: pointer;
+      width: 100%;
+    }
+
+    .google-btn:hover {
+      background: #353535;
+      border-color: #4285f4;
+      box-shadow: 0 2px 8px rgba(66, 133, 244, 0.3);
+    }
+
+    .google-icon {
+      width: 20px;
+      height: 20px;
+      margin-right: 12px;
+    }
+
+    .passkey-btn {
+      margin-top: 16px;
+    }
+
+    .passkey-btn:hover {
+      border-color: #1da1f2;
+      box-shadow: 0 2px 8px rgba(29, 161, 242, 0.3);
+    }
+
+    .dev-login-btn {
+      margin-top: 16px;
+      border-style: dashed;
+    }
+
+    .login-error {
+      display: none;
+      margin-top: 16px;
+      margin-bottom: 0;
+      color: #f87171;
+      font-size: 14px;
+    }
+
+    .back-link {
+      display: block;
+      margin-top: 30px;
+      color: #1da1f2;
+      text-decoration: none;
+      font-size: 14px;
+    }
+
+    .back-link:hover {
+      text-decoration: underline;
+      color: #1a91da;
+    }
+  </style>
+</head>
+<body>
+  <div class="login-container">
+    <h1>管理者ログイン</h1>
+    <p>ブログの管理画面にアクセスするには<br>Googleアカウントでログインしてください</p>
+
+    <a href="${authURL}" class="google-btn">
+      <svg class="google-icon" viewBox="0 0 24 24">
+        <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
+        <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
+        <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
+        <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
+      </svg>
+      Googleでログイン
+    </a>
+
+    <button type="button" class="google-btn passkey-btn" onclick="loginWithPasskey()">
+      🔐 パスキーでログイン
+    </button>
+    <p class="login-error" id="loginError"></p>
+
+    ${isDevLoginEnabled(env) ? `
+      <a href="${devLoginURL}" class="google-btn dev-login-btn">🛠 開発用ログイン</a>
+    ` : ''}
+
+    <a href="/" class="back-link">← トップページに戻る</a>
+  </div>
+
+  <script>
+    function toBase64Url(buffer) {
+      const bytes = new Uint8Array(buffer);
+      let binary = '';
+      bytes.forEach(byte => binary += String.fromCharCode(byte));
+      return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(value) {
+      const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+      const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+      return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+    }
+
+    function showError(message) {
+      const error = document.getElementById('loginError');
+      error.textContent = message;
+      error.style.display = 'block';
+    }
+
+    async function loginWithPasskey() {
+      if (!window.PublicKeyCredential) {
+        showError('このブラウザはパスキーに対応していません');
+        return;
+      }
+
+      try {
+        const optionsResponse = await fetch('/api/passkeys/login/options', { method: 'POST' });
+        if (!optionsResponse.ok) {
+          throw new Error('ログインオプションの取得に失敗しました');
+        }
+        const options = await optionsResponse.json();
+
+        const credential = await navigator.credentials.get({
+          publicKey: {
+            ...options,
+            challenge: fromBase64Url(options.challenge)
+          }
+        });
+
+        const response = await fetch('/api/passkeys/login', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            id: credential.id,
+            clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+            authenticatorData: toBase64Url(credential.response.authenticatorData),
+            signature: toBase64Url(credential.response.signature),
+            return_to: ${JSON.stringify(returnTo).replace(/</g, '\\u003c')}
+          })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'ログインに失敗しました');
+        }
+
+        location.href = data.redirect;
+      } catch (error) {
+        showError('パスキーでログインできませんでした: ' + error.message);
+      }
+    }
+  </script>
+</body>
+</html>
+  `;
+
+  return htmlResponse(html);
+}
+
+/**
+ * OAuth 開始ハンドラー
+ * state と PKCE verifier を発行してGoogleへリダイレクトする
+ */
+async function handleAuthStart(request, env) {
+  if (!env.SESSION_KV) {
+    return htmlResponse('<h1>認証エラー</h1><p>SESSION_KVが設定されていません。</p>', 500);
+  }
+
+  const url = new URL(request.url);
+  const returnTo = sanitizeReturnTo(url.searchParams.get('return_to'));
+
+  const state = generateRandomToken();
+  const codeVerifier = generateRandomToken(48);
+  await saveOAuthState(env, state, { codeVerifier, returnTo });
+
+  const codeChallenge = await createCodeChallenge(codeVerifier);
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': getGoogleAuthURL(env, state, codeChallenge),
+      'Set-Cookie': `oauth_state=${state}; Path=/auth; HttpOnly; Secure; SameSite=Lax; Max-Age=${OAUTH_STATE_TTL}`
+    }
+  });
+}
+
+/**
+ * OAuth コールバックハンドラー
+ */
+async function handleAuthCallback(request, env) {
+  const url = new URL(request.url);
+  const code = url.searchParams.get('code');
+  const state = url.searchParams.get('state');
+
+  if (!code) {
+    return htmlResponse('<h1>認証エラー</h1><p>認証コードが取得できませんでした。</p>', 400);
+  }
+
+  // state がこのブラウザで開始したログインのものか検証
+  const cookieState = getCookie(request, 'oauth_state');
+  const oauthState = state && state === cookieState ? await consumeOAuthState(env, state) : null;
+
+  if (!oauthState) {
+    return htmlResponse('<h1>認証エラー</h1><p>ログインの有効期限が切れたか、不正なリクエストです。もう一度ログインしてください。</p><a href="/login">ログインページへ</a>', 400);
+  }
+
+  try {
+    // トークン取得
+    const tokenData = await exchangeCodeForToken(code, oauthState.codeVerifier, env);
+
+    if (!tokenData.access_token) {
+      throw new Error('アクセストークンの取得に失敗しました');
+    }
+
+    // ユーザー情報取得
+    const userInfo = await getGoogleUserInfo(tokenData.access_token);
+
+    // 招待済みのユーザーかチェック
+    const user = await loginUser(env, userInfo);
+    if (!user) {
+      await writeAuditLog(env, { type: 'google', email: userInfo.email }, 'auth.login_denied');
+      return htmlResponse(`
+        <h1>アクセス拒否</h1>
+        <p>このメールアドレス（${escapeHTML(userInfo.email)}）は許可されていません。</p>
+        <a href="/">トップページに戻る</a>
+      `, 403);
+    }
+
+    // セッション作成
+    const sessionCookie = await createUserSession(env, {
+      email: userInfo.email,
+      name: userInfo.name,
+      picture: userInfo.picture
+    }, request);
+
+    await writeAuditLog(env, { type: 'google', email: userInfo.email }, 'auth.login');
+
+    // Cookieをセットしてリダイレクト
+    const headers = new Headers({ 'Location': sanitizeReturnTo(oauthState.returnTo) });
+    headers.append('Set-Cookie', sessionCookie);
+    headers.append('Set-Cookie', 'oauth_state=; Path=/auth; HttpOnly; Secure; SameSite=Lax; Max-Age=0');
+
+    return new Response(null, {
+      status: 302,
+      headers
+    });
+
+  } catch (error) {
+    console.error('Auth callback error:', error);
+    return htmlResponse(`<h1>認証エラー</h1><p>${error.message}</p>`, 500);
+  }
+}
+
+/**
+ * 開発用ログインハンドラー
+ * Google OAuth を使わずに、本番と同じ形式のセッションを発行する（wrangler dev・自動テスト用）
+ */
+async function handleDevLogin(request, env) {
+  if (!isDevLoginEnabled(env)) {
+    return htmlResponse('<h1>開発用ログインは無効です</h1><p>DEV_LOGIN はSITE_URLがHTTPSの本番環境では使用できません。</p><a href="/login">ログインページへ</a>', 403);
+  }
+
+  const url = new URL(request.url);
+  const email = url.searchParams.get('email') || env.DEV_LOGIN_EMAIL || env.ALLOWED_EMAIL || 'dev@localhost';
+  const userInfo = {
+    email,
+    name: url.searchParams.get('name') || email.split('@')[0],
+    picture: url.searchParams.get('picture') || null
+  };
+
+  try {
+    const user = await loginUser(env, userInfo);
+    if (!user) {
+      await writeAuditLog(env, { type: 'dev', email }, 'auth.login_denied');
+      return htmlResponse(`
+        <h1>アクセス拒否</h1>
+        <p>このメールアドレス（${escapeHTML(email)}）は許可されていません。</p>
+        <a href="/">トップページに戻る</a>
+      `, 403);
+    }
+
+    const sessionCookie = await createUserSession(env, userInfo, request);
+
+    await writeAuditLog(env, { type: 'dev', email }, 'auth.login');
+
+    return new Response(null, {
+      status: 302,
+      headers: {
+        'Location': sanitizeReturnTo(url.searchParams.get('return_to')),
+        'Set-Cookie': sessionCookie
+      }
+    });
+  } catch (error) {
+    console.error('Dev login error:', error);
+    return htmlResponse(`<h1>認証エラー</h1><p>${escapeHTML(error.message)}</p>`, 500);
+  }
+}
+
+/**
+ * ログアウトハンドラー
+ */
+async function handleLogout(request, env) {
+  const sessionId = await getSessionFromCookie(request, env);
+
+  if (sessionId) {
+    await deleteSession(env, sessionId);
+  }
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': '/',
+      'Set-Cookie': 'session=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0'
+    }
+  });
+}
+
+/**
+ * API ハンドラー
+ */
+async function handleAPI(request, env, pathname) {
+  const method = request.method;
+
+  // 認証・スコープチェック
+  const requiredScope = getRequiredScope(method, pathname);
+  const auth = requiredScope ? await getAuthContext(request, env) : null;
+  if (requiredScope) {
+    const authError = authorizeAPIRequest(auth, requiredScope);
+    if (authError) {
+      return authError;
+    }
+
+    if (method !== 'GET') {
+      const csrfError = verifyCSRF(request, auth);
+      if (csrfError) {
+        return csrfError;
+      }
+    }
+  }
+
+  // GET /api/posts - 投稿一覧取得
+  if (pathname === '/api/posts' && method === 'GET') {
+    return handleGetPosts(request, env);
+  }
+
+  // GET /api/posts/:id - 個別投稿取得
+  if (pathname.match(/^\/api\/posts\/[^/]+$/) && method === 'GET') {
+    const postId = pathname.split('/')[3];
+    return handleGetPost(request, env, postId);
+  }
+
+  // GET /api/posts/:id/thread - スレッド取得
+  if (pathname.match(/^\/api\/posts\/[^/]+\/thread$/) && method === 'GET') {
+    const postId = pathname.split('/')[3];
+    return handleGetThread(request, env, postId);
+  }
+
+  // POST /api/posts - 新規投稿
+  if (pathname === '/api/posts' && method === 'POST') {
+    return handleCreatePost(request, env, auth);
+  }
+
+  // PUT /api/posts/:id - 投稿編集
+  if (pathname.match(/^\/api\/posts\/[^/]+$/) && method === 'PUT') {
+    const postId = pathname.split('/')[3];
+    return handleUpdatePost(request, env, postId, auth);
+  }
+
+  // DELETE /api/posts/:id - 投稿をゴミ箱に移動
+  if (pathname.match(/^\/api\/posts\/[^/]+$/) && method === 'DELETE') {
+    const postId = pathname.split('/')[3];
+    return handleDeletePost(request, env, postId, auth);
+  }
+
+  // GET /api/search - 全文検索
+  if (pathname === '/api/search' && method === 'GET') {
+    return handleSearch(request, env);
+  }
+
+  // GET /api/tags - タグ一覧取得
+  if (pathname === '/api/tags' && method === 'GET') {
+    return handleGetTags(env);
+  }
+
+  // PUT /api/tags/:id - タグ編集
+  if (pathname.match(/^\/api\/tags\/\d+$/) && method === 'PUT') {
+    const tagId = parseInt(pathname.split('/')[3]);
+    return handleUpdateTag(request, env, tagId, auth);
+  }
+
+  // POST /api/tags/:id/merge - タグ統合
+  if (pathname.match(/^\/api\/tags\/\d+\/merge$/) && method === 'POST') {
+    const tagId = parseInt(pathname.split('/')[3]);
+    return handleMergeTag(request, env, tagId, auth);
+  }
+
+  // DELETE /api/tags/:id - タグ削除
+  if (pathname.match(/^\/api\/tags\/\d+$/) && method === 'DELETE') {
+    const tagId = parseInt(pathname.split('/')[3]);
+    return handleDeleteTag(env, tagId, auth);
+  }
+
+  // POST /api/like/:postId - いいね追加
+  if (pathname.match(/^\/api\/like\/[^/]+$/) && method === 'POST') {
+    const postId = pathname.split('/')[3];
+    return handleLike(request, env, postId);
+  }
+
+  // GET /api/likes/:postId - いいね数取得
+  if (pathname.match(/^\/api\/likes\/[^/]+$/) && method === 'GET') {
+    const postId = pathname.split('/')[3];
+    return handleGetLikes(request, env, postId);
+  }
+
+  // PUT /api/posts/:id/pin - 固定投稿設定/解除
+  if (pathname.match(/^\/api\/posts\/[^/]+\/pin$/) && method === 'PUT') {
+    const postId = pathname.split('/')[3];
+    return handleTogglePin(request, env, postId, auth);
+  }
+
+  // PUT /api/posts/:id/schedule - 予約投稿の公開日時を設定
+  if (pathname.match(/^\/api\/posts\/[^/]+\/schedule$/) && method === 'PUT') {
+    const postId = pathname.split('/')[3];
+    return handleSchedulePost(request, env, postId, auth);
+  }
+
+  // POST /api/posts/:id/publish - 今すぐ公開
+  if (pathname.match(/^\/api\/posts\/[^/]+\/publish$/) && method === 'POST') {
+    const postId = pathname.split('/')[3];
+    return handlePublishPost(env, postId, auth);
+  }
+
+  // GET /api/posts/:id/revisions - 編集履歴取得
+  if (pathname.match(/^\/api\/posts\/[^/]+\/revisions$/) && method === 'GET') {
+    const postId = pathname.split('/')[3];
+    return handleGetRevisions(env, postId, auth);
+  }
+
+  // POST /api/posts/:id/revisions/:revisionId/restore - 過去の版に戻す
+  if (pathname.match(/^\/api\/posts\/[^/]+\/revisions\/\d+\/restore$/) && method === 'POST') {
+    const [, , , postId, , revisionId] = pathname.split('/');
+    return handleRestoreRevision(env, postId, parseInt(revisionId), auth);
+  }
+
+  // GET /api/posts/:id/share-links - 共有リンク一覧取得
+  if (pathname.match(/^\/api\/posts\/[^/]+\/share-links$/) && method === 'GET') {
+    const postId = pathname.split('/')[3];
+    return handleGetShareLinks(env, postId, auth);
+  }
+
+  // POST /api/posts/:id/share-links - 共有リンク発行
+  if (pathname.match(/^\/api\/posts\/[^/]+\/share-links$/) && method === 'POST') {
+    const postId = pathname.split('/')[3];
+    return handleCreateShareLink(request, env, postId, auth);
+  }
+
+  // DELETE /api/posts/:id/share-links/:linkId - 共有リンク削除
+  if (pathname.match(/^\/api\/posts\/[^/]+\/share-links\/\d+$/) && method === 'DELETE') {
+    const [, , , postId, , linkId] = pathname.split('/');
+    return handleDeleteShareLink(env, postId, parseInt(linkId), auth);
+  }
+
+  // GET /api/trash - ゴミ箱の投稿一覧取得
+  if (pathname === '/api/trash' && method === 'GET') {
+    return handleGetTrash(env, auth);
+  }
+
+  // POST /api/trash/:id/restore - ゴミ箱から復元
+  if (pathname.match(/^\/api\/trash\/[^/]+\/restore$/) && method === 'POST') {
+    const postId = pathname.split('/')[3];
+    return handleRestorePost(env, postId, auth);
+  }
+
+  // DELETE /api/trash/:id - 完全に削除
+  if (pathname.match(/^\/api\/trash\/[^/]+$/) && method === 'DELETE') {
+    const postId = pathname.split('/')[3];
+    return handlePurgePost(env, postId, auth);
+  }
+
+  // POST /api/upload - 画像アップロード
+  if (pathname === '/api/upload' && method === 'POST') {
+    return handleImageUpload(request, env, auth);
+  }
+
+  // GET /api/tokens - APIトークン一覧取得
+  if (pathname === '/api/tokens' && method === 'GET') {
+    return handleGetTokens(env);
+  }
+
+  // POST /api/tokens - APIトークン発行
+  if (pathname === '/api/tokens' && method === 'POST') {
+    return handleCreateToken(request, env, auth);
+  }
+
+  // DELETE /api/tokens/:id - APIトークン失効
+  if (pathname.match(/^\/api\/tokens\/\d+$/) && method === 'DELETE') {
+    const tokenId = pathname.split('/')[3];
+    return handleRevokeToken(env, tokenId, auth);
+  }
+
+  // GET /api/sessions - 自分のセッション一覧取得
+  if (pathname === '/api/sessions' && method === 'GET') {
+    return handleGetSessions(env, auth);
+  }
+
+  // DELETE /api/sessions - すべてのセッションからログアウト
+  if (pathname === '/api/sessions' && method === 'DELETE') {
+    return handleRevokeSessions(env, auth, null);
+  }
+
+  // DELETE /api/sessions/:handle - セッション失効
+  if (pathname.match(/^\/api\/sessions\/[0-9a-f]+$/) && method === 'DELETE') {
+    const handle = pathname.split('/')[3];
+    return handleRevokeSessions(env, auth, handle);
+  }
+
+  // GET /api/passkeys - 自分のパスキー一覧取得
+  if (pathname === '/api/passkeys' && method === 'GET') {
+    return handleGetPasskeys(env, auth);
+  }
+
+  // POST /api/passkeys/register/options - パスキー登録オプション取得
+  if (pathname === '/api/passkeys/register/options' && method === 'POST') {
+    return handlePasskeyRegisterOptions(request, env, auth);
+  }
+
+  // POST /api/passkeys/register - パスキー登録
+  if (pathname === '/api/passkeys/register' && method === 'POST') {
+    return handlePasskeyRegister(request, env, auth);
+  }
+
+  // POST /api/passkeys/login/options - パスキーログインオプション取得
+  if (pathname === '/api/passkeys/login/options' && method === 'POST') {
+    return handlePasskeyLoginOptions(request, env);
+  }
+
+  // POST /api/passkeys/login - パスキーでログイン
+  if (pathname === '/api/passkeys/login' && method === 'POST') {
+    return handlePasskeyLogin(request, env);
+  }
+
+  // DELETE /api/passkeys/:id - パスキー削除
+  if (pathname.match(/^\/api\/passkeys\/[A-Za-z0-9_-]+$/) && method === 'DELETE') {
+    const credentialId = pathname.split('/')[3];
+    return handleDeletePasskey(env, credentialId, auth);
+  }
+
+  // GET /api/audit - 監査ログ取得
+  if (pathname === '/api/audit' && method === 'GET') {
+    return handleGetAuditLog(request, env);
+  }
+
+  // GET /api/users - ユーザー一覧取得
+  if (pathname === '/api/users' && method === 'GET') {
+    return handleGetUsers(env);
+  }
+
+  // POST /api/users - ユーザー招待
+  if (pathname === '/api/users' && method === 'POST') {
+    return handleInviteUser(request, env, auth);
+  }
+
+  // PUT /api/users/:id - ロール変更
+  if (pathname.match(/^\/api\/users\/\d+$/) && method === 'PUT') {
+    const userId = parseInt(pathname.split('/')[3]);
+    return handleUpdateUser(request, env, userId, auth);
+  }
+
+  // DELETE /api/users/:id - ユーザー削除
+  if (pathname.match(/^\/api\/users\/\d+$/) && method === 'DELETE') {
+    const userId = parseInt(pathname.split('/')[3]);
+    return handleDeleteUser(env, userId, auth);
+  }
+
+  return jsonResponse({ error: 'Not found' }, 404);
+}
+
+/**
+ * GET /api/posts - 投稿一覧取得
+ */
+async function handleGetPosts(request, env) {
+  const url = new URL(request.url);
+  const tag = normalizeTagName(url.searchParams.get('tag'));
+  const pinned = url.searchParams.get('pinned');
+  const status = url.searchParams.get('status') || 'published';
+  const visibility = url.searchParams.get('visibility') || (status === 'published' ? 'public' : 'all');
+  const collapseThreads = url.searchParams.get('collapse_threads') === 'true';
+  const limit = parseInt(url.searchParams.get('limit') || '10');
+  const offset = parseInt(url.searchParams.get('offset') || '0');
+
+  if (status !== 'all' && !POST_STATUSES.includes(status)) {
+    return jsonResponse({ error: 'Invalid status. Allowed: all, ' + POST_STATUSES.join(', ') }, 400);
+  }
+
+  if (visibility !== 'all' && !POST_VISIBILITIES.includes(visibility)) {
+    return jsonResponse({ error: 'Invalid visibility. Allowed: all, ' + POST_VISIBILITIES.join(', ') }, 400);
+  }
+
+  // 下書き・予約投稿、限定公開・非公開の投稿の取得は認証必須（authorは自分の投稿のみ）
+  let auth = null;
+  if (status !== 'published' || visibility !== 'public') {
+    auth = await getAuthContext(request, env);
+    const authError = authorizeAPIRequest(auth, 'read');
+    if (authError) {
+      return authError;
+    }
+  }
+
+  try {
+    let query = `
+      SELECT
+        p.*,
+        GROUP_CONCAT(t.name) as tags,
+        COALESCE((SELECT COUNT(*) FROM likes WHERE post_id = p.id), 0) as likes,
+        u.name as author_name,
+        u.picture as author_picture,
+        (
+          SELECT COUNT(*) FROM posts tp
+          WHERE (tp.id = COALESCE(p.thread_root_id, p.id) OR tp.thread_root_id = COALESCE(p.thread_root_id, p.id))
+            AND tp.status = 'published' AND tp.visibility = 'public' AND tp.deleted_at IS NULL
+        ) as thread_count
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      LEFT JOIN post_tags pt ON p.id = pt.post_id
+      LEFT JOIN tags t ON pt.tag_id = t.id
+    `;
+    let bindings = [];
+    let whereConditions = ['p.deleted_at IS NULL'];
+
+    if (status === 'published') {
+      whereConditions.push("p.status = 'published'");
+    } else if (!canManageAllPosts(auth)) {
+      whereConditions.push("(p.status = 'published' OR p.author_id = ?)");
+      bindings.push(auth.user?.id ?? null);
+    }
+
+    if (status !== 'published' && status !== 'all') {
+      whereConditions.push('p.status = ?');
+      bindings.push(status);
+    }
+
+    if (visibility !== 'all') {
+      whereConditions.push('p.visibility = ?');
+      bindings.push(visibility);
+    }
+
+    if (pinned === 'true') {
+      whereConditions.push('p.is_pinned = 1');
+    }
+
+    // スレッドは公開済みの最初の投稿のみ表示
+    if (collapseThreads) {
+      whereConditions.push(`NOT EXISTS (
+        SELECT 1 FROM posts tp
+        WHERE (tp.id = COALESCE(p.thread_root_id, p.id) OR tp.thread_root_id = COALESCE(p.thread_root_id, p.id))
+          AND tp.status = 'published' AND tp.visibility = 'public' AND tp.deleted_at IS NULL
+          AND (tp.created_at < p.created_at OR (tp.created_at = p.created_at AND tp.id < p.id))
+      )`);
+    }
+
+    // 親タグで絞り込んだ場合は子孫のタグが付いた投稿も含める
+    if (tag) {
+      whereConditions.push(`p.id IN (${TAGGED_POST_IDS_SQL})`);
+      bindings.push(tag);
+    }
+
+    if (whereConditions.length > 0) {
+      query += ' WHERE ' + whereConditions.join(' AND ');
+    }
+
+    query += ' GROUP BY p.id ORDER BY p.is_pinned DESC, p.created_at DESC LIMIT ? OFFSET ?';
+    bindings.push(limit, offset);
+
+    const stmt = env.DB.prepare(query).bind(...bindings);
+    const { results } = await stmt.all();
+
+    // タグを配列に変換
+    results.forEach(post => {
+      post.tags = post.tags ? post.tags.split(',') : [];
+    });
+
+    await attachMedia(env, results);
+    await attachQuotes(env, results);
+
+    return jsonResponse({ posts: results, hasMore: results.length === limit });
+  } catch (error) {
+    console.error('Error fetching posts:', error);
+    return jsonResponse({ error: 'Failed to fetch posts' }, 500);
+  }
+}
+
+/**
+ * GET /api/posts/:id - 個別投稿取得
+ */
+async function handleGetPost(request, env, postId) {
+  try {
+    const post = await getPostDetail(env, postId);
+
+    if (!post || !(await canRequestViewPost(request, env, post))) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    return jsonResponse({ post }, 200, { 'ETag': postETag(post) });
+  } catch (error) {
+    console.error('Error fetching post:', error);
+    return jsonResponse({ error: 'Failed to fetch post' }, 500);
+  }
+}
+
+/**
+ * GET /api/posts/:id/thread - スレッド取得（古い順）
+ */
+async function handleGetThread(request, env, postId) {
+  try {
+    const posts = await getVisibleThreadPosts(request, env, postId);
+
+    if (!posts.some(threadPost => threadPost.id === postId)) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    return jsonResponse({ posts });
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    return jsonResponse({ error: 'Failed to fetch thread' }, 500);
+  }
+}
+
+/**
+ * POST /api/posts - 新規投稿
+ * parent_id を指定するとその投稿のスレッドの続きになる
+ * quote_post_id を指定するとその投稿を引用する
+ */
+async function handleCreatePost(request, env, auth) {
+  try {
+    const body = await request.json();
+    const { content, tags, is_pinned, status = 'published', visibility = 'public', publish_at, parent_id, quote_post_id } = body;
+
+    if (!content) {
+      return jsonResponse({ error: 'Content is required' }, 400);
+    }
+
+    const media = parsePostMedia(body);
+    if (!media) {
+      return jsonResponse({ error: `media must be an array of up to ${MAX_MEDIA_PER_POST} images with url` }, 400);
+    }
+
+    if (!parsePostTags(tags)) {
+      return jsonResponse({ error: `tags must be an array of names up to ${TAG_NAME_MAX_LENGTH} characters` }, 400);
+    }
+
+    if (!POST_STATUSES.includes(status)) {
+      return jsonResponse({ error: 'Invalid status. Allowed: ' + POST_STATUSES.join(', ') }, 400);
+    }
+
+    if (!POST_VISIBILITIES.includes(visibility)) {
+      return jsonResponse({ error: 'Invalid visibility. Allowed: ' + POST_VISIBILITIES.join(', ') }, 400);
+    }
+
+    const publishAt = status === 'scheduled' ? parsePublishAt(publish_at) : null;
+    if (status === 'scheduled' && !publishAt) {
+      return jsonResponse({ error: 'publish_at must be a future date' }, 400);
+    }
+
+    // スレッドは自分が編集できる投稿にのみ続けられる
+    let parent = null;
+    if (parent_id) {
+      parent = await env.DB.prepare(
+        'SELECT id, author_id, thread_root_id FROM posts WHERE id = ? AND deleted_at IS NULL'
+      ).bind(parent_id).first();
+
+      if (!parent) {
+        return jsonResponse({ error: 'Parent post not found' }, 400);
+      }
+
+      if (!canEditPost(auth, parent)) {
+        return jsonResponse({ error: 'Forbidden' }, 403);
+      }
+    }
+
+    // 引用できるのは公開済みで公開範囲が public の投稿のみ
+    if (quote_post_id) {
+      const quoted = await env.DB.prepare(
+        "SELECT id FROM posts WHERE id = ? AND status = 'published' AND visibility = 'public' AND deleted_at IS NULL"
+      ).bind(quote_post_id).first();
+
+      if (!quoted) {
+        return jsonResponse({ error: 'Quoted post not found' }, 400);
+      }
+    }
+
+    const postId = await generateUniquePostId(env.DB);
+
+    // 投稿を作成
+    await env.DB.prepare(
+      'INSERT INTO posts (id, content, image_url, image_sensitive, is_pinned, author_id, status, visibility, publish_at, parent_id, thread_root_id, quote_post_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).bind(
+      postId,
+      content,
+      media[0]?.url || null,
+      media[0]?.is_sensitive || 0,
+      is_pinned && canManageAllPosts(auth) ? 1 : 0,
+      auth.user?.id || null,
+      status,
+      visibility,
+      publishAt,
+      parent ? parent.id : null,
+      parent ? (parent.thread_root_id || parent.id) : null,
+      quote_post_id || null
+    ).run();
+
+    // タグと画像を保存
+    await savePostTags(env, postId, tags);
+    await savePostMedia(env, postId, media);
+
+    await savePostRevision(env, postId, auth);
+
+    await writeAuditLog(env, auth, 'post.create', {
+      postId,
+      details: diffPostSnapshots(null, await getPostSnapshot(env, postId))
+    });
+
+    return jsonResponse({
+      success: true,
+      post: {
+        id: postId,
+        url: `/post/${postId}`,
+        status,
+        visibility,
+        publish_at: publishAt,
+        parent_id: parent ? parent.id : null,
+        thread_root_id: parent ? (parent.thread_root_id || parent.id) : null,
+        quote_post_id: quote_post_id || null,
+        created_at: new Date().toISOString()
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Error creating post:', error);
+    return jsonResponse({ error: 'Failed to create post' }, 500);
+  }
+}
+
+/**
+ * PUT /api/posts/:id - 投稿編集
+ * If-Match または version で指定したバージョンが古い場合は 409 を返す
+ */
+async function handleUpdatePost(request, env, postId, auth) {
+  try {
+    const body = await request.json();
+    const { content, tags, is_pinned, status, visibility, publish_at } = body;
+
+    if (status !== undefined && !POST_STATUSES.includes(status)) {
+      return jsonResponse({ error: 'Invalid status. Allowed: ' + POST_STATUSES.join(', ') }, 400);
+    }
+
+    if (visibility !== undefined && !POST_VISIBILITIES.includes(visibility)) {
+      return jsonResponse({ error: 'Invalid visibility. Allowed: ' + POST_VISIBILITIES.join(', ') }, 400);
+    }
+
+    const media = parsePostMedia(body);
+    if (!media) {
+      return jsonResponse({ error: `media must be an array of up to ${MAX_MEDIA_PER_POST} images with url` }, 400);
+    }
+
+    if (!parsePostTags(tags)) {
+      return jsonResponse({ error: `tags must be an array of names up to ${TAG_NAME_MAX_LENGTH} characters` }, 400);
+    }
+
+    // 投稿の存在確認
+    const existing = await env.DB.prepare(
+      'SELECT id, author_id, is_pinned, status, visibility, publish_at, version FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!existing) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    if (!canEditPost(auth, existing)) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    if (isStaleWrite(request, body, existing)) {
+      return conflictResponse(env, postId);
+    }
+
+    // 予約投稿は公開日時が必須（省略時は現在の予約日時を維持）
+    const newStatus = status || existing.status;
+    const newVisibility = visibility || existing.visibility;
+    let publishAt = null;
+    if (newStatus === 'scheduled') {
+      publishAt = publish_at !== undefined ? parsePublishAt(publish_at) : existing.publish_at;
+      if (!publishAt) {
+        return jsonResponse({ error: 'publish_at must be a future date' }, 400);
+      }
+    }
+
+    const before = await getPostSnapshot(env, postId);
+
+    // 履歴のない既存の投稿は、上書きする前の状態を最初の版として保存
+    const hasRevision = await env.DB.prepare(
+      'SELECT id FROM post_revisions WHERE post_id = ? LIMIT 1'
+    ).bind(postId).first();
+    if (!hasRevision) {
+      await savePostRevision(env, postId, null);
+    }
+
+    // 投稿を更新（未公開の投稿を公開した場合は公開日時を作成日時にする）
+    // 読み込み後に他の更新が入った場合は更新されないため競合として扱う
+    const result = await env.DB.prepare(`
+      UPDATE posts
+      SET content = ?, image_url = ?, image_sensitive = ?, is_pinned = ?, status = ?, visibility = ?, publish_at = ?,
+        created_at = CASE WHEN status != 'published' AND ? = 'published' THEN CURRENT_TIMESTAMP ELSE created_at END,
+        updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = ? AND version = ?
+    `).bind(
+      content,
+      media[0]?.url || null,
+      media[0]?.is_sensitive || 0,
+      canManageAllPosts(auth) ? (is_pinned ? 1 : 0) : existing.is_pinned,
+      newStatus,
+      newVisibility,
+      publishAt,
+      newStatus,
+      postId,
+      existing.version
+    ).run();
+
+    if (result.meta.changes === 0) {
+      return conflictResponse(env, postId);
+    }
+
+    // タグと画像を置き換え
+    await savePostTags(env, postId, tags);
+    await savePostMedia(env, postId, media);
+
+    await savePostRevision(env, postId, auth);
+
+    await writeAuditLog(env, auth, 'post.update', {
+      postId,
+      details: diffPostSnapshots(before, await getPostSnapshot(env, postId))
+    });
+
+    const updated = await env.DB.prepare(
+      'SELECT updated_at, version FROM posts WHERE id = ?'
+    ).bind(postId).first();
+
+    return jsonResponse(
+      { success: true, status: newStatus, visibility: newVisibility, publish_at: publishAt, updated_at: updated.updated_at, version: updated.version },
+      200,
+      { 'ETag': postETag(updated) }
+    );
+  } catch (error) {
+    console.error('Error updating post:', error);
+    return jsonResponse({ error: 'Failed to update post' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/posts/:id - 投稿をゴミ箱に移動
+ * タグ・いいね・編集履歴は残り、ゴミ箱から復元できる
+ */
+async function handleDeletePost(request, env, postId, auth) {
+  try {
+    const existing = await env.DB.prepare(
+      'SELECT id, author_id FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!existing) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    if (!canEditPost(auth, existing)) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    await env.DB.prepare(
+      'UPDATE posts SET deleted_at = CURRENT_TIMESTAMP, is_pinned = 0 WHERE id = ?'
+    ).bind(postId).run();
+
+    await writeAuditLog(env, auth, 'post.trash', { postId });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    return jsonResponse({ error: 'Failed to delete post' }, 500);
+  }
+}
+
+/**
+ * ゴミ箱内の投稿を取得（編集できない投稿は null）
+ */
+async function getTrashedPost(env, postId, auth) {
+  const post = await env.DB.prepare(
+    'SELECT id, author_id FROM posts WHERE id = ? AND deleted_at IS NOT NULL'
+  ).bind(postId).first();
+
+  return post && canEditPost(auth, post) ? post : null;
+}
+
+/**
+ * GET /api/trash - ゴミ箱の投稿一覧取得
+ */
+async function handleGetTrash(env, auth) {
+  try {
+    const manageAll = canManageAllPosts(auth);
+    const { results } = await env.DB.prepare(`
+      SELECT p.id, p.content, p.image_url, p.status, p.author_id, p.created_at, p.deleted_at, u.name as author_name
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      WHERE p.deleted_at IS NOT NULL ${manageAll ? '' : 'AND p.author_id = ?'}
+      ORDER BY p.deleted_at DESC
+    `).bind(...(manageAll ? [] : [auth.user?.id ?? null])).all();
+
+    return jsonResponse({
+      posts: results,
+      retention_days: getTrashRetentionDays(env)
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return jsonResponse({ error: 'Failed to fetch trash' }, 500);
+  }
+}
+
+/**
+ * POST /api/trash/:id/restore - ゴミ箱から復元
+ */
+async function handleRestorePost(env, postId, auth) {
+  try {
+    const post = await getTrashedPost(env, postId, auth);
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    await env.DB.prepare(
+      'UPDATE posts SET deleted_at = NULL WHERE id = ?'
+    ).bind(postId).run();
+
+    await writeAuditLog(env, auth, 'post.untrash', { postId });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error restoring post:', error);
+    return jsonResponse({ error: 'Failed to restore post' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/trash/:id - ゴミ箱の投稿を完全に削除
+ */
+async function handlePurgePost(env, postId, auth) {
+  try {
+    const post = await getTrashedPost(env, postId, auth);
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    await purgePost(env, postId, auth);
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error purging post:', error);
+    return jsonResponse({ error: 'Failed to delete post' }, 500);
+  }
+}
+
+/**
+ * PUT /api/posts/:id/schedule - 予約投稿の公開日時を設定
+ * 下書き・予約投稿のみ（公開済みの投稿は対象外）
+ */
+async function handleSchedulePost(request, env, postId, auth) {
+  try {
+    const body = await request.json();
+    const publishAt = parsePublishAt(body.publish_at);
+
+    if (!publishAt) {
+      return jsonResponse({ error: 'publish_at must be a future date' }, 400);
+    }
+
+    const existing = await env.DB.prepare(
+      'SELECT id, author_id, status, publish_at FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!existing) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    if (!canEditPost(auth, existing)) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    if (existing.status === 'published') {
+      return jsonResponse({ error: 'Post is already published' }, 400);
+    }
+
+    await env.DB.prepare(
+      "UPDATE posts SET status = 'scheduled', publish_at = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?"
+    ).bind(publishAt, postId).run();
+
+    await writeAuditLog(env, auth, 'post.schedule', {
+      postId,
+      details: { changes: { publish_at: { before: existing.publish_at, after: publishAt } } }
+    });
+
+    return jsonResponse({ success: true, status: 'scheduled', publish_at: publishAt });
+  } catch (error) {
+    console.error('Error scheduling post:', error);
+    return jsonResponse({ error: 'Failed to schedule post' }, 500);
+  }
+}
+
+/**
+ * POST /api/posts/:id/publish - 下書き・予約投稿を今すぐ公開
+ */
+async function handlePublishPost(env, postId, auth) {
+  try {
+    const existing = await env.DB.prepare(
+      'SELECT id, author_id, status, publish_at FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!existing) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    if (!canEditPost(auth, existing)) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    if (existing.status === 'published') {
+      return jsonResponse({ error: 'Post is already published' }, 400);
+    }
+
+    await env.DB.prepare(`
+      UPDATE posts
+      SET status = 'published', publish_at = NULL, created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = ?
+    `).bind(postId).run();
+
+    await writeAuditLog(env, auth, 'post.publish', {
+      postId,
+      details: { changes: { status: { before: existing.status, after: 'published' } } }
+    });
+
+    return jsonResponse({ success: true, status: 'published' });
+  } catch (error) {
+    console.error('Error publishing post:', error);
+    return jsonResponse({ error: 'Failed to publish post' }, 500);
+  }
+}
+
+/**
+ * GET /api/posts/:id/revisions - 編集履歴取得（新しい順）
+ */
+async function handleGetRevisions(env, postId, auth) {
+  try {
+    const post = await env.DB.prepare(
+      'SELECT id, author_id FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    if (!canEditPost(auth, post)) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    const { results } = await env.DB.prepare(`
+      SELECT id, content, image_url, image_sensitive, media, tags, edited_by, created_at
+      FROM post_revisions
+      WHERE post_id = ?
+      ORDER BY id DESC
+    `).bind(postId).all();
+
+    return jsonResponse({
+      revisions: results.map(revision => ({
+        ...revision,
+        image_sensitive: !!revision.image_sensitive,
+        media: getRevisionMedia(revision),
+        tags: revision.tags ? revision.tags.split(',') : []
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    return jsonResponse({ error: 'Failed to fetch revisions' }, 500);
+  }
+}
+
+/**
+ * POST /api/posts/:id/revisions/:revisionId/restore - 過去の版に戻す
+ * 復元した内容も新しい版として履歴に残す
+ */
+async function handleRestoreRevision(env, postId, revisionId, auth) {
+  try {
+    const post = await env.DB.prepare(
+      'SELECT id, author_id FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    if (!canEditPost(auth, post)) {
+      return jsonResponse({ error: 'Forbidden' }, 403);
+    }
+
+    const revision = await env.DB.prepare(
+      'SELECT id, content, image_url, image_sensitive, media, tags FROM post_revisions WHERE id = ? AND post_id = ?'
+    ).bind(revisionId, postId).first();
+
+    if (!revision) {
+      return jsonResponse({ error: 'Revision not found' }, 404);
+    }
+
+    const before = await getPostSnapshot(env, postId);
+    const media = getRevisionMedia(revision);
+
+    await env.DB.prepare(`
+      UPDATE posts
+      SET content = ?, image_url = ?, image_sensitive = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = ?
+    `).bind(revision.content, media[0]?.url || null, media[0]?.is_sensitive ? 1 : 0, postId).run();
+
+    await savePostTags(env, postId, revision.tags ? revision.tags.split(',') : []);
+    await savePostMedia(env, postId, media);
+
+    await savePostRevision(env, postId, auth);
+
+    await writeAuditLog(env, auth, 'post.restore', {
+      postId,
+      details: {
+        revision_id: revisionId,
+        ...diffPostSnapshots(before, await getPostSnapshot(env, postId))
+      }
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    return jsonResponse({ error: 'Failed to restore revision' }, 500);
+  }
+}
+
+/**
+ * 共有リンクを発行・削除できる非公開の投稿を取得
+ */
+async function getShareablePost(env, postId, auth) {
+  const post = await env.DB.prepare(
+    'SELECT id, author_id, visibility FROM posts WHERE id = ? AND deleted_at IS NULL'
+  ).bind(postId).first();
+
+  if (!post) {
+    return { response: jsonResponse({ error: 'Post not found' }, 404) };
+  }
+
+  if (!canEditPost(auth, post)) {
+    return { response: jsonResponse({ error: 'Forbidden' }, 403) };
+  }
+
+  return { post };
+}
+
+/**
+ * GET /api/posts/:id/share-links - 共有リンク一覧取得（有効期限内のもののみ）
+ */
+async function handleGetShareLinks(env, postId, auth) {
+  try {
+    const { response } = await getShareablePost(env, postId, auth);
+    if (response) return response;
+
+    const { results } = await env.DB.prepare(`
+      SELECT id, token_prefix, expires_at, created_by, created_at
+      FROM post_share_links
+      WHERE post_id = ? AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+    `).bind(postId).all();
+
+    return jsonResponse({ links: results });
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    return jsonResponse({ error: 'Failed to fetch share links' }, 500);
+  }
+}
+
+/**
+ * POST /api/posts/:id/share-links - 非公開の投稿の共有リンクを発行
+ * リンクのURLは発行時のみ返す（トークンはハッシュで保存）
+ */
+async function handleCreateShareLink(request, env, postId, auth) {
+  try {
+    const { post, response } = await getShareablePost(env, postId, auth);
+    if (response) return response;
+
+    if (post.visibility !== 'private') {
+      return jsonResponse({ error: 'Share links are only available for private posts' }, 400);
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const expiresInDays = body.expires_in_days ?? SHARE_LINK_DEFAULT_DAYS;
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_LINK_MAX_DAYS) {
+      return jsonResponse({ error: `expires_in_days must be an integer between 1 and ${SHARE_LINK_MAX_DAYS}` }, 400);
+    }
+
+    // 期限切れのリンクはここで掃除する
+    await env.DB.prepare(
+      'DELETE FROM post_share_links WHERE expires_at <= CURRENT_TIMESTAMP'
+    ).run();
+
+    const token = generateRandomToken();
+    const tokenHash = await sha256Hex(token);
+
+    const result = await env.DB.prepare(`
+      INSERT INTO post_share_links (post_id, token_hash, token_prefix, expires_at, created_by)
+      VALUES (?, ?, ?, datetime('now', ?), ?)
+    `).bind(postId, tokenHash, token.substring(0, 8), `+${expiresInDays} days`, auth.email || null).run();
+
+    const link = await env.DB.prepare(
+      'SELECT id, token_prefix, expires_at, created_by, created_at FROM post_share_links WHERE id = ?'
+    ).bind(result.meta.last_row_id).first();
+
+    await writeAuditLog(env, auth, 'post.share', {
+      postId,
+      details: { link_id: link.id, expires_at: link.expires_at }
+    });
+
+    return jsonResponse({
+      success: true,
+      link: {
+        ...link,
+        url: `${env.SITE_URL}/post/${postId}?share=${token}`
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return jsonResponse({ error: 'Failed to create share link' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/posts/:id/share-links/:linkId - 共有リンクを無効化
+ */
+async function handleDeleteShareLink(env, postId, linkId, auth) {
+  try {
+    const { response } = await getShareablePost(env, postId, auth);
+    if (response) return response;
+
+    const result = await env.DB.prepare(
+      'DELETE FROM post_share_links WHERE id = ? AND post_id = ?'
+    ).bind(linkId, postId).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({ error: 'Share link not found' }, 404);
+    }
+
+    await writeAuditLog(env, auth, 'post.unshare', {
+      postId,
+      details: { link_id: linkId }
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error deleting share link:', error);
+    return jsonResponse({ error: 'Failed to delete share link' }, 500);
+  }
+}
+
+/**
+ * GET /api/search?q= - 全文検索（公開済みの投稿のみ、関連度順）
+ * 3文字以上の語のみの場合は FTS5（trigram）で検索し、2文字以下の語を含む場合は LIKE で検索する
+ */
+async function handleSearch(request, env) {
+  const url = new URL(request.url);
+  const terms = parseSearchTerms(url.searchParams.get('q'));
+  const tag = normalizeTagName(url.searchParams.get('tag'));
+  const limit = parseInt(url.searchParams.get('limit') || '10');
+  const offset = parseInt(url.searchParams.get('offset') || '0');
+
+  if (terms.length === 0) {
+    return jsonResponse({ error: 'q is required' }, 400);
+  }
+
+  try {
+    // 各語を含む投稿を、関連度（rank: 小さいほど関連度が高い）付きで取得するサブクエリ
+    let matchQuery;
+    let matchBindings;
+    if (terms.every(term => [...term].length >= SEARCH_MIN_TRIGRAM_LENGTH)) {
+      matchQuery = 'SELECT post_id, rank FROM posts_fts WHERE posts_fts MATCH ?';
+      matchBindings = [terms.map(term => '"' + term.replace(/"/g, '""') + '"').join(' ')];
+    } else {
+      matchQuery = `SELECT id as post_id, 0 as rank FROM posts WHERE ${terms.map(() => "content LIKE ? ESCAPE '\\'").join(' AND ')}`;
+      matchBindings = terms.map(term => '%' + term.replace(/[\\%_]/g, '\\$&') + '%');
+    }
+
+    let query = `
+      SELECT
+        p.*,
+        GROUP_CONCAT(t.name) as tags,
+        COALESCE((SELECT COUNT(*) FROM likes WHERE post_id = p.id), 0) as likes,
+        u.name as author_name,
+        u.picture as author_picture
+      FROM posts p
+      JOIN (${matchQuery}) m ON m.post_id = p.id
+      LEFT JOIN users u ON p.author_id = u.id
+      LEFT JOIN post_tags pt ON p.id = pt.post_id
+      LEFT JOIN tags t ON pt.tag_id = t.id
+      WHERE p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+    `;
+    const bindings = [...matchBindings];
+
+    if (tag) {
+      query += ` AND p.id IN (${TAGGED_POST_IDS_SQL})`;
+      bindings.push(tag);
+    }
+
+    query += ' GROUP BY p.id ORDER BY m.rank ASC, p.created_at DESC LIMIT ? OFFSET ?';
+    bindings.push(limit, offset);
+
+    const { results } = await env.DB.prepare(query).bind(...bindings).all();
+
+    results.forEach(post => {
+      post.tags = post.tags ? post.tags.split(',') : [];
+      post.snippet = buildSearchSnippet(post.content, terms);
+    });
+
+    await attachMedia(env, results);
+    await attachQuotes(env, results);
+
+    return jsonResponse({ posts: results, hasMore: results.length === limit });
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    return jsonResponse({ error: 'Failed to search posts' }, 500);
+  }
+}
+
+/**
+ * GET /api/tags - タグ一覧取得
+ * parent_id で親子関係を表し、count は子孫のタグを含めた投稿数
+ */
+async function handleGetTags(env) {
+  try {
+    const tags = await getPublicTagCounts(env);
+
+    return jsonResponse({ tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    return jsonResponse({ error: 'Failed to fetch tags' }, 500);
+  }
+}
+
+/**
+ * PUT /api/tags/:id - タグの名前・説明・色を変更
+ * 名前が他のタグと重複する場合は統合を促す
+ * 名前の / より前を変更すると別の親タグに移動し、子孫のタグの名前も合わせて変更する
+ */
+async function handleUpdateTag(request, env, tagId, auth) {
+  try {
+    const body = await request.json();
+
+    const tag = await env.DB.prepare(
+      'SELECT id, name, parent_id, description, color FROM tags WHERE id = ?'
+    ).bind(tagId).first();
+
+    if (!tag) {
+      return jsonResponse({ error: 'Tag not found' }, 404);
+    }
+
+    const name = body.name !== undefined ? normalizeTagName(body.name) : tag.name;
+    if (!name || name.length > TAG_NAME_MAX_LENGTH) {
+      return jsonResponse({ error: `name must be 1-${TAG_NAME_MAX_LENGTH} characters` }, 400);
+    }
+
+    const description = body.description !== undefined ? (String(body.description ?? '').trim() || null) : tag.description;
+    if (description && description.length > TAG_DESCRIPTION_MAX_LENGTH) {
+      return jsonResponse({ error: `description must be up to ${TAG_DESCRIPTION_MAX_LENGTH} characters` }, 400);
+    }
+
+    const color = body.color !== undefined ? (body.color || null) : tag.color;
+    if (color && !TAG_COLOR_PATTERN.test(color)) {
+      return jsonResponse({ error: 'color must be in #RRGGBB format' }, 400);
+    }
+
+    let newName = tag.name;
+    if (name !== tag.name) {
+      if (name.toLowerCase().startsWith(tag.name.toLowerCase() + '/')) {
+        return jsonResponse({ error: 'Cannot move a tag under itself' }, 400);
+      }
+
+      // 子孫のタグも含めて、変更後の名前が他のタグと重複しないか確認
+      const descendants = await getTagDescendants(env, tagId);
+      const subtreeIds = [tag.id, ...descendants.map(descendant => descendant.id)];
+      for (const item of [tag, ...descendants]) {
+        const duplicate = await env.DB.prepare(
+          'SELECT id, name FROM tags WHERE name = ? COLLATE NOCASE'
+        ).bind(name + item.name.substring(tag.name.length)).first();
+
+        if (duplicate && !subtreeIds.includes(duplicate.id)) {
+          return jsonResponse({ error: 'Tag already exists. Merge the tags instead', tag: duplicate }, 409);
+        }
+      }
+
+      const separator = name.lastIndexOf('/');
+      const parent = separator > 0 ? await findOrCreateTag(env, name.substring(0, separator)) : null;
+      newName = parent ? parent.name + name.substring(separator) : name;
+      await renameTagTree(env, tag, newName, parent ? parent.id : null);
+    }
+
+    const updated = { name: newName, description, color: color ? color.toLowerCase() : null };
+    await env.DB.prepare(
+      'UPDATE tags SET description = ?, color = ? WHERE id = ?'
+    ).bind(updated.description, updated.color, tagId).run();
+
+    await writeAuditLog(env, auth, 'tag.update', {
+      details: { tag_id: tag.id, ...diffTagSnapshots(tag, updated) }
+    });
+
+    return jsonResponse({ success: true, tag: { id: tag.id, ...updated } });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    return jsonResponse({ error: 'Failed to update tag' }, 500);
+  }
+}
+
+/**
+ * POST /api/tags/:id/merge - タグを別のタグに統合
+ * 統合元のタグが付いた投稿を統合先のタグに付け替えて、統合元のタグを削除する
+ */
+async function handleMergeTag(request, env, tagId, auth) {
+  try {
+    const body = await request.json();
+    const targetId = parseInt(body.into);
+
+    if (!targetId || targetId === tagId) {
+      return jsonResponse({ error: 'into must be the id of another tag' }, 400);
+    }
+
+    const source = await env.DB.prepare(
+      'SELECT id, name, description, color FROM tags WHERE id = ?'
+    ).bind(tagId).first();
+    const target = await env.DB.prepare(
+      'SELECT id, name FROM tags WHERE id = ?'
+    ).bind(targetId).first();
+
+    if (!source || !target) {
+      return jsonResponse({ error: 'Tag not found' }, 404);
+    }
+
+    const descendants = await getTagDescendants(env, tagId);
+    if (descendants.some(descendant => descendant.id === targetId)) {
+      return jsonResponse({ error: 'Cannot merge a tag into its own child tag' }, 400);
+    }
+
+    const count = await mergeTagInto(env, source, target);
+
+    await writeAuditLog(env, auth, 'tag.merge', {
+      details: { from: source.name, into: target.name, posts: count }
+    });
+
+    return jsonResponse({ success: true, tag: target, posts: count });
+  } catch (error) {
+    console.error('Error merging tag:', error);
+    return jsonResponse({ error: 'Failed to merge tag' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/tags/:id - 使われていないタグを削除
+ * 下書きやゴミ箱の投稿に付いているタグと、子タグがあるタグは使用中として扱う
+ */
+async function handleDeleteTag(env, tagId, auth) {
+  try {
+    const tag = await env.DB.prepare(
+      'SELECT id, name FROM tags WHERE id = ?'
+    ).bind(tagId).first();
+
+    if (!tag) {
+      return jsonResponse({ error: 'Tag not found' }, 404);
+    }
+
+    const used = await env.DB.prepare(
+      'SELECT post_id FROM post_tags WHERE tag_id = ? LIMIT 1'
+    ).bind(tagId).first();
+
+    if (used) {
+      return jsonResponse({ error: 'Tag is in use' }, 409);
+    }
+
+    const child = await env.DB.prepare(
+      'SELECT id FROM tags WHERE parent_id = ? LIMIT 1'
+    ).bind(tagId).first();
+
+    if (child) {
+      return jsonResponse({ error: 'Tag has child tags' }, 409);
+    }
+
+    await env.DB.prepare(
+      'DELETE FROM tags WHERE id = ?'
+    ).bind(tagId).run();
+
+    await writeAuditLog(env, auth, 'tag.delete', { details: { name: tag.name } });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    return jsonResponse({ error: 'Failed to delete tag' }, 500);
+  }
+}
+
+/**
+ * いいねできる投稿を取得（公開済みで、リクエストから閲覧できる投稿のみ）
+ */
+async function findLikablePost(request, env, postId) {
+  const post = await env.DB.prepare(
+    "SELECT id, status, visibility, author_id FROM posts WHERE id = ? AND status = 'published' AND deleted_at IS NULL"
+  ).bind(postId).first();
+
+  if (!post || !(await canRequestViewPost(request, env, post))) return null;
+  return post;
+}
+
+/**
+ * POST /api/like/:postId - いいね追加
+ */
+async function handleLike(request, env, postId) {
+  try {
+    const ip = request.headers.get('cf-connecting-ip') || 'unknown';
+    const ipHash = await hashIP(ip);
+
+    // 投稿の存在確認（下書きと、閲覧できない非公開の投稿にはいいねできない）
+    const post = await findLikablePost(request, env, postId);
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    // 既にいいねしているか確認
+    const existing = await env.DB.prepare(
+      'SELECT id FROM likes WHERE post_id = ? AND ip_hash = ?'
+    ).bind(postId, ipHash).first();
+
+    if (existing) {
+      // 既にいいね済み - いいねを削除（トグル）
+      await env.DB.prepare(
+        'DELETE FROM likes WHERE post_id = ? AND ip_hash = ?'
+      ).bind(postId, ipHash).run();
+    } else {
+      // いいねを追加
+      await env.DB.prepare(
+        'INSERT INTO likes (post_id, ip_hash) VALUES (?, ?)'
+      ).bind(postId, ipHash).run();
+    }
+
+    // いいね数を取得
+    const likesResult = await env.DB.prepare(
+      'SELECT COUNT(*) as count FROM likes WHERE post_id = ?'
+    ).bind(postId).first();
+
+    return jsonResponse({
+      success: true,
+      likes: likesResult.count,
+      liked: !existing
+    });
+  } catch (error) {
+    console.error('Error processing like:', error);
+    return jsonResponse({ error: 'Failed to process like' }, 500);
+  }
+}
+
+/**
+ * GET /api/likes/:postId - いいね数取得
+ */
+async function handleGetLikes(request, env, postId) {
+  try {
+    const post = await findLikablePost(request, env, postId);
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    const ip = request.headers.get('cf-connecting-ip') || 'unknown';
+    const ipHash = await hashIP(ip);
+
+    // いいね数を取得
+    const likesResult = await env.DB.prepare(
+      'SELECT COUNT(*) as count FROM likes WHERE post_id = ?'
+    ).bind(postId).first();
+
+    // 自分がいいねしているか確認
+    const userLike = await env.DB.prepare(
+      'SELECT id FROM likes WHERE post_id = ? AND ip_hash = ?'
+    ).bind(postId, ipHash).first();
+
+    return jsonResponse({
+      likes: likesResult.count,
+      liked: !!userLike
+    });
+  } catch (error) {
+    console.error('Error fetching likes:', error);
+    return jsonResponse({ error: 'Failed to fetch likes' }, 500);
+  }
+}
+
+/**
+ * PUT /api/posts/:id/pin - 固定投稿設定/解除
+ */
+async function handleTogglePin(request, env, postId, auth) {
+  if (!canManageAllPosts(auth)) {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const body = await request.json();
+    const isPinned = body.is_pinned;
+
+    if (typeof isPinned !== 'boolean') {
+      return jsonResponse({ error: 'is_pinned must be a boolean' }, 400);
+    }
+
+    const post = await env.DB.prepare(
+      'SELECT id FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(postId).first();
+
+    if (!post) {
+      return jsonResponse({ error: 'Post not found' }, 404);
+    }
+
+    // 既に固定投稿がある場合は、それを解除する
+    let previous = null;
+    if (isPinned) {
+      previous = await env.DB.prepare(
+        'SELECT id FROM posts WHERE is_pinned = 1 AND id != ?'
+      ).bind(postId).first();
+
+      await env.DB.prepare(
+        'UPDATE posts SET is_pinned = 0 WHERE is_pinned = 1'
+      ).run();
+    }
+
+    // 指定された投稿の固定状態を設定
+    await env.DB.prepare(
+      'UPDATE posts SET is_pinned = ? WHERE id = ?'
+    ).bind(isPinned ? 1 : 0, postId).run();
+
+    await writeAuditLog(env, auth, isPinned ? 'post.pin' : 'post.unpin', {
+      postId,
+      details: previous ? { unpinned_post_id: previous.id } : null
+    });
+
+    return jsonResponse({
+      success: true,
+      is_pinned: isPinned
+    });
+  } catch (error) {
+    console.error('Error toggling pin:', error);
+    return jsonResponse({ error: 'Failed to toggle pin' }, 500);
+  }
+}
+
+/**
+ * POST /api/upload - 画像アップロード
+ */
+async function handleImageUpload(request, env, auth) {
+  try {
+    if (!env.R2) {
+      return jsonResponse({ error: 'R2 bucket not configured' }, 500);
+    }
+
+    const formData = await request.formData();
+    const imageFile = formData.get('image');
+
+    if (!imageFile) {
+      return jsonResponse({ error: 'No image file provided' }, 400);
+    }
+
+    // ファイルタイプチェック
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+    if (!allowedTypes.includes(imageFile.type)) {
+      return jsonResponse({ error: 'Invalid file type. Allowed: JPEG, PNG, GIF, WebP' }, 400);
+    }
+
+    // ファイルサイズチェック (5MB制限)
+    if (imageFile.size > 5 * 1024 * 1024) {
+      return jsonResponse({ error: 'File size exceeds 5MB limit' }, 400);
+    }
+
+    // ファイル名を生成（タイムスタンプ + ランダム文字列）
+    const timestamp = Date.now();
+    const randomStr = Math.random().toString(36).substring(2, 10);
+    const ext = imageFile.name.split('.').pop();
+    const filename = `${timestamp}-${randomStr}.${ext}`;
+
+    // R2にアップロード
+    await env.R2.put(filename, imageFile.stream(), {
+      httpMetadata: {
+        contentType: imageFile.type
+      }
+    });
+
+    // 公開URLを生成
+    // Note: R2のPublic Bucketを使用している場合、またはCustom Domainを設定している場合
+    // ここではWorker経由で画像を提供する想定
+    const imageUrl = `${env.SITE_URL}/images/${filename}`;
+
+    await writeAuditLog(env, auth, 'image.upload', {
+      details: { filename, type: imageFile.type, size: imageFile.size }
+    });
+
+    return jsonResponse({
+      success: true,
+      url: imageUrl,
+      filename: filename
+    });
+
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    return jsonResponse({ error: 'Failed to upload image' }, 500);
+  }
+}
+
+/**
+ * GET /api/tokens - APIトークン一覧取得
+ */
+async function handleGetTokens(env) {
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id, name, token_prefix, scopes, created_by, created_at, last_used_at, revoked_at
+      FROM api_tokens
+      ORDER BY created_at DESC
+    `).all();
+
+    results.forEach(token => {
+      token.scopes = token.scopes.split(',');
+    });
+
+    return jsonResponse({ tokens: results });
+  } catch (error) {
+    console.error('Error fetching tokens:', error);
+    return jsonResponse({ error: 'Failed to fetch tokens' }, 500);
+  }
+}
+
+/**
+ * POST /api/tokens - APIトークン発行
+ * トークン本体はこのレスポンスでのみ返し、DBにはハッシュを保存する
+ */
+async function handleCreateToken(request, env, auth) {
+  try {
+    const body = await request.json();
+    const name = (body.name || '').trim();
+    const scopes = Array.isArray(body.scopes) ? body.scopes : [];
+
+    if (!name) {
+      return jsonResponse({ error: 'Name is required' }, 400);
+    }
+
+    if (scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+      return jsonResponse({ error: 'Invalid scopes. Allowed: ' + API_TOKEN_SCOPES.join(', ') }, 400);
+    }
+
+    const token = generateAPIToken();
+    const tokenHash = await sha256Hex(token);
+    const tokenPrefix = token.substring(0, API_TOKEN_PREFIX.length + 8);
+
+    const result = await env.DB.prepare(
+      'INSERT INTO api_tokens (name, token_hash, token_prefix, scopes, created_by) VALUES (?, ?, ?, ?, ?)'
+    ).bind(name, tokenHash, tokenPrefix, scopes.join(','), auth.email || null).run();
+
+    await writeAuditLog(env, auth, 'token.create', {
+      details: { token_id: result.meta.last_row_id, name, scopes }
+    });
+
+    return jsonResponse({
+      success: true,
+      token: {
+        id: result.meta.last_row_id,
+        name,
+        scopes,
+        token
+      }
+    }, 201);
+  } catch (error) {
+    console.error('Error creating token:', error);
+    return jsonResponse({ error: 'Failed to create token' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/tokens/:id - APIトークン失効
+ */
+async function handleRevokeToken(env, tokenId, auth) {
+  try {
+    const result = await env.DB.prepare(
+      'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL'
+    ).bind(tokenId).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({ error: 'Token not found' }, 404);
+    }
+
+    await writeAuditLog(env, auth, 'token.revoke', { details: { token_id: parseInt(tokenId) } });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    return jsonResponse({ error: 'Failed to revoke token' }, 500);
+  }
+}
+
+/**
+ * GET /api/users - ユーザー一覧取得
+ */
+async function handleGetUsers(env) {
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id, email, name, picture, role, invited_by, created_at, last_login_at
+      FROM users
+      ORDER BY created_at ASC
+    `).all();
+
+    return jsonResponse({ users: results });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    return jsonResponse({ error: 'Failed to fetch users' }, 500);
+  }
+}
+
+/**
+ * POST /api/users - ユーザー招待
+ * 招待したメールアドレスのGoogleアカウントでログインできるようになる
+ */
+async function handleInviteUser(request, env, auth) {
+  try {
+    const body = await request.json();
+    const email = (body.email || '').trim().toLowerCase();
+    const role = body.role || 'author';
+
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+      return jsonResponse({ error: 'Valid email is required' }, 400);
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return jsonResponse({ error: 'Invalid role. Allowed: ' + USER_ROLES.join(', ') }, 400);
+    }
+
+    const existing = await getUserByEmail(env, email);
+    if (existing) {
+      return jsonResponse({ error: 'User already exists' }, 409);
+    }
+
+    const result = await env.DB.prepare(
+      'INSERT INTO users (email, role, invited_by) VALUES (?, ?, ?)'
+    ).bind(email, role, auth.email || null).run();
+
+    await writeAuditLog(env, auth, 'user.invite', { details: { email, role } });
+
+    return jsonResponse({
+      success: true,
+      user: { id: result.meta.last_row_id, email, role }
+    }, 201);
+  } catch (error) {
+    console.error('Error inviting user:', error);
+    return jsonResponse({ error: 'Failed to invite user' }, 500);
+  }
+}
+
+/**
+ * ownerが他に残るかチェック（最後のownerの降格・削除を防ぐ）
+ */
+async function hasOtherOwner(env, userId) {
+  const owner = await env.DB.prepare(
+    "SELECT id FROM users WHERE role = 'owner' AND id != ? LIMIT 1"
+  ).bind(userId).first();
+  return !!owner;
+}
+
+/**
+ * PUT /api/users/:id - ロール変更
+ */
+async function handleUpdateUser(request, env, userId, auth) {
+  try {
+    const body = await request.json();
+    const role = body.role;
+
+    if (!USER_ROLES.includes(role)) {
+      return jsonResponse({ error: 'Invalid role. Allowed: ' + USER_ROLES.join(', ') }, 400);
+    }
+
+    const user = await env.DB.prepare(
+      'SELECT id, email, role FROM users WHERE id = ?'
+    ).bind(userId).first();
+
+    if (!user) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+
+    if (user.role === 'owner' && role !== 'owner' && !(await hasOtherOwner(env, userId))) {
+      return jsonResponse({ error: 'Cannot demote the last owner' }, 400);
+    }
+
+    await env.DB.prepare(
+      'UPDATE users SET role = ? WHERE id = ?'
+    ).bind(role, userId).run();
+
+    await writeAuditLog(env, auth, 'user.update', {
+      details: { email: user.email, role: { before: user.role, after: role } }
+    });
+
+    return jsonResponse({ success: true, role });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    return jsonResponse({ error: 'Failed to update user' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/users/:id - ユーザー削除
+ * 投稿は残り、作成者が未設定になる
+ */
+async function handleDeleteUser(env, userId, auth) {
+  try {
+    if (auth.user?.id === userId) {
+      return jsonResponse({ error: 'Cannot delete yourself' }, 400);
+    }
+
+    const user = await env.DB.prepare(
+      'SELECT id, email, role FROM users WHERE id = ?'
+    ).bind(userId).first();
+
+    if (!user) {
+      return jsonResponse({ error: 'User not found' }, 404);
+    }
+
+    if (user.role === 'owner' && !(await hasOtherOwner(env, userId))) {
+      return jsonResponse({ error: 'Cannot delete the last owner' }, 400);
+    }
+
+    await env.DB.prepare(
+      'UPDATE posts SET author_id = NULL WHERE author_id = ?'
+    ).bind(userId).run();
+
+    await env.DB.prepare(
+      'DELETE FROM passkeys WHERE user_id = ?'
+    ).bind(userId).run();
+
+    await deleteUserSessions(env, user.email);
+
+    await env.DB.prepare(
+      'DELETE FROM users WHERE id = ?'
+    ).bind(userId).run();
+
+    await writeAuditLog(env, auth, 'user.delete', { details: { email: user.email, role: user.role } });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    return jsonResponse({ error: 'Failed to delete user' }, 500);
+  }
+}
+
+/**
+ * GET /api/audit - 監査ログ取得
+ */
+async function handleGetAuditLog(request, env) {
+  try {
+    const url = new URL(request.url);
+    const before = parseAuditLogBefore(url.searchParams.get('before'));
+    if (Number.isNaN(before)) {
+      return jsonResponse({ error: 'before must be a positive integer' }, 400);
+    }
+
+    const { entries, hasMore } = await queryAuditLog(env, {
+      action: url.searchParams.get('action'),
+      actor: url.searchParams.get('actor'),
+      postId: url.searchParams.get('post_id'),
+      before
+    });
+
+    return jsonResponse({ entries, has_more: hasMore });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return jsonResponse({ error: 'Failed to fetch audit log' }, 500);
+  }
+}
+
+/**
+ * GET /api/sessions - 自分のセッション一覧取得
+ */
+async function handleGetSessions(env, auth) {
+  // セッションの一覧（IP・ブラウザの情報を含む）はログイン中のブラウザからのみ取得できる
+  if (auth.type !== 'session') {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const sessions = await listUserSessions(env, auth.email);
+
+    return jsonResponse({
+      sessions: sessions.map(({ key, ...session }) => ({
+        ...session,
+        current: session.handle === auth.sessionHandle
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    return jsonResponse({ error: 'Failed to fetch sessions' }, 500);
+  }
+}
+
+/**
+ * DELETE /api/sessions(/:handle) - セッション失効
+ * handle を省略するとすべてのセッションからログアウトする
+ */
+async function handleRevokeSessions(env, auth, handle) {
+  if (auth.type !== 'session') {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const revoked = await deleteUserSessions(env, auth.email, handle);
+
+    if (handle && revoked === 0) {
+      return jsonResponse({ error: 'Session not found' }, 404);
+    }
+
+    await writeAuditLog(env, auth, 'session.revoke', { details: { handle, revoked } });
+
+    return jsonResponse({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return jsonResponse({ error: 'Failed to revoke sessions' }, 500);
+  }
+}
+
+/**
+ * GET /api/passkeys - 自分のパスキー一覧取得
+ */
+async function handleGetPasskeys(env, auth) {
+  if (!auth.user) {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT id, name, algorithm, created_at, last_used_at
+      FROM passkeys
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `).bind(auth.user.id).all();
+
+    return jsonResponse({ passkeys: results });
+  } catch (error) {
+    console.error('Error fetching passkeys:', error);
+    return jsonResponse({ error: 'Failed to fetch passkeys' }, 500);
+  }
+}
+
+/**
+ * POST /api/passkeys/register/options - パスキー登録オプション取得
+ */
+async function handlePasskeyRegisterOptions(request, env, auth) {
+  // パスキー登録はログイン中のブラウザからのみ許可する
+  if (auth.type !== 'session' || !auth.user) {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const challenge = await createWebAuthnChallenge(env, { type: 'webauthn.create', userId: auth.user.id });
+
+    const { results: existing } = await env.DB.prepare(
+      'SELECT id, transports FROM passkeys WHERE user_id = ?'
+    ).bind(auth.user.id).all();
+
+    return jsonResponse({
+      challenge,
+      rp: {
+        name: env.SITE_NAME || 'Blog',
+        id: new URL(request.url).hostname
+      },
+      user: {
+        id: base64UrlEncode(new TextEncoder().encode(String(auth.user.id))),
+        name: auth.user.email,
+        displayName: auth.user.name || auth.user.email
+      },
+      pubKeyCredParams: WEBAUTHN_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'preferred'
+      },
+      excludeCredentials: existing.map(passkey => ({
+        type: 'public-key',
+        id: passkey.id,
+        transports: passkey.transports ? passkey.transports.split(',') : []
+      })),
+      attestation: 'none',
+      timeout: WEBAUTHN_CHALLENGE_TTL * 1000
+    });
+  } catch (error) {
+    console.error('Error creating passkey options:', error);
+    return jsonResponse({ error: 'Failed to create passkey options' }, 500);
+  }
+}
+
+/**
+ * POST /api/passkeys/register - パスキー登録
+ */
+async function handlePasskeyRegister(request, env, auth) {
+  if (auth.type !== 'session' || !auth.user) {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  let clientDataJSON, attestation, authData;
+  try {
+    const body = await request.json();
+    clientDataJSON = base64UrlDecode(body.clientDataJSON || '');
+    attestation = decodeCBOR(base64UrlDecode(body.attestationObject || '')).value;
+    authData = parseAuthenticatorData(attestation.get('authData'));
+
+    const challengeData = await verifyClientData(env, request, clientDataJSON, 'webauthn.create');
+    if (challengeData.userId !== auth.user.id) {
+      throw new Error('Challenge does not belong to this user');
+    }
+
+    await verifyAuthenticatorData(request, authData);
+
+    if (!authData.credential) {
+      throw new Error('No credential data');
+    }
+
+    const { algorithm, jwk } = coseKeyToJWK(authData.credential.publicKey);
+    const credentialId = base64UrlEncode(authData.credential.credentialId);
+    const name = (body.name || '').trim() || 'パスキー';
+    const transports = Array.isArray(body.transports) ? body.transports.join(',') : null;
+
+    await env.DB.prepare(`
+      INSERT INTO passkeys (id, user_id, name, public_key, algorithm, sign_count, transports)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      credentialId,
+      auth.user.id,
+      name,
+      JSON.stringify(jwk),
+      algorithm,
+      authData.signCount,
+      transports
+    ).run();
+
+    await writeAuditLog(env, auth, 'passkey.register', { details: { passkey_id: credentialId, name } });
+
+    return jsonResponse({ success: true, passkey: { id: credentialId, name } }, 201);
+  } catch (error) {
+    console.error('Error registering passkey:', error);
+    return jsonResponse({ error: 'Failed to register passkey: ' + error.message }, 400);
+  }
+}
+
+/**
+ * POST /api/passkeys/login/options - パスキーログインオプション取得
+ */
+async function handlePasskeyLoginOptions(request, env) {
+  if (!env.SESSION_KV) {
+    return jsonResponse({ error: 'SESSION_KV not configured' }, 500);
+  }
+
+  try {
+    const challenge = await createWebAuthnChallenge(env, { type: 'webauthn.get' });
+
+    return jsonResponse({
+      challenge,
+      rpId: new URL(request.url).hostname,
+      userVerification: 'preferred',
+      timeout: WEBAUTHN_CHALLENGE_TTL * 1000
+    });
+  } catch (error) {
+    console.error('Error creating passkey login options:', error);
+    return jsonResponse({ error: 'Failed to create passkey options' }, 500);
+  }
+}
+
+/**
+ * POST /api/passkeys/login - パスキーでログイン
+ */
+async function handlePasskeyLogin(request, env) {
+  try {
+    const body = await request.json();
+    const clientDataJSON = base64UrlDecode(body.clientDataJSON || '');
+    const authenticatorData = base64UrlDecode(body.authenticatorData || '');
+    const signature = base64UrlDecode(body.signature || '');
+
+    await verifyClientData(env, request, clientDataJSON, 'webauthn.get');
+
+    const passkey = await env.DB.prepare(`
+      SELECT pk.id, pk.public_key, pk.algorithm, pk.sign_count, u.email, u.name, u.picture
+      FROM passkeys pk
+      JOIN users u ON pk.user_id = u.id
+      WHERE pk.id = ?
+    `).bind(body.id || '').first();
+
+    if (!passkey) {
+      return jsonResponse({ error: 'Unknown passkey' }, 401);
+    }
+
+    const authData = parseAuthenticatorData(authenticatorData);
+    await verifyAuthenticatorData(request, authData);
+
+    const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataJSON));
+    const verified = await verifyWebAuthnSignature(
+      passkey.algorithm,
+      JSON.parse(passkey.public_key),
+      signature,
+      concatBytes(authenticatorData, clientDataHash)
+    );
+
+    if (!verified) {
+      return jsonResponse({ error: 'Invalid signature' }, 401);
+    }
+
+    // 署名カウンタが戻っている場合は複製された認証器の可能性がある
+    if (passkey.sign_count > 0 && authData.signCount <= passkey.sign_count) {
+      return jsonResponse({ error: 'Invalid signature counter' }, 401);
+    }
+
+    await env.DB.prepare(
+      'UPDATE passkeys SET sign_count = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(authData.signCount, passkey.id).run();
+
+    await env.DB.prepare(
+      'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE email = ? COLLATE NOCASE'
+    ).bind(passkey.email).run();
+
+    const sessionCookie = await createUserSession(env, {
+      email: passkey.email,
+      name: passkey.name,
+      picture: passkey.picture
+    }, request);
+
+    await writeAuditLog(env, { type: 'passkey', email: passkey.email }, 'auth.login', {
+      details: { passkey_id: passkey.id }
+    });
+
+    return jsonResponse(
+      { success: true, redirect: sanitizeReturnTo(body.return_to) },
+      200,
+      { 'Set-Cookie': sessionCookie }
+    );
+  } catch (error) {
+    console.error('Error logging in with passkey:', error);
+    return jsonResponse({ error: 'Passkey login failed' }, 400);
+  }
+}
+
+/**
+ * DELETE /api/passkeys/:id - パスキー削除
+ */
+async function handleDeletePasskey(env, credentialId, auth) {
+  // パスキーの削除も登録と同じくログイン中のブラウザからのみ許可する
+  if (auth.type !== 'session' || !auth.user) {
+    return jsonResponse({ error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const result = await env.DB.prepare(
+      'DELETE FROM passkeys WHERE id = ? AND user_id = ?'
+    ).bind(credentialId, auth.user.id).run();
+
+    if (result.meta.changes === 0) {
+      return jsonResponse({ error: 'Passkey not found' }, 404);
+    }
+
+    await writeAuditLog(env, auth, 'passkey.delete', { details: { passkey_id: credentialId } });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    console.error('Error deleting passkey:', error);
+    return jsonResponse({ error: 'Failed to delete passkey' }, 500);
+  }
+}
+
+/**
+ * 画像取得ハンドラー (R2から画像を取得)
+ */
+async function handleImageGet(env, filename) {
+  try {
+    if (!env.R2) {
+      return new Response('R2 bucket not configured', { status: 500 });
+    }
+
+    const object = await env.R2.get(filename);
+
+    if (!object) {
+      return new Response('Image not found', { status: 404 });
+    }
+
+    const headers = new Headers();
+    object.writeHttpMetadata(headers);
+    headers.set('etag', object.httpEtag);
+    headers.set('cache-control', 'public, max-age=31536000');
+
+    return new Response(object.body, {
+      headers
+    });
+
+  } catch (error) {
+    console.error('Error fetching image:', error);
+    return new Response('Failed to fetch image', { status: 500 });
+  }
+}
+
+/**
+ * トップページ・一覧ページのタグナビゲーション（親タグの ▸ で子タグを展開）
+ * methods は Alpine.js コンポーネントに埋め込む（tags・selectedTag・filterByTag を持つこと）
+ */
+function renderTagNav() {
+  const styles = `/* 子タグ（親タグの ▸ で展開） */
+    .tag-toggle {
+      margin-right: 6px;
+    }
+
+    .tag-child {
+      font-size: 13px;
+      opacity: 0.85;
+    }`;
+
+  const html = `<!-- タグナビゲーション -->
+    <div class="tag-nav">
+      <span class="tag-item" :class="{ 'active': selectedTag === null }" @click="filterByTag(null)">すべて</span>
+      <template x-for="tag in visibleTags" :key="tag.id">
+        <span class="tag-item" :class="{ 'active': selectedTag === tag.name, 'tag-child': tag.depth > 0 }" @click="filterByTag(tag.name)" :style="tag.color ? 'border-left: 4px solid ' + tag.color : ''" :title="tag.description || ''">
+          <span x-show="tag.hasChildren" class="tag-toggle" @click.stop="toggleTagExpand(tag.id)" x-text="expandedTags.includes(tag.id) ? '▾' : '▸'"></span>
+          <span x-text="(tag.depth > 0 ? '└ ' : '') + tag.label + ' (' + tag.count + ')'"></span>
+        </span>
+      </template>
+    </div>`;
+
+  const methods = `expandedTags: [],
+
+        // タグを親子関係の木構造にして、展開されている階層までを表示順に並べる
+        get visibleTags() {
+          const childrenMap = {};
+          this.tags.forEach(tag => {
+            const key = tag.parent_id || 0;
+            if (!childrenMap[key]) childrenMap[key] = [];
+            childrenMap[key].push(tag);
+          });
+
+          const result = [];
+          const walk = (parentId, depth) => {
+            (childrenMap[parentId] || []).forEach(tag => {
+              const hasChildren = !!childrenMap[tag.id];
+              result.push({ ...tag, depth, hasChildren, label: depth > 0 ? tag.name.split('/').pop() : tag.name });
+              if (hasChildren && this.expandedTags.includes(tag.id)) {
+                walk(tag.id, depth + 1);
+              }
+            });
+          };
+          walk(0, 0);
+          return result;
+        },
+
+        toggleTagExpand(tagId) {
+          this.expandedTags = this.expandedTags.includes(tagId)
+            ? this.expandedTags.filter(id => id !== tagId)
+            : [...this.expandedTags, tagId];
+        },
+
+        // 選択中のタグが見えるように親のタグを展開
+        expandTagAncestors(tagName) {
+          let tag = this.tags.find(item => item.name === tagName);
+          while (tag && tag.parent_id) {
+            const parentId = tag.parent_id;
+            if (!this.expandedTags.includes(parentId)) {
+              this.expandedTags.push(parentId);
+            }
+            tag = this.tags.find(item => item.id === parentId);
+          }
+        },`;
+
+  return { styles, html, methods };
+}
+
+/**
+ * トップページハンドラー
+ */
+async function handleIndexPage(env) {
+  const siteName = env.SITE_NAME || 'Journal';
+  const tagNav = renderTagNav();
+
+  const html = `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${siteName}</title>
+  ${renderFeedLinks(env)}
+  <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
+  ${renderMarkdownScript()}
+  <script src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js" defer></script>
+  <style>
+    :root {
+      --color-primary: #3965a0ff;
+      --color-primary-dark: #383933;
+      --color-bg: #3d3b3bff;
+      --color-bg-secondary: #181818ff;
+      --color-text: #8f8b7c;
+      --color-text-secondary: #666666;
+      --color-text-muted: #999999;
+      --color-border: #333435;
+      --color-like: #687428ff;
+      --color-tag: #737550;
+      --color-spoiler-bg: #686767ff;
+      --color-spoiler-overlay: rgba(32, 32, 32, 0.8);
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif;
+      font-size: 16px;
+      line-height: 1.6;
+      color: var(--color-text);
+      background-color: var(--color-bg);
+    }
+
+    .container {
+      max-width: 800px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+
+    /* ヘッダー */
+    header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 20px 0;
+      margin-bottom: 30px;
+      border-bottom: 1px solid var(--color-border);
+    }
+
+    .logo {
+      font-size: 24px;
+      font-weight: 700;
+      color: var(--color-text);
+      text-decoration: none;
+    }
+
+    .login-btn {
+      padding: 8px 16px;
+      background-color: var(--color-primary);
+      color: white;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 14px;
+      text-decoration: none;
+    }
+
+    .login-btn:hover {
+      background-color: var(--color-primary-dark);
+    }
+
+    .list-btn {
+      padding: 8px 16px;
+      background-color: var(--color-secondary);
+      color: var(--color-text);
+      border: 1px solid var(--color-border);
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 14px;
+      text-decoration: none;
+      transition: all 0.2s;
+    }
+
+    .list-btn:hover {
+      background-color: var(--color-spoiler-bg);
+      border-color: var(--color-primary);
+    }
+
+    /* タグナビゲーション */
+    .tag-nav {
+      display: flex;
+      gap: 12px;
+      margin-bottom: 30px;
+      overflow-x: auto;
+      padding-bottom: 10px;
+    }
+
+    .tag-nav::-webkit-scrollbar {
+      height: 6px;
+    }
+
+    .tag-nav::-webkit-scrollbar-thumb {
+      background-color: var(--color-border);
+      border-radius: 3px;
+    }
+
+    .tag-item {
+      padding: 6px 16px;
+      background-color: var(--color-bg-secondary);
+      color: var(--color-text);
+      border: 1px solid var(--color-border);
+      border-radius: 0px;
+      text-decoration: none;
+      white-space: nowrap;
+      font-size: 14px;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+
+    .tag-item:hover, .tag-item.active {
+      background-color: var(--color-tag);
+      color: white;
+      border-color: var(--color-tag);
+    }
+
+    ${tagNav.styles}
+
+    /* 検索 */
+    .search-box {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+
+    .search-box input {
+      flex: 1;
+      min-width: 0;
+      padding: 6px 12px;
+      background-color: var(--color-bg-secondary);
+      color: var(--color-text);
+      border: 1px solid var(--color-border);
+      font-size: 14px;
+    }
+
+    .search-status {
+      margin-bottom: 20px;
+      font-size: 14px;
+      color: var(--color-text-muted);
+    }
+
+    .search-status a {
+      color: var(--color-primary);
+      margin-left: 8px;
+    }
+
+    /* 投稿カード */
+    .post-card {
+      background-color: var(--color-bg-secondary);
+      border: 1px solid var(--color-border);
+      border-radius: 12px;
+      padding: 24px;
+      margin-bottom: 20px;
+      transition: box-shadow 0.2s;
+    }
+
+    .post-card:hover {
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    }
+
+    .post-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 12px;
+      gap: 12px;
+    }
+
+    .pinned-badge {
+      display: inline-block;
+      background-color: var(--color-primary);
+      color: white;
+      padding: 4px 12px;
+      border-radius: 4px;
+      font-size: 12px;
+    }
+
+    .post-meta {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .post-author {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 14px;
+      font-weight: 600;
+    }
+
+    .author-avatar {
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+    }
+
+    .post-content {
+      font-size: 18px;
+      line-height: 1.7;
+      margin-bottom: 16px;
+      color: var(--color-text);
+    }
+
+    .post-content h1, .post-content h2, .post-content h3 {
+      margin-top: 16px;
+      margin-bottom: 8px;
+      color: var(--color-text);
+    }
+
+    .post-content code {
+      background-color: var(--color-spoiler-bg);
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'Courier New', monospace;
+    }
+
+    .post-content pre {
+      background-color: var(--color-spoiler-bg);
+      padding: 12px;
+      border-radius: 6px;
+      overflow-x: auto;
+      margin: 12px 0;
+    }
+
+    .post-image-container {
+      margin: 16px 0;
+      position: relative;
+    }
+
+    .post-image {
+      width: 100%;
+      border-radius: 8px;
+      max-height: 500px;
+      object-fit: cover;
+    }
+
+    .spoiler-image {
+      filter: blur(20px);
+      cursor: pointer;
+      transition: filter 0.3s;
+    }
+
+    .spoiler-image.revealed {
+      filter: none;
+    }
+
+    .spoiler-overlay {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      pointer-events: none;
+    }
+
+    .spoiler-warning {
+      background: var(--color-spoiler-overlay);
+      color: white;
+      padding: 20px 32px;
+      border-radius: 12px;
+      text-align: center;
+    }
+
+    .spoiler-image.revealed ~ .spoiler-overlay {
+      display: none;
+    }
+
+    .post-gallery {
+      display: grid;
+      gap: 4px;
+      margin: 16px 0;
+    }
+
+    .post-gallery:not(.gallery-1) {
+      grid-template-columns: 1fr 1fr;
+    }
+
+    .post-gallery .post-image-container {
+      margin: 0;
+    }
+
+    .post-gallery:not(.gallery-1) .post-image {
+      height: 200px;
+      display: block;
+    }
+
+    .post-gallery.gallery-3 .post-image-container:first-child {
+      grid-row: span 2;
+    }
+
+    .post-gallery.gallery-3 .post-image-container:first-child .post-image {
+      height: 404px;
+    }
+
+    .post-tags {
+      display: flex;
+      gap: 8px;
+      flex-wrap: wrap;
+      margin-bottom: 12px;
+    }
+
+    .tag {
+      color: var(--color-tag);
+      text-decoration: none;
+      font-size: 14px;
+    }
+
+    .tag:hover {
+      text-decoration: underline;
+    }
+
+    .post-actions {
+      display: flex;
+      gap: 16px;
+      align-items: center;
+      flex-wrap: wrap;
+    }
+
+    .like-btn, .share-btn {
+      background: none;
+      border: none;
+      color: var(--color-text-secondary);
+      cursor: pointer;
+      font-size: 14px;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 4px 8px;
+      border-radius: 4px;
+      transition: all 0.2s;
+    }
+
+    .like-btn:hover, .share-btn:hover {
+      background-color: var(--color-spoiler-bg);
+      color: var(--color-text);
+    }
+
+    .like-btn.liked {
+      color: var(--color-like);
+    }
+
+    .post-timestamp {
+      font-size: 14px;
+      color: var(--color-text-secondary);
+      text-decoration: none;
+    }
+
+    .post-timestamp:hover {
+      text-decoration: underline;
+    }
+
+    /* Thread */
+    .thread-btn {
+      background: none;
+      border: none;
+      color: var(--color-primary);
+      cursor: pointer;
+      font-size: 14px;
+      padding: 4px 0;
+      margin-bottom: 12px;
+    }
+
+    .thread-btn:hover {
+      text-decoration: underline;
+    }
+
+    .thread-replies {
+      margin-bottom: 16px;
+      padding-left: 16px;
+      border-left: 2px solid var(--color-border);
+    }
+
+    .thread-reply {
+      padding: 12px 0;
+    }
+
+    .thread-reply + .thread-reply {
+      border-top: 1px solid var(--color-border);
+    }
+
+    ${renderQuoteCardStyles()}
+
+    .quote-count {
+      font-size: 14px;
+      color: var(--color-text-secondary);
+    }
+
+    .read-more {
+      color: var(--color-primary);
+      text-decoration: none;
+      font-weight: 500;
+    }
+
+    .read-more:hover {
+      text-decoration: underline;
+    }
+
+    /* Toast */
+    .toast {
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      background: #333;
+      color: white;
+      padding: 12px 24px;
+      border-radius: 8px;
+      opacity: 0;
+      transition: opacity 0.3s;
+      z-index: 1000;
+      pointer-events: none;
+    }
+
+    .toast.show {
+      opacity: 1;
+    }
+
+    /* Loading */
+    .loading {
+      text-align: center;
+      padding: 40px;
+      color: var(--color-text-secondary);
+    }
+
+    /* Load More Button */
+    .load-more-container {
+      text-align: center;
+      padding: 40px 0;
+    }
+
+    .load-more-btn {
+      background: var(--color-secondary);
+      color: var(--color-text);
       border: 1px solid var(--color-border);
-      border-radius: 0px;
+      padding: 12px 32px;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+
+    .load-more-btn:hover:not(:disabled) {
+      background: var(--color-spoiler-bg);
+      border-color: var(--color-primary);
+    }
+
+    .load-more-btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .end-message {
+      text-align: center;
+      padding: 40px 0;
+      color: var(--color-text-secondary);
+      font-size: 14px;
+    }
+
+    /* spoiler text */
+    .spoiler {
+      background: #000;
+      color: #000;
+      cursor: pointer;
+      padding: 2px 4px;
+      border-radius: 3px;
+      transition: all 0.2s;
+      position: relative;
+    }
+
+    .spoiler.revealed {
+      background: transparent;
+      color: inherit;
+    }
+
+    @media (max-width: 640px) {
+      .container {
+        padding: 12px;
+      }
+
+      .post-card {
+        padding: 16px;
+      }
+
+      .post-content {
+        font-size: 16px;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container" x-data="blogApp()">
+    <!-- ヘッダー -->
+    <header>
+      <a href="/" class="logo" x-text="siteName"></a>
+      <div style="display: flex; gap: 12px; align-items: center;">
+        <a href="/listview" class="list-btn">📚 一覧表示</a>
+        <a href="/login" class="login-btn">Login</a>
+      </div>
+    </header>
+
+    <!-- 検索 -->
+    <form class="search-box" @submit.prevent="search()">
+      <input type="search" x-model="searchInput" placeholder="投稿を検索" aria-label="投稿を検索">
+      <button type="submit" class="tag-item">🔍 検索</button>
+    </form>
+
+    ${tagNav.html}
+
+    <div x-show="searchQuery" class="search-status">
+      「<span x-text="searchQuery"></span>」の検索結果
+      <a href="#" @click.prevent="clearSearch()">検索をやめる</a>
+    </div>
+
+    <!-- 投稿一覧 -->
+    <div x-show="loading" class="loading">読み込み中...</div>
+    <div x-show="!loading && searchQuery && posts.length === 0" class="loading">一致する投稿が見つかりませんでした</div>
+
+    <template x-for="post in filteredPosts" :key="post.id">
+      <article class="post-card">
+        <!-- ヘッダー（固定バッジ & タイムスタンプ） -->
+        <div class="post-header">
+          <div class="post-meta">
+            <div x-show="post.author_name" class="post-author">
+              <template x-if="post.author_picture">
+                <img :src="post.author_picture" alt="" class="author-avatar">
+              </template>
+              <span x-text="post.author_name"></span>
+            </div>
+            <div x-show="post.is_pinned" class="pinned-badge">📌 固定投稿</div>
+          </div>
+          <a :href="'/post/' + post.id" class="post-timestamp" x-text="formatTimestamp(post.created_at)"></a>
+        </div>
+
+        <!-- 本文 -->
+        <div class="post-content" x-html="renderMarkdown(post.content, post.id)"></div>
+
+        <!-- 画像 -->
+        ${renderGallery('post')}
+
+        <!-- 引用 -->
+        ${renderQuoteCard('post')}
+
+        <!-- タグ -->
+        <div class="post-tags" x-show="post.tags && post.tags.length > 0">
+          <template x-for="tag in post.tags" :key="tag">
+            <a :href="'/tag/' + encodeURIComponent(tag)" class="tag" x-text="'#' + tag"></a>
+          </template>
+        </div>
+
+        <!-- スレッド（2件目以降は折りたたみ） -->
+        <template x-if="post.thread_count > 1">
+          <div>
+            <button class="thread-btn" @click="toggleThread(post)" x-text="post.threadOpen ? 'スレッドを閉じる' : '🧵 スレッドを表示 (' + post.thread_count + ')'"></button>
+            <div x-show="post.threadOpen" class="thread-replies">
+              <template x-for="reply in post.threadReplies" :key="reply.id">
+                <div class="thread-reply">
+                  <a :href="'/post/' + reply.id" class="post-timestamp" x-text="formatTimestamp(reply.created_at)"></a>
+                  <div class="post-content" x-html="renderMarkdown(reply.content, reply.id)"></div>
+                  ${renderQuoteCard('reply')}
+                  ${renderGallery('reply')}
+                </div>
+              </template>
+            </div>
+          </div>
+        </template>
+
+        <!-- アクション -->
+        <div class="post-actions">
+          <button
+            class="like-btn"
+            :class="{ 'liked': post.liked }"
+            @click="toggleLike(post)"
+          >
+            <span x-text="post.liked ? '❤️' : '♡'"></span>
+            <span x-text="post.likes || 0"></span>
+          </button>
+
+          <button class="share-btn" @click="sharePost(post.id)">
+            🔗 共有
+          </button>
+
+          <span x-show="post.quote_count > 0" class="quote-count" x-text="'💬 ' + post.quote_count + '件の引用'"></span>
+        </div>
+      </article>
+    </template>
+
+    <!-- Load More ボタン -->
+    <div x-show="hasMore && !loading" class="load-more-container">
+      <button @click="loadMore()" class="load-more-btn" :disabled="loadingMore">
+        <span x-show="!loadingMore">もっと読む</span>
+        <span x-show="loadingMore">読み込み中...</span>
+      </button>
+    </div>
+
+    <div x-show="!hasMore && posts.length > 0" class="end-message">
+      すべての投稿を表示しました
+    </div>
+  </div>
+
+  <!-- Toast -->
+  <div id="toast" class="toast"></div>
+
+  <script>
+    function blogApp() {
+      return {
+        siteName: '${siteName}',
+        posts: [],
+        tags: [],
+        selectedTag: null,
+        searchInput: '',
+        searchQuery: '',
+        loading: true,
+        loadingMore: false,
+        hasMore: true,
+        offset: 0,
+        limit: 10,
+
+        async init() {
+          // /?q=...&tag=... で開いた場合は検索結果・タグで絞り込んだ投稿を表示
+          const params = new URLSearchParams(location.search);
+          this.searchInput = params.get('q') || '';
+          this.searchQuery = this.searchInput.trim();
+          this.selectedTag = params.get('tag') || null;
+
+          await this.loadTags();
+          this.expandTagAncestors(this.selectedTag);
+          await this.loadPosts();
+          this.loading = false;
+        },
+
+        async loadPosts(append = false) {
+          try {
+            if (!append) {
+              this.offset = 0;
+              this.posts = [];
+            }
+
+            // 検索中は関連度順、タグで絞り込んでいない場合はスレッドは最初の投稿のみ表示
+            let url = this.searchQuery
+              ? '/api/search?q=' + encodeURIComponent(this.searchQuery) + '&limit=' + this.limit + '&offset=' + this.offset
+              : '/api/posts?limit=' + this.limit + '&offset=' + this.offset;
+            if (this.selectedTag) {
+              url += '&tag=' + encodeURIComponent(this.selectedTag);
+            } else if (!this.searchQuery) {
+              url += '&collapse_threads=true';
+            }
+
+            const response = await fetch(url);
+            const data = await response.json();
+            const newPosts = data.posts || [];
+            this.hasMore = data.hasMore || false;
+
+            // いいね状態をローカルストレージから復元
+            newPosts.forEach(post => {
+              const liked = localStorage.getItem('liked_' + post.id) === 'true';
+              post.liked = liked;
+              post.threadOpen = false;
+              post.threadReplies = [];
+            });
+
+            if (append) {
+              this.posts = [...this.posts, ...newPosts];
+            } else {
+              this.posts = newPosts;
+            }
+
+            this.offset += newPosts.length;
+          } catch (error) {
+            console.error('Failed to load posts:', error);
+          }
+        },
+
+        async loadMore() {
+          if (this.loadingMore || !this.hasMore) return;
+          this.loadingMore = true;
+          await this.loadPosts(true);
+          this.loadingMore = false;
+        },
+
+        async loadTags() {
+          try {
+            const response = await fetch('/api/tags');
+            const data = await response.json();
+            this.tags = data.tags || [];
+          } catch (error) {
+            console.error('Failed to load tags:', error);
+          }
+        },
+
+        ${tagNav.methods}
+
+        async filterByTag(tagName) {
+          this.selectedTag = tagName;
+          this.updateURL();
+          this.loading = true;
+          await this.loadPosts(false);
+          this.loading = false;
+        },
+
+        async search() {
+          this.searchQuery = this.searchInput.trim();
+          this.updateURL();
+
+          this.loading = true;
+          await this.loadPosts(false);
+          this.loading = false;
+        },
+
+        async clearSearch() {
+          this.searchInput = '';
+          await this.search();
+        },
+
+        // 検索キーワードと選択中のタグをURLに反映（リロードや共有で同じ表示になるように）
+        updateURL() {
+          const params = new URLSearchParams();
+          if (this.searchQuery) params.set('q', this.searchQuery);
+          if (this.selectedTag) params.set('tag', this.selectedTag);
+          const query = params.toString();
+          history.replaceState(null, '', query ? '/?' + query : '/');
+        },
+
+        get filteredPosts() {
+          return this.posts;
+        },
+
+        async toggleLike(post) {
+          try {
+            const response = await fetch('/api/like/' + post.id, {
+              method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+              post.likes = data.likes;
+              post.liked = data.liked;
+
+              // ローカルストレージに保存
+              localStorage.setItem('liked_' + post.id, data.liked);
+            }
+          } catch (error) {
+            console.error('Failed to toggle like:', error);
+          }
+        },
+
+        async toggleThread(post) {
+          if (!post.threadOpen && post.threadReplies.length === 0) {
+            try {
+              const response = await fetch('/api/posts/' + post.id + '/thread');
+              const data = await response.json();
+              post.threadReplies = (data.posts || []).filter(reply => reply.id !== post.id && reply.status === 'published' && reply.visibility === 'public');
+            } catch (error) {
+              console.error('Failed to load thread:', error);
+              return;
+            }
+          }
+
+          post.threadOpen = !post.threadOpen;
+        },
+
+        sharePost(postId) {
+          const url = window.location.origin + '/post/' + postId;
+
+          navigator.clipboard.writeText(url).then(() => {
+            this.showToast('URLをコピーしました！');
+          }).catch(() => {
+            this.showToast('URLのコピーに失敗しました');
+          });
+        },
+
+        showToast(message) {
+          const toast = document.getElementById('toast');
+          toast.textContent = message;
+          toast.classList.add('show');
+
+          setTimeout(() => {
+            toast.classList.remove('show');
+          }, 3000);
+        },
+
+        renderMarkdown(content, postId) {
+          if (!content) return '';
+
+          // marked.jsでMarkdownをHTMLに変換
+          let html = marked.parse(content);
+
+          return html;
+        },
+
+        formatTimestamp(timestamp) {
+          if (!timestamp) return '';
+
+          const date = new Date(timestamp);
+          const now = new Date();
+          const diffMs = now - date;
+          const diffMins = Math.floor(diffMs / 60000);
+          const diffHours = Math.floor(diffMs / 3600000);
+          const diffDays = Math.floor(diffMs / 86400000);
+
+          if (diffMins < 1) return 'たった今';
+          if (diffMins < 60) return diffMins + '分前';
+          if (diffHours < 24) return diffHours + '時間前';
+          if (diffDays < 7) return diffDays + '日前';
+
+          return date.getFullYear() + '年' + (date.getMonth() + 1) + '月' + date.getDate() + '日';
+        },
+
+        revealImage(imgId) {
+          const img = document.getElementById(imgId);
+          if (img) {
+            img.classList.add('revealed');
+          }
+        }
+      }
+    }
+  </script>
+</body>
+</html>
+  `;
+
+  return htmlResponse(html);
+}
+
+/**
+ * リストビューページ
+ */
+async function handleListViewPage(env) {
+  const siteName = env.SITE_NAME || 'Blog';
+  const tagNav = renderTagNav();
+
+  const html = `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>記事一覧 - ${siteName}</title>
+  ${renderFeedLinks(env)}
+  <script defer src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js"></script>
+  <style>
+    :root {
+      --color-bg: #0f0f0f;
+      --color-secondary: #1a1a1a;
+      --color-border: #2d2d2d;
+      --color-text: #e0e0e0;
+      --color-text-secondary: #a0a0a0;
+      --color-primary: #1da1f2;
+      --color-primary-dark: #1a91da;
+      --color-like: #f91880;
+      --color-spoiler-bg: #1e1e1e;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+      background-color: var(--color-bg);
+      color: var(--color-text);
+      line-height: 1.6;
+    }
+
+    .container {
+      max-width: 900px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+
+    /* ヘッダー */
+    header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 20px 0;
+      margin-bottom: 30px;
+      border-bottom: 1px solid var(--color-border);
+    }
+
+    .logo {
+      font-size: 24px;
+      font-weight: 700;
+      color: var(--color-text);
+      text-decoration: none;
+    }
+
+    .header-actions {
+      display: flex;
+      gap: 12px;
+    }
+
+    .btn {
+      padding: 8px 16px;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 14px;
       text-decoration: none;
+      border: none;
+      transition: all 0.2s;
+    }
+
+    .btn-primary {
+      background-color: var(--color-primary);
+      color: white;
+    }
+
+    .btn-primary:hover {
+      background-color: var(--color-primary-dark);
+    }
+
+    .btn-secondary {
+      background-color: var(--color-secondary);
+      color: var(--color-text);
+      border: 1px solid var(--color-border);
+    }
+
+    .btn-secondary:hover {
+      background-color: var(--color-spoiler-bg);
+    }
+
+    /* タグナビゲーション */
+    .tag-nav {
+      display: flex;
+      gap: 12px;
+      margin-bottom: 20px;
+      overflow-x: auto;
+      padding-bottom: 10px;
+    }
+
+    .tag-item {
+      padding: 6px 14px;
+      background-color: var(--color-secondary);
+      border-radius: 20px;
+      cursor: pointer;
+      font-size: 14px;
       white-space: nowrap;
+      transition: all 0.2s;
+    }
+
+    .tag-item:hover {
+      background-color: var(--color-spoiler-bg);
+    }
+
+    .tag-item.active {
+      background-color: var(--color-primary);
+      color: white;
+    }
+
+    ${tagNav.styles}
+
+    /* コントロール */
+    .controls {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 20px;
+      padding: 16px;
+      background-color: var(--color-secondary);
+      border-radius: 8px;
+    }
+
+    .sort-buttons {
+      display: flex;
+      gap: 8px;
+    }
+
+    .sort-btn {
+      padding: 6px 12px;
+      background-color: var(--color-bg);
+      color: var(--color-text);
+      border: 1px solid var(--color-border);
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 14px;
+      transition: all 0.2s;
+    }
+
+    .sort-btn:hover {
+      background-color: var(--color-spoiler-bg);
+    }
+
+    .sort-btn.active {
+      background-color: var(--color-primary);
+      border-color: var(--color-primary);
+      color: white;
+    }
+
+    /* リストテーブル */
+    .list-table {
+      background-color: var(--color-secondary);
+      border-radius: 8px;
+      overflow: hidden;
+    }
+
+    .list-item {
+      padding: 16px;
+      border-bottom: 1px solid var(--color-border);
+      transition: background-color 0.2s;
+    }
+
+    .list-item:hover {
+      background-color: var(--color-spoiler-bg);
+    }
+
+    .list-item:last-child {
+      border-bottom: none;
+    }
+
+    .list-item-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      margin-bottom: 8px;
+      gap: 12px;
+    }
+
+    .list-item-title {
+      flex: 1;
+      font-size: 18px;
+      font-weight: 600;
+      color: var(--color-text);
+      text-decoration: none;
+      line-height: 1.4;
+    }
+
+    .list-item-title:hover {
+      color: var(--color-primary);
+    }
+
+    .list-item-meta {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      font-size: 14px;
+      color: var(--color-text-secondary);
+    }
+
+    .search-box {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 20px;
+    }
+
+    .search-box input {
+      flex: 1;
+      min-width: 0;
+      padding: 8px 12px;
+      background-color: var(--color-secondary);
+      color: var(--color-text);
+      border: 1px solid var(--color-border);
+      border-radius: 6px;
       font-size: 14px;
-      cursor: pointer;
+    }
+
+    .search-snippet {
+      margin-top: 8px;
+      font-size: 14px;
+      color: var(--color-text-secondary);
+    }
+
+    .search-snippet mark {
+      background-color: var(--color-primary);
+      color: white;
+      border-radius: 2px;
+    }
+
+    .image-indicator {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      padding: 4px 8px;
+      background-color: var(--color-bg);
+      border-radius: 4px;
+      font-size: 12px;
+    }
+
+    .post-tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 8px;
+    }
+
+    .tag {
+      padding: 4px 10px;
+      background-color: var(--color-bg);
+      color: var(--color-primary);
+      border-radius: 12px;
+      font-size: 13px;
+      text-decoration: none;
       transition: all 0.2s;
     }
 
-    .tag-item:hover, .tag-item.active {
-      background-color: var(--color-tag);
-      color: white;
-      border-color: var(--color-tag);
+    .tag:hover {
+      background-color: var(--color-primary);
+      color: white;
+    }
+
+    .pinned-badge {
+      display: inline-flex;
+      align-items: center;
+      padding: 4px 8px;
+      background-color: var(--color-primary);
+      color: white;
+      border-radius: 4px;
+      font-size: 12px;
+      white-space: nowrap;
+    }
+
+    .loading {
+      text-align: center;
+      padding: 40px;
+      color: var(--color-text-secondary);
+    }
+
+    .empty-state {
+      text-align: center;
+      padding: 60px 20px;
+      color: var(--color-text-secondary);
+    }
+
+    @media (max-width: 640px) {
+      .list-item-header {
+        flex-direction: column;
+      }
+
+      .controls {
+        flex-direction: column;
+        gap: 12px;
+        align-items: stretch;
+      }
+
+      .sort-buttons {
+        justify-content: center;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container" x-data="listViewApp()">
+    <!-- ヘッダー -->
+    <header>
+      <a href="/" class="logo" x-text="siteName"></a>
+      <div class="header-actions">
+        <a href="/" class="btn btn-secondary">← ホームへ</a>
+        <a href="/login" class="btn btn-primary">Login</a>
+      </div>
+    </header>
+
+    <h1 style="font-size: 28px; margin-bottom: 24px;">📚 記事一覧</h1>
+
+    <!-- 検索 -->
+    <form class="search-box" @submit.prevent="search()">
+      <input type="search" x-model="searchInput" placeholder="記事を検索" aria-label="記事を検索">
+      <button type="submit" class="sort-btn">🔍 検索</button>
+    </form>
+
+    ${tagNav.html}
+
+    <!-- コントロール -->
+    <div class="controls">
+      <div>
+        <span style="color: var(--color-text-secondary); font-size: 14px;">
+          <span x-text="posts.length"></span>件の記事
+        </span>
+      </div>
+      <div class="sort-buttons">
+        <button x-show="searchQuery" class="sort-btn" :class="{ 'active': sortOrder === 'relevance' }" @click="sortOrder = 'relevance'">
+          関連度順
+        </button>
+        <button class="sort-btn" :class="{ 'active': sortOrder === 'desc' }" @click="sortOrder = 'desc'">
+          新しい順
+        </button>
+        <button class="sort-btn" :class="{ 'active': sortOrder === 'asc' }" @click="sortOrder = 'asc'">
+          古い順
+        </button>
+      </div>
+    </div>
+
+    <!-- 読み込み中 -->
+    <div x-show="loading" class="loading">読み込み中...</div>
+
+    <!-- 記事リスト -->
+    <div x-show="!loading && sortedPosts.length > 0" class="list-table">
+      <template x-for="post in sortedPosts" :key="post.id">
+        <div class="list-item">
+          <div class="list-item-header">
+            <a :href="'/post/' + post.id" class="list-item-title">
+              <span x-show="post.is_pinned" class="pinned-badge">📌</span>
+              <span x-text="getPostTitle(post.content)"></span>
+            </a>
+          </div>
+          <div class="list-item-meta">
+            <span x-show="post.author_name" x-text="post.author_name"></span>
+            <span x-text="formatDate(post.created_at)"></span>
+            <span x-show="post.image_url" class="image-indicator">🖼️ 画像あり</span>
+          </div>
+          <div x-show="post.snippet" class="search-snippet" x-html="post.snippet"></div>
+          <div class="post-tags" x-show="post.tags && post.tags.length > 0">
+            <template x-for="tag in post.tags" :key="tag">
+              <a :href="'/tag/' + encodeURIComponent(tag)" class="tag" x-text="'#' + tag"></a>
+            </template>
+          </div>
+        </div>
+      </template>
+    </div>
+
+    <!-- 空の状態 -->
+    <div x-show="!loading && sortedPosts.length === 0" class="empty-state">
+      <p style="font-size: 18px; margin-bottom: 8px;">記事が見つかりませんでした</p>
+      <p style="font-size: 14px;" x-text="searchQuery ? '別のキーワードで検索してみてください' : '別のタグを選択してみてください'"></p>
+    </div>
+  </div>
+
+  <script>
+    function listViewApp() {
+      return {
+        siteName: '${siteName}',
+        posts: [],
+        tags: [],
+        selectedTag: null,
+        searchInput: '',
+        searchQuery: '',
+        loading: true,
+        sortOrder: 'desc', // 'desc', 'asc' or 'relevance'（検索中のみ）
+
+        async init() {
+          await this.loadTags();
+          await this.loadPosts();
+          this.loading = false;
+        },
+
+        async loadPosts() {
+          try {
+            // 検索中は関連度の高い記事のみ取得
+            let url = this.searchQuery
+              ? '/api/search?limit=100&q=' + encodeURIComponent(this.searchQuery)
+              : '/api/posts?limit=1000'; // 全記事取得
+            if (this.selectedTag) {
+              url += '&tag=' + encodeURIComponent(this.selectedTag);
+            }
+
+            const response = await fetch(url);
+            const data = await response.json();
+            this.posts = data.posts || [];
+          } catch (error) {
+            console.error('Failed to load posts:', error);
+          }
+        },
+
+        async loadTags() {
+          try {
+            const response = await fetch('/api/tags');
+            const data = await response.json();
+            this.tags = data.tags || [];
+          } catch (error) {
+            console.error('Failed to load tags:', error);
+          }
+        },
+
+        ${tagNav.methods}
+
+        async filterByTag(tagName) {
+          this.selectedTag = tagName;
+          this.loading = true;
+          await this.loadPosts();
+          this.loading = false;
+        },
+
+        async search() {
+          this.searchQuery = this.searchInput.trim();
+          this.sortOrder = this.searchQuery ? 'relevance' : 'desc';
+          this.loading = true;
+          await this.loadPosts();
+          this.loading = false;
+        },
+
+        get sortedPosts() {
+          if (this.sortOrder === 'relevance') return this.posts;
+
+          const sorted = [...this.posts];
+          if (this.sortOrder === 'asc') {
+            return sorted.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+          } else {
+            return sorted.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+          }
+        },
+
+        getPostTitle(content) {
+          if (!content) return '無題';
+
+          // spoiler の中身はタイトルに表示しない
+          content = content.replace(new RegExp(${JSON.stringify(SPOILER_PATTERN.source)}, 'g'), '${SPOILER_MASK}');
+
+          // Markdownのヘッダーを抽出
+          const lines = content.split('\\n');
+          for (let line of lines) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('# ')) {
+              return trimmed.replace(/^#\\s+/, '');
+            }
+          }
+
+          // ヘッダーがない場合、最初の行を取得（最大50文字）
+          const firstLine = lines[0]?.trim() || '';
+          return firstLine.length > 50 ? firstLine.substring(0, 50) + '...' : firstLine || '無題';
+        },
+
+        formatDate(timestamp) {
+          if (!timestamp) return '';
+
+          const date = new Date(timestamp);
+          return date.getFullYear() + '年' +
+                 (date.getMonth() + 1) + '月' +
+                 date.getDate() + '日 ' +
+                 date.getHours().toString().padStart(2, '0') + ':' +
+                 date.getMinutes().toString().padStart(2, '0');
+        }
+      }
+    }
+  </script>
+</body>
+</html>
+  `;
+
+  return htmlResponse(html);
+}
+
+/**
+ * 管理画面ダッシュボード
+ */
+async function handleAdminDashboard(request, env, auth) {
+  const user = auth.user;
+  const isOwner = hasScope(auth.scopes, 'admin');
+  const tab = new URL(request.url).searchParams.get('tab');
+  const status = { drafts: 'draft', scheduled: 'scheduled' }[tab] || 'published';
+  const isUnpublished = status !== 'published';
+
+  // 他のユーザーの下書き・予約投稿は owner / editor のみ表示
+  const draftFilter = canManageAllPosts(auth) ? '' : 'AND p.author_id = ?';
+  const draftBindings = canManageAllPosts(auth) ? [] : [user?.id ?? null];
+
+  const orderBy = {
+    draft: 'p.updated_at DESC',
+    scheduled: 'p.publish_at ASC',
+    published: 'p.created_at DESC'
+  }[status];
+
+  // 投稿一覧を取得
+  const posts = await env.DB.prepare(`
+    SELECT p.id, p.content, p.image_url, p.is_pinned, p.author_id, p.status, p.visibility, p.publish_at, p.created_at, p.updated_at, u.name as author_name, u.email as author_email
+    FROM posts p
+    LEFT JOIN users u ON p.author_id = u.id
+    WHERE p.status = ? AND p.deleted_at IS NULL ${isUnpublished ? draftFilter : ''}
+    ORDER BY ${orderBy} LIMIT 50
+  `).bind(status, ...(isUnpublished ? draftBindings : [])).all();
+
+  const { results: counts } = await env.DB.prepare(`
+    SELECT p.status, COUNT(*) as count FROM posts p WHERE p.status != 'published' AND p.deleted_at IS NULL ${draftFilter} GROUP BY p.status
+  `).bind(...draftBindings).all();
+  const countOf = value => counts.find(row => row.status === value)?.count || 0;
+
+  const html = `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>管理画面 - ${env.SITE_NAME || 'Blog'}</title>
+  ${csrfMetaTag(auth)}
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+      background: #0f0f0f;
     }
 
-    /* 投稿カード */
-    .post-card {
-      background-color: var(--color-bg-secondary);
-      border: 1px solid var(--color-border);
-      border-radius: 12px;
-      padding: 24px;
-      margin-bottom: 20px;
-      transition: box-shadow 0.2s;
+    .header {
+      background: #1a1a1a;
+      border-bottom: 1px solid #2d2d2d;
+      padding: 16px 24px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
     }
 
-    .post-card:hover {
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    .header-left {
+      display: flex;
+      align-items: center;
+      gap: 16px;
     }
 
-    .post-header {
+    .header-left h1 {
+      font-size: 20px;
+      color: #ffffff;
+    }
+
+    .user-info {
       display: flex;
-      justify-content: space-between;
       align-items: center;
-      margin-bottom: 12px;
       gap: 12px;
+      color: #e0e0e0;
     }
 
-    .pinned-badge {
+    .user-avatar {
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
+    }
+
+    .btn {
+      padding: 8px 16px;
+      border-radius: 6px;
+      text-decoration: none;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      border: none;
+      transition: all 0.2s;
       display: inline-block;
-      background-color: var(--color-primary);
+    }
+
+    .btn-primary {
+      background: #1da1f2;
       color: white;
-      padding: 4px 12px;
-      border-radius: 4px;
-      font-size: 12px;
     }
 
-    .post-content {
-      font-size: 18px;
-      line-height: 1.7;
-      margin-bottom: 16px;
-      color: var(--color-text);
+    .btn-primary:hover {
+      background: #1a91da;
     }
 
-    .post-content h1, .post-content h2, .post-content h3 {
-      margin-top: 16px;
-      margin-bottom: 8px;
-      color: var(--color-text);
+    .btn-secondary {
+      background: #2d2d2d;
+      color: #e0e0e0;
+      border: 1px solid #404040;
     }
 
-    .post-content code {
-      background-color: var(--color-spoiler-bg);
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'Courier New', monospace;
+    .btn-secondary:hover {
+      background: #353535;
     }
 
-    .post-content pre {
-      background-color: var(--color-spoiler-bg);
-      padding: 12px;
-      border-radius: 6px;
-      overflow-x: auto;
-      margin: 12px 0;
+    .container {
+      max-width: 1200px;
+      margin: 24px auto;
+      padding: 0 24px;
     }
 
-    .post-image-container {
-      margin: 16px 0;
-      position: relative;
+    .actions {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 24px;
     }
 
-    .post-image {
-      width: 100%;
-      border-radius: 8px;
-      max-height: 500px;
-      object-fit: cover;
+    .actions h2 {
+      color: #ffffff;
     }
 
-    .spoiler-image {
-      filter: blur(20px);
-      cursor: pointer;
-      transition: filter 0.3s;
+    .action-buttons {
+      display: flex;
+      gap: 8px;
     }
 
-    .spoiler-image.revealed {
-      filter: none;
+    .posts-table {
+      background: #1a1a1a;
+      border: 1px solid #2d2d2d;
+      border-radius: 8px;
+      overflow: hidden;
     }
 
-    .spoiler-overlay {
-      position: absolute;
-      top: 0;
-      left: 0;
+    table {
       width: 100%;
-      height: 100%;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      pointer-events: none;
+      border-collapse: collapse;
     }
 
-    .spoiler-warning {
-      background: var(--color-spoiler-overlay);
-      color: white;
-      padding: 20px 32px;
-      border-radius: 12px;
-      text-align: center;
+    th {
+      background: #212121;
+      padding: 12px 16px;
+      text-align: left;
+      font-weight: 600;
+      font-size: 14px;
+      color: #b0b0b0;
+      border-bottom: 1px solid #2d2d2d;
     }
 
-    .spoiler-image.revealed + .spoiler-overlay {
-      display: none;
+    td {
+      padding: 16px;
+      border-bottom: 1px solid #2d2d2d;
+      font-size: 14px;
+      color: #e0e0e0;
     }
 
-    .post-tags {
-      display: flex;
-      gap: 8px;
-      flex-wrap: wrap;
-      margin-bottom: 12px;
+    tr:hover {
+      background: #212121;
     }
 
-    .tag {
-      color: var(--color-tag);
-      text-decoration: none;
-      font-size: 14px;
+    .post-preview {
+      max-width: 400px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
     }
 
-    .tag:hover {
-      text-decoration: underline;
+    .post-image {
+      width: 60px;
+      height: 60px;
+      object-fit: cover;
+      border-radius: 4px;
     }
 
     .post-actions {
       display: flex;
-      gap: 16px;
-      align-items: center;
-      flex-wrap: wrap;
+      gap: 8px;
     }
 
-    .like-btn, .share-btn {
-      background: none;
-      border: none;
-      color: var(--color-text-secondary);
-      cursor: pointer;
-      font-size: 14px;
-      display: flex;
-      align-items: center;
-      gap: 4px;
-      padding: 4px 8px;
-      border-radius: 4px;
-      transition: all 0.2s;
+    .btn-small {
+      padding: 6px 12px;
+      font-size: 13px;
     }
 
-    .like-btn:hover, .share-btn:hover {
-      background-color: var(--color-spoiler-bg);
-      color: var(--color-text);
+    .btn-danger {
+      background: #dc3545;
+      color: white;
     }
 
-    .like-btn.liked {
-      color: var(--color-like);
+    .btn-danger:hover {
+      background: #c82333;
     }
 
-    .post-timestamp {
-      font-size: 14px;
-      color: var(--color-text-secondary);
-      text-decoration: none;
+    .empty-state {
+      text-align: center;
+      padding: 60px 20px;
+      color: #b0b0b0;
+    }
+
+    .empty-state h2 {
+      margin-bottom: 12px;
+      color: #e0e0e0;
+    }
+
+    code {
+      background: #2d2d2d;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+    }
+
+    .menu-container {
+      position: relative;
+      display: inline-block;
+    }
+
+    .menu-btn {
+      background: #2d2d2d;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      width: 32px;
+      height: 32px;
+      font-size: 18px;
+      cursor: pointer;
+      transition: all 0.2s;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .menu-btn:hover {
+      background: #353535;
+      border-color: #505050;
     }
 
-    .post-timestamp:hover {
-      text-decoration: underline;
+    .dropdown-menu {
+      display: none;
+      position: absolute;
+      right: 0;
+      top: 36px;
+      background: #1a1a1a;
+      border: 1px solid #404040;
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+      min-width: 180px;
+      z-index: 1000;
     }
 
-    .read-more {
-      color: var(--color-primary);
-      text-decoration: none;
-      font-weight: 500;
+    .dropdown-menu.show {
+      display: block;
     }
 
-    .read-more:hover {
-      text-decoration: underline;
+    .dropdown-item {
+      padding: 10px 16px;
+      color: #e0e0e0;
+      cursor: pointer;
+      font-size: 14px;
+      border: none;
+      background: none;
+      width: 100%;
+      text-align: left;
+      transition: background 0.2s;
     }
 
-    /* Toast */
-    .toast {
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      background: #333;
-      color: white;
-      padding: 12px 24px;
-      border-radius: 8px;
-      opacity: 0;
-      transition: opacity 0.3s;
-      z-index: 1000;
-      pointer-events: none;
+    .dropdown-item:hover {
+      background: #2d2d2d;
     }
 
-    .toast.show {
-      opacity: 1;
+    .dropdown-item:first-child {
+      border-radius: 6px 6px 0 0;
     }
 
-    /* Loading */
-    .loading {
-      text-align: center;
-      padding: 40px;
-      color: var(--color-text-secondary);
+    .dropdown-item:last-child {
+      border-radius: 0 0 6px 6px;
     }
 
-    /* Load More Button */
-    .load-more-container {
-      text-align: center;
-      padding: 40px 0;
+    .pin-badge {
+      display: inline-block;
+      background: #1da1f2;
+      color: white;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-weight: 500;
+      margin-left: 8px;
     }
 
-    .load-more-btn {
-      background: var(--color-secondary);
-      color: var(--color-text);
-      border: 1px solid var(--color-border);
-      padding: 12px 32px;
-      border-radius: 8px;
-      font-size: 16px;
+    .visibility-badge {
+      display: inline-block;
+      background: #2d2d2d;
+      color: #e0e0e0;
+      border: 1px dashed #808080;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
       font-weight: 500;
-      cursor: pointer;
-      transition: all 0.2s;
+      margin-left: 8px;
     }
 
-    .load-more-btn:hover:not(:disabled) {
-      background: var(--color-spoiler-bg);
-      border-color: var(--color-primary);
+    .visibility-badge.private {
+      border-color: #e0245e;
+      color: #e0245e;
     }
 
-    .load-more-btn:disabled {
-      opacity: 0.5;
-      cursor: not-allowed;
+    .tabs {
+      display: flex;
+      gap: 4px;
+      margin-bottom: 16px;
+      border-bottom: 1px solid #2d2d2d;
     }
 
-    .end-message {
-      text-align: center;
-      padding: 40px 0;
-      color: var(--color-text-secondary);
+    .tab {
+      padding: 10px 16px;
+      color: #b0b0b0;
+      text-decoration: none;
       font-size: 14px;
+      border-bottom: 2px solid transparent;
     }
 
-    /* spoiler text */
-    .spoiler {
-      background: #000;
-      color: #000;
-      cursor: pointer;
-      padding: 2px 4px;
-      border-radius: 3px;
-      transition: all 0.2s;
-      position: relative;
+    .tab:hover {
+      color: #e0e0e0;
     }
 
-    .spoiler.revealed {
-      background: transparent;
-      color: inherit;
+    .tab.active {
+      color: #ffffff;
+      border-bottom-color: #1da1f2;
     }
 
-    @media (max-width: 640px) {
-      .container {
-        padding: 12px;
-      }
+    .tab-count {
+      display: inline-block;
+      background: #2d2d2d;
+      border-radius: 10px;
+      padding: 0 8px;
+      margin-left: 6px;
+      font-size: 12px;
+    }
 
-      .post-card {
-        padding: 16px;
-      }
+    .schedule-form {
+      display: flex;
+      gap: 8px;
+      margin-top: 8px;
+    }
 
-      .post-content {
-        font-size: 16px;
-      }
+    .schedule-form input {
+      padding: 4px 8px;
+      background: #0f0f0f;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      color: #e0e0e0;
+      font-size: 13px;
+      color-scheme: dark;
     }
   </style>
 </head>
 <body>
-  <div class="container" x-data="blogApp()">
-    <!-- ヘッダー -->
-    <header>
-      <a href="/" class="logo" x-text="siteName"></a>
-      <div style="display: flex; gap: 12px; align-items: center;">
-        <a href="/listview" class="list-btn">📚 一覧表示</a>
-        <a href="/login" class="login-btn">Login</a>
-      </div>
-    </header>
-
-    <!-- タグナビゲーション -->
-    <div class="tag-nav">
-      <span class="tag-item" :class="{ 'active': selectedTag === null }" @click="filterByTag(null)">すべて</span>
-      <template x-for="tag in tags" :key="tag.id">
-        <span class="tag-item" :class="{ 'active': selectedTag === tag.name }" @click="filterByTag(tag.name)" x-text="tag.name + ' (' + tag.count + ')'"></span>
-      </template>
+  <div class="header">
+    <div class="header-left">
+      <h1>📝 ブログ管理画面</h1>
+      <a href="/" target="_blank" rel="noopener noreferrer" class="btn btn-secondary">🔗 View</a>
     </div>
+    <div class="user-info">
+      ${user?.picture ? `<img src="${escapeHTML(user.picture)}" alt="${escapeHTML(user.name)}" class="user-avatar">` : ''}
+      <span>${escapeHTML(user?.name || user?.email || 'Admin')}</span>
+      <a href="/admin/sessions" class="btn btn-secondary">💻 セッション</a>
+      <a href="/admin/passkeys" class="btn btn-secondary">🔐 パスキー</a>
+      ${isOwner ? `
+        <a href="/admin/users" class="btn btn-secondary">👥 ユーザー</a>
+        <a href="/admin/tags" class="btn btn-secondary">🏷️ タグ</a>
+        <a href="/admin/tokens" class="btn btn-secondary">🔑 APIトークン</a>
+        <a href="/admin/audit" class="btn btn-secondary">📜 監査ログ</a>
+      ` : ''}
+      <a href="/logout" class="btn btn-secondary">ログアウト</a>
+    </div>
+  </div>
 
-    <!-- 投稿一覧 -->
-    <div x-show="loading" class="loading">読み込み中...</div>
-
-    <template x-for="post in filteredPosts" :key="post.id">
-      <article class="post-card">
-        <!-- ヘッダー（固定バッジ & タイムスタンプ） -->
-        <div class="post-header">
-          <div x-show="post.is_pinned" class="pinned-badge">📌 固定投稿</div>
-          <a :href="'/post/' + post.id" class="post-timestamp" x-text="formatTimestamp(post.created_at)"></a>
+  <div class="container">
+    <div class="actions">
+      <h2>投稿一覧</h2>
+      ${hasScope(auth.scopes, 'write') ? `
+        <div class="action-buttons">
+          <a href="/admin/trash" class="btn btn-secondary">🗑 ゴミ箱</a>
+          <a href="/admin/posts/new" class="btn btn-primary">+ 新規投稿</a>
         </div>
+      ` : ''}
+    </div>
 
-        <!-- 本文 -->
-        <div class="post-content" x-html="renderMarkdown(post.content, post.id)"></div>
-
-        <!-- 画像 -->
-        <template x-if="post.image_url">
-          <div class="post-image-container">
-            <img
-              :src="post.image_url"
-              :class="post.image_sensitive ? 'post-image spoiler-image' : 'post-image'"
-              :id="'img-' + post.id"
-              @click="post.image_sensitive && revealImage('img-' + post.id)"
-              alt="投稿画像"
-            >
-            <template x-if="post.image_sensitive">
-              <div class="spoiler-overlay" :id="'overlay-' + post.id">
-                <div class="spoiler-warning">
-                  <p>⚠️ センシティブな内容</p>
-                  <p style="font-size: 14px; margin-top: 8px; opacity: 0.8;">クリックで表示</p>
-                </div>
-              </div>
-            </template>
-          </div>
-        </template>
+    <div class="tabs">
+      <a href="/admin" class="tab ${status === 'published' ? 'active' : ''}">公開済み</a>
+      <a href="/admin?tab=scheduled" class="tab ${status === 'scheduled' ? 'active' : ''}">予約<span class="tab-count">${countOf('scheduled')}</span></a>
+      <a href="/admin?tab=drafts" class="tab ${status === 'draft' ? 'active' : ''}">下書き<span class="tab-count">${countOf('draft')}</span></a>
+    </div>
 
-        <!-- タグ -->
-        <div class="post-tags" x-show="post.tags && post.tags.length > 0">
-          <template x-for="tag in post.tags" :key="tag">
-            <a href="#" class="tag" @click.prevent="filterByTag(tag)" x-text="'#' + tag"></a>
-          </template>
+    <div class="posts-table">
+      ${posts.results.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>内容</th>
+              <th>画像</th>
+              <th>作成者</th>
+              <th>${{ draft: '最終更新', scheduled: '公開予定', published: '作成日時' }[status]}</th>
+              <th>操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${posts.results.map(post => `
+              <tr>
+                <td>
+                  <code>${post.id}</code>
+                  ${post.is_pinned ? '<span class="pin-badge">📌 固定</span>' : ''}
+                  ${post.visibility !== 'public' ? `<span class="visibility-badge ${post.visibility}">${post.visibility === 'private' ? '🔒' : '🔗'} ${POST_VISIBILITY_LABELS[post.visibility]}</span>` : ''}
+                </td>
+                <td class="post-preview">${post.content.substring(0, 100).replace(/<[^>]*>/g, '')}...</td>
+                <td>
+                  ${post.image_url ? `<img src="${post.image_url}" alt="" class="post-image">` : '-'}
+                </td>
+                <td>${escapeHTML(post.author_name || post.author_email || '-')}</td>
+                ${status === 'scheduled' ? `
+                <td>
+                  <time data-utc="${post.publish_at}"></time>
+                  ${canEditPost(auth, post) ? `
+                  <div class="schedule-form">
+                    <input type="datetime-local" id="schedule-${post.id}" data-utc="${post.publish_at}">
+                    <button onclick="reschedulePost('${post.id}')" class="btn btn-secondary btn-small">変更</button>
+                  </div>
+                  ` : ''}
+                </td>
+                ` : `
+                <td>${new Date(status === 'draft' ? post.updated_at : post.created_at).toLocaleString('ja-JP')}</td>
+                `}
+                <td class="post-actions">
+                  ${isUnpublished ? `<a href="/post/${post.id}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary btn-small">プレビュー</a>` : ''}
+                  ${isUnpublished && canEditPost(auth, post) ? `<button onclick="publishPost('${post.id}')" class="btn btn-primary btn-small">今すぐ公開</button>` : ''}
+                  ${!isUnpublished && post.visibility === 'public' && hasScope(auth.scopes, 'write') ? `<a href="/admin/posts/new?quote_id=${post.id}" class="btn btn-secondary btn-small" title="引用して投稿">💬 引用</a>` : ''}
+                  ${canEditPost(auth, post) ? `
+                  <a href="/admin/posts/${post.id}/edit" class="btn btn-secondary btn-small">編集</a>
+                  <a href="/admin/posts/new?parent_id=${post.id}" class="btn btn-secondary btn-small" title="スレッドを続ける">🧵 続ける</a>
+                  <button onclick="deletePost('${post.id}')" class="btn btn-danger btn-small">削除</button>
+                  ` : ''}
+                  ${canManageAllPosts(auth) ? `
+                  <div class="menu-container">
+                    <button class="menu-btn" onclick="toggleMenu(event, '${post.id}')">⋮</button>
+                    <div class="dropdown-menu" id="menu-${post.id}">
+                      <button class="dropdown-item" onclick="togglePin('${post.id}', ${post.is_pinned ? 'false' : 'true'})">
+                        ${post.is_pinned ? '📌 固定を解除' : '📌 固定記事にする'}
+                      </button>
+                    </div>
+                  </div>
+                  ` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `
+        ${status === 'draft' ? `
+        <div class="empty-state">
+          <h2>下書きはありません</h2>
+          <p>投稿画面の「下書き保存」で書きかけの投稿を保存できます</p>
         </div>
-
-        <!-- アクション -->
-        <div class="post-actions">
-          <button
-            class="like-btn"
-            :class="{ 'liked': post.liked }"
-            @click="toggleLike(post)"
-          >
-            <span x-text="post.liked ? '❤️' : '♡'"></span>
-            <span x-text="post.likes || 0"></span>
-          </button>
-
-          <button class="share-btn" @click="sharePost(post.id)">
-            🔗 共有
-          </button>
+        ` : status === 'scheduled' ? `
+        <div class="empty-state">
+          <h2>予約投稿はありません</h2>
+          <p>投稿画面で公開日時を指定すると、その日時に自動で公開されます</p>
+        </div>
+        ` : `
+        <div class="empty-state">
+          <h2>投稿がありません</h2>
+          <p>最初の投稿を作成しましょう</p>
+          <br>
+          <a href="/admin/posts/new" class="btn btn-primary">+ 新規投稿</a>
         </div>
-      </article>
-    </template>
-
-    <!-- Load More ボタン -->
-    <div x-show="hasMore && !loading" class="load-more-container">
-      <button @click="loadMore()" class="load-more-btn" :disabled="loadingMore">
-        <span x-show="!loadingMore">もっと読む</span>
-        <span x-show="loadingMore">読み込み中...</span>
-      </button>
-    </div>
-
-    <div x-show="!hasMore && posts.length > 0" class="end-message">
-      すべての投稿を表示しました
+        `}
+      `}
     </div>
   </div>
 
-  <!-- Toast -->
-  <div id="toast" class="toast"></div>
-
   <script>
-    function blogApp() {
-      return {
-        siteName: '${siteName}',
-        posts: [],
-        tags: [],
-        selectedTag: null,
-        loading: true,
-        loadingMore: false,
-        hasMore: true,
-        offset: 0,
-        limit: 10,
-
-        async init() {
-          await this.loadTags();
-          await this.loadPosts();
-          this.loading = false;
-        },
-
-        async loadPosts(append = false) {
-          try {
-            if (!append) {
-              this.offset = 0;
-              this.posts = [];
-            }
-
-            let url = '/api/posts?limit=' + this.limit + '&offset=' + this.offset;
-            if (this.selectedTag) {
-              url += '&tag=' + encodeURIComponent(this.selectedTag);
-            }
-
-            const response = await fetch(url);
-            const data = await response.json();
-            const newPosts = data.posts || [];
-            this.hasMore = data.hasMore || false;
-
-            // いいね状態をローカルストレージから復元
-            newPosts.forEach(post => {
-              const liked = localStorage.getItem('liked_' + post.id) === 'true';
-              post.liked = liked;
-            });
-
-            if (append) {
-              this.posts = [...this.posts, ...newPosts];
-            } else {
-              this.posts = newPosts;
-            }
+    const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
 
-            this.offset += newPosts.length;
-          } catch (error) {
-            console.error('Failed to load posts:', error);
-          }
-        },
-
-        async loadMore() {
-          if (this.loadingMore || !this.hasMore) return;
-          this.loadingMore = true;
-          await this.loadPosts(true);
-          this.loadingMore = false;
-        },
+    async function deletePost(postId) {
+      if (!confirm('この投稿をゴミ箱に移動しますか？')) {
+        return;
+      }
 
-        async loadTags() {
-          try {
-            const response = await fetch('/api/tags');
-            const data = await response.json();
-            this.tags = data.tags || [];
-          } catch (error) {
-            console.error('Failed to load tags:', error);
+      try {
+        const response = await fetch('/api/posts/' + postId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
           }
-        },
-
-        async filterByTag(tagName) {
-          this.selectedTag = tagName;
-          this.loading = true;
-          await this.loadPosts(false);
-          this.loading = false;
-        },
-
-        get filteredPosts() {
-          return this.posts;
-        },
+        });
 
-        async toggleLike(post) {
-          try {
-            const response = await fetch('/api/like/' + post.id, {
-              method: 'POST'
-            });
-            const data = await response.json();
+        if (response.ok) {
+          alert('ゴミ箱に移動しました');
+          location.reload();
+        } else {
+          alert('削除に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
 
-            if (data.success) {
-              post.likes = data.likes;
-              post.liked = data.liked;
+    function toggleMenu(event, postId) {
+      event.stopPropagation();
+      const menu = document.getElementById('menu-' + postId);
+      const allMenus = document.querySelectorAll('.dropdown-menu');
 
-              // ローカルストレージに保存
-              localStorage.setItem('liked_' + post.id, data.liked);
-            }
-          } catch (error) {
-            console.error('Failed to toggle like:', error);
-          }
-        },
+      // 他のメニューを閉じる
+      allMenus.forEach(m => {
+        if (m.id !== 'menu-' + postId) {
+          m.classList.remove('show');
+        }
+      });
 
-        sharePost(postId) {
-          const url = window.location.origin + '/post/' + postId;
+      // クリックしたメニューをトグル
+      menu.classList.toggle('show');
+    }
 
-          navigator.clipboard.writeText(url).then(() => {
-            this.showToast('URLをコピーしました！');
-          }).catch(() => {
-            this.showToast('URLのコピーに失敗しました');
-          });
-        },
+    async function togglePin(postId, isPinned) {
+      try {
+        const response = await fetch('/api/posts/' + postId + '/pin', {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ is_pinned: isPinned })
+        });
 
-        showToast(message) {
-          const toast = document.getElementById('toast');
-          toast.textContent = message;
-          toast.classList.add('show');
+        if (response.ok) {
+          alert(isPinned ? '固定記事に設定しました' : '固定を解除しました');
+          location.reload();
+        } else {
+          alert('設定の変更に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
 
-          setTimeout(() => {
-            toast.classList.remove('show');
-          }, 3000);
-        },
+    // 予約日時（UTC）をローカル時刻で表示
+    function parseUTC(value) {
+      return new Date(value.replace(' ', 'T') + 'Z');
+    }
 
-        renderMarkdown(content, postId) {
-          if (!content) return '';
+    function toLocalInputValue(date) {
+      const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+      return local.toISOString().slice(0, 16);
+    }
 
-          // marked.jsでMarkdownをHTMLに変換
-          let html = marked.parse(content);
+    document.querySelectorAll('time[data-utc]').forEach(el => {
+      el.textContent = parseUTC(el.dataset.utc).toLocaleString('ja-JP');
+    });
 
-          return html;
-        },
+    document.querySelectorAll('input[data-utc]').forEach(el => {
+      el.value = toLocalInputValue(parseUTC(el.dataset.utc));
+    });
 
-        formatTimestamp(timestamp) {
-          if (!timestamp) return '';
+    async function reschedulePost(postId) {
+      const value = document.getElementById('schedule-' + postId).value;
+      if (!value) {
+        alert('公開日時を入力してください');
+        return;
+      }
 
-          const date = new Date(timestamp);
-          const now = new Date();
-          const diffMs = now - date;
-          const diffMins = Math.floor(diffMs / 60000);
-          const diffHours = Math.floor(diffMs / 3600000);
-          const diffDays = Math.floor(diffMs / 86400000);
+      try {
+        const response = await fetch('/api/posts/' + postId + '/schedule', {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ publish_at: new Date(value).toISOString() })
+        });
 
-          if (diffMins < 1) return 'たった今';
-          if (diffMins < 60) return diffMins + '分前';
-          if (diffHours < 24) return diffHours + '時間前';
-          if (diffDays < 7) return diffDays + '日前';
+        if (response.ok) {
+          alert('公開日時を変更しました');
+          location.reload();
+        } else {
+          const data = await response.json();
+          alert('変更に失敗しました: ' + (data.error || ''));
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
 
-          return date.getFullYear() + '年' + (date.getMonth() + 1) + '月' + date.getDate() + '日';
-        },
+    async function publishPost(postId) {
+      if (!confirm('この投稿を今すぐ公開しますか？')) {
+        return;
+      }
 
-        revealImage(imgId) {
-          const img = document.getElementById(imgId);
-          if (img) {
-            img.classList.add('revealed');
+      try {
+        const response = await fetch('/api/posts/' + postId + '/publish', {
+          method: 'POST',
+          headers: {
+            'X-CSRF-Token': csrfToken
           }
+        });
+
+        if (response.ok) {
+          alert('公開しました');
+          location.reload();
+        } else {
+          alert('公開に失敗しました');
         }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
       }
     }
+
+    // ページ外をクリックしたらメニューを閉じる
+    document.addEventListener('click', function() {
+      document.querySelectorAll('.dropdown-menu').forEach(menu => {
+        menu.classList.remove('show');
+      });
+    });
   </script>
 </body>
 </html>
@@ -1718,32 +7051,19 @@ async function handleIndexPage(env) {
 }
 
 /**
- * リストビューページ
+ * 管理画面の共通レイアウト
  */
-async function handleListViewPage(env) {
-  const siteName = env.SITE_NAME || 'Blog';
-
-  const html = `
+function renderAdminPage(env, { title, auth, content, styles = '', script = '' }) {
+  const user = auth.user;
+  return `
 <!DOCTYPE html>
 <html lang="ja">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>記事一覧 - ${siteName}</title>
-  <script defer src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js"></script>
-  <style>
-    :root {
-      --color-bg: #0f0f0f;
-      --color-secondary: #1a1a1a;
-      --color-border: #2d2d2d;
-      --color-text: #e0e0e0;
-      --color-text-secondary: #a0a0a0;
-      --color-primary: #1da1f2;
-      --color-primary-dark: #1a91da;
-      --color-like: #f91880;
-      --color-spoiler-bg: #1e1e1e;
-    }
-
+  <title>${title} - ${env.SITE_NAME || 'Blog'}</title>
+  ${csrfMetaTag(auth)}
+  <style>
     * {
       margin: 0;
       padding: 0;
@@ -1752,748 +7072,1285 @@ async function handleListViewPage(env) {
 
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-      background-color: var(--color-bg);
-      color: var(--color-text);
-      line-height: 1.6;
+      background: #0f0f0f;
+      color: #e0e0e0;
     }
 
-    .container {
-      max-width: 900px;
-      margin: 0 auto;
-      padding: 20px;
+    .header {
+      background: #1a1a1a;
+      border-bottom: 1px solid #2d2d2d;
+      padding: 16px 24px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
     }
 
-    /* ヘッダー */
-    header {
+    .header-left {
       display: flex;
-      justify-content: space-between;
       align-items: center;
-      padding: 20px 0;
-      margin-bottom: 30px;
-      border-bottom: 1px solid var(--color-border);
+      gap: 16px;
     }
 
-    .logo {
-      font-size: 24px;
-      font-weight: 700;
-      color: var(--color-text);
-      text-decoration: none;
+    .header-left h1 {
+      font-size: 20px;
+      color: #ffffff;
     }
 
-    .header-actions {
+    .user-info {
       display: flex;
+      align-items: center;
       gap: 12px;
     }
 
     .btn {
       padding: 8px 16px;
       border-radius: 6px;
-      cursor: pointer;
-      font-size: 14px;
       text-decoration: none;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
       border: none;
       transition: all 0.2s;
+      display: inline-block;
     }
 
     .btn-primary {
-      background-color: var(--color-primary);
+      background: #1da1f2;
       color: white;
     }
 
     .btn-primary:hover {
-      background-color: var(--color-primary-dark);
+      background: #1a91da;
     }
 
     .btn-secondary {
-      background-color: var(--color-secondary);
-      color: var(--color-text);
-      border: 1px solid var(--color-border);
+      background: #2d2d2d;
+      color: #e0e0e0;
+      border: 1px solid #404040;
     }
 
     .btn-secondary:hover {
-      background-color: var(--color-spoiler-bg);
+      background: #353535;
     }
 
-    /* タグナビゲーション */
-    .tag-nav {
-      display: flex;
-      gap: 12px;
-      margin-bottom: 20px;
-      overflow-x: auto;
-      padding-bottom: 10px;
+    .btn-danger {
+      background: #dc3545;
+      color: white;
     }
 
-    .tag-item {
-      padding: 6px 14px;
-      background-color: var(--color-secondary);
-      border-radius: 20px;
-      cursor: pointer;
+    .btn-danger:hover {
+      background: #c82333;
+    }
+
+    .btn-small {
+      padding: 6px 12px;
+      font-size: 13px;
+    }
+
+    .container {
+      max-width: 1200px;
+      margin: 24px auto;
+      padding: 0 24px;
+    }
+
+    .panel {
+      background: #1a1a1a;
+      border: 1px solid #2d2d2d;
+      border-radius: 8px;
+      padding: 24px;
+      margin-bottom: 24px;
+    }
+
+    .panel h2 {
+      color: #ffffff;
+      font-size: 18px;
+      margin-bottom: 16px;
+    }
+
+    .table-wrapper {
+      background: #1a1a1a;
+      border: 1px solid #2d2d2d;
+      border-radius: 8px;
+      overflow: hidden;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+
+    th {
+      background: #212121;
+      padding: 12px 16px;
+      text-align: left;
+      font-weight: 600;
       font-size: 14px;
-      white-space: nowrap;
-      transition: all 0.2s;
+      color: #b0b0b0;
+      border-bottom: 1px solid #2d2d2d;
     }
 
-    .tag-item:hover {
-      background-color: var(--color-spoiler-bg);
+    td {
+      padding: 16px;
+      border-bottom: 1px solid #2d2d2d;
+      font-size: 14px;
+      color: #e0e0e0;
     }
 
-    .tag-item.active {
-      background-color: var(--color-primary);
-      color: white;
+    tr:hover {
+      background: #212121;
     }
 
-    /* コントロール */
-    .controls {
+    input[type="text"], input[type="email"], input[type="datetime-local"], select, textarea {
+      padding: 10px 12px;
+      background: #0f0f0f;
+      border: 1px solid #404040;
+      border-radius: 6px;
+      color: #e0e0e0;
+      font-size: 14px;
+      font-family: inherit;
+    }
+
+    label {
+      color: #b0b0b0;
+      font-size: 14px;
+    }
+
+    .help-text {
+      font-size: 13px;
+      color: #808080;
+      margin-top: 8px;
+    }
+
+    .empty-state {
+      text-align: center;
+      padding: 60px 20px;
+      color: #b0b0b0;
+    }
+
+    code {
+      background: #2d2d2d;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+    }
+${styles}
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div class="header-left">
+      <a href="/admin" class="btn btn-secondary">← 管理画面</a>
+      <h1>${title}</h1>
+    </div>
+    <div class="user-info">
+      <span>${escapeHTML(user?.name || user?.email || 'Admin')}</span>
+      <a href="/logout" class="btn btn-secondary">ログアウト</a>
+    </div>
+  </div>
+
+  <div class="container">
+${content}
+  </div>
+
+  <script>
+    const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+${script}
+  </script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * APIトークン管理画面
+ */
+async function handleAdminTokensPage(env, auth) {
+  const { results: tokens } = await env.DB.prepare(`
+    SELECT id, name, token_prefix, scopes, created_at, last_used_at, revoked_at
+    FROM api_tokens
+    ORDER BY created_at DESC
+  `).all();
+
+  const formatDate = value => value ? new Date(value).toLocaleString('ja-JP') : '-';
+
+  const content = `
+    <div class="panel">
+      <h2>新しいトークンを発行</h2>
+      <div class="token-form">
+        <input type="text" id="tokenName" placeholder="トークン名（例: iOS Shortcuts）">
+        <div class="scope-list">
+          ${API_TOKEN_SCOPES.map(scope => `
+            <label><input type="checkbox" name="scope" value="${scope}" ${scope === 'write' ? 'checked' : ''}> ${scope}</label>
+          `).join('')}
+        </div>
+        <button onclick="createToken()" class="btn btn-primary">発行する</button>
+      </div>
+      <div class="help-text">read: 閲覧 / write: 投稿の作成・編集・削除 / upload: 画像アップロード / admin: すべての操作</div>
+      <div class="new-token" id="newToken">
+        <p>このトークンは二度と表示されません。安全な場所に保存してください。</p>
+        <code id="newTokenValue"></code>
+      </div>
+    </div>
+
+    <div class="table-wrapper">
+      ${tokens.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>名前</th>
+              <th>トークン</th>
+              <th>スコープ</th>
+              <th>作成日時</th>
+              <th>最終使用</th>
+              <th>操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${tokens.map(token => `
+              <tr>
+                <td>${escapeHTML(token.name)}</td>
+                <td><code>${escapeHTML(token.token_prefix)}…</code></td>
+                <td>${escapeHTML(token.scopes.split(',').join(', '))}</td>
+                <td>${formatDate(token.created_at)}</td>
+                <td>${formatDate(token.last_used_at)}</td>
+                <td>
+                  ${token.revoked_at
+                    ? '<span class="revoked">失効済み</span>'
+                    : `<button onclick="revokeToken(${token.id})" class="btn btn-danger btn-small">失効</button>`}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `
+        <div class="empty-state">
+          <p>発行済みのトークンはありません</p>
+        </div>
+      `}
+    </div>
+  `;
+
+  const styles = `
+    .token-form {
       display: flex;
-      justify-content: space-between;
+      gap: 16px;
       align-items: center;
-      margin-bottom: 20px;
+      flex-wrap: wrap;
+    }
+
+    .token-form input[type="text"] {
+      flex: 1;
+      min-width: 240px;
+    }
+
+    .scope-list {
+      display: flex;
+      gap: 12px;
+    }
+
+    .new-token {
+      display: none;
+      margin-top: 16px;
       padding: 16px;
-      background-color: var(--color-secondary);
-      border-radius: 8px;
+      border: 1px solid #1da1f2;
+      border-radius: 6px;
+    }
+
+    .new-token.show {
+      display: block;
+    }
+
+    .new-token p {
+      margin-bottom: 8px;
+      font-size: 14px;
+    }
+
+    .new-token code {
+      word-break: break-all;
+    }
+
+    .revoked {
+      color: #808080;
     }
+  `;
+
+  const script = `
+    async function createToken() {
+      const name = document.getElementById('tokenName').value.trim();
+      const scopes = Array.from(document.querySelectorAll('input[name="scope"]:checked')).map(el => el.value);
+
+      if (!name) {
+        alert('トークン名を入力してください');
+        return;
+      }
+
+      if (scopes.length === 0) {
+        alert('スコープを1つ以上選択してください');
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/tokens', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ name, scopes })
+        });
+
+        if (!response.ok) {
+          throw new Error('トークンの発行に失敗しました');
+        }
 
-    .sort-buttons {
-      display: flex;
-      gap: 8px;
+        const data = await response.json();
+        document.getElementById('newTokenValue').textContent = data.token.token;
+        document.getElementById('newToken').classList.add('show');
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
 
-    .sort-btn {
-      padding: 6px 12px;
-      background-color: var(--color-bg);
-      color: var(--color-text);
-      border: 1px solid var(--color-border);
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 14px;
-      transition: all 0.2s;
-    }
+    async function revokeToken(tokenId) {
+      if (!confirm('このトークンを失効させてもよろしいですか？')) {
+        return;
+      }
 
-    .sort-btn:hover {
-      background-color: var(--color-spoiler-bg);
-    }
+      try {
+        const response = await fetch('/api/tokens/' + tokenId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
 
-    .sort-btn.active {
-      background-color: var(--color-primary);
-      border-color: var(--color-primary);
-      color: white;
+        if (response.ok) {
+          location.reload();
+        } else {
+          alert('失効に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
+  `;
 
-    /* リストテーブル */
-    .list-table {
-      background-color: var(--color-secondary);
-      border-radius: 8px;
-      overflow: hidden;
-    }
+  return htmlResponse(renderAdminPage(env, { title: '🔑 APIトークン', auth, content, styles, script }));
+}
 
-    .list-item {
-      padding: 16px;
-      border-bottom: 1px solid var(--color-border);
-      transition: background-color 0.2s;
-    }
+/**
+ * ユーザー管理画面
+ */
+async function handleAdminUsersPage(env, auth) {
+  const { results: users } = await env.DB.prepare(`
+    SELECT u.id, u.email, u.name, u.picture, u.role, u.created_at, u.last_login_at,
+      (SELECT COUNT(*) FROM posts WHERE author_id = u.id AND deleted_at IS NULL) as post_count
+    FROM users u
+    ORDER BY u.created_at ASC
+  `).all();
+
+  const roleLabels = {
+    owner: 'owner（全権限）',
+    editor: 'editor（全投稿の編集）',
+    author: 'author（自分の投稿のみ）',
+    viewer: 'viewer（閲覧のみ）'
+  };
 
-    .list-item:hover {
-      background-color: var(--color-spoiler-bg);
-    }
+  const content = `
+    <div class="panel">
+      <h2>ユーザーを招待</h2>
+      <div class="invite-form">
+        <input type="email" id="inviteEmail" placeholder="user@example.com">
+        <select id="inviteRole">
+          ${USER_ROLES.map(role => `
+            <option value="${role}" ${role === 'author' ? 'selected' : ''}>${roleLabels[role]}</option>
+          `).join('')}
+        </select>
+        <button onclick="inviteUser()" class="btn btn-primary">招待する</button>
+      </div>
+      <div class="help-text">招待したメールアドレスのGoogleアカウントでログインできるようになります</div>
+    </div>
 
-    .list-item:last-child {
-      border-bottom: none;
-    }
+    <div class="table-wrapper">
+      <table>
+        <thead>
+          <tr>
+            <th>ユーザー</th>
+            <th>ロール</th>
+            <th>投稿数</th>
+            <th>最終ログイン</th>
+            <th>操作</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${users.map(user => `
+            <tr>
+              <td>
+                <div class="user-cell">
+                  ${user.picture ? `<img src="${escapeHTML(user.picture)}" alt="" class="user-avatar">` : ''}
+                  <div>
+                    <div>${escapeHTML(user.name || '（未ログイン）')}</div>
+                    <div class="user-email">${escapeHTML(user.email)}</div>
+                  </div>
+                </div>
+              </td>
+              <td>
+                <select onchange="updateRole(${user.id}, this.value)">
+                  ${USER_ROLES.map(role => `
+                    <option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>
+                  `).join('')}
+                </select>
+              </td>
+              <td>${user.post_count}</td>
+              <td>${user.last_login_at ? new Date(user.last_login_at).toLocaleString('ja-JP') : '-'}</td>
+              <td>
+                ${user.id === auth.user?.id
+                  ? ''
+                  : `<button onclick="deleteUser(${user.id})" class="btn btn-danger btn-small">削除</button>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
 
-    .list-item-header {
+  const styles = `
+    .invite-form {
       display: flex;
-      justify-content: space-between;
-      align-items: flex-start;
-      margin-bottom: 8px;
       gap: 12px;
+      flex-wrap: wrap;
     }
 
-    .list-item-title {
+    .invite-form input {
       flex: 1;
-      font-size: 18px;
-      font-weight: 600;
-      color: var(--color-text);
-      text-decoration: none;
-      line-height: 1.4;
-    }
-
-    .list-item-title:hover {
-      color: var(--color-primary);
+      min-width: 240px;
     }
 
-    .list-item-meta {
+    .user-cell {
       display: flex;
       align-items: center;
       gap: 12px;
-      font-size: 14px;
-      color: var(--color-text-secondary);
     }
 
-    .image-indicator {
-      display: inline-flex;
-      align-items: center;
-      gap: 4px;
-      padding: 4px 8px;
-      background-color: var(--color-bg);
-      border-radius: 4px;
-      font-size: 12px;
+    .user-avatar {
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
     }
 
-    .post-tags {
-      display: flex;
-      flex-wrap: wrap;
-      gap: 6px;
-      margin-top: 8px;
+    .user-email {
+      font-size: 12px;
+      color: #808080;
     }
+  `;
 
-    .tag {
-      padding: 4px 10px;
-      background-color: var(--color-bg);
-      color: var(--color-primary);
-      border-radius: 12px;
-      font-size: 13px;
-      text-decoration: none;
-      transition: all 0.2s;
-    }
+  const script = `
+    async function inviteUser() {
+      const email = document.getElementById('inviteEmail').value.trim();
+      const role = document.getElementById('inviteRole').value;
 
-    .tag:hover {
-      background-color: var(--color-primary);
-      color: white;
-    }
+      if (!email) {
+        alert('メールアドレスを入力してください');
+        return;
+      }
 
-    .pinned-badge {
-      display: inline-flex;
-      align-items: center;
-      padding: 4px 8px;
-      background-color: var(--color-primary);
-      color: white;
-      border-radius: 4px;
-      font-size: 12px;
-      white-space: nowrap;
-    }
+      try {
+        const response = await fetch('/api/users', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ email, role })
+        });
 
-    .loading {
-      text-align: center;
-      padding: 40px;
-      color: var(--color-text-secondary);
-    }
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || '招待に失敗しました');
+        }
 
-    .empty-state {
-      text-align: center;
-      padding: 60px 20px;
-      color: var(--color-text-secondary);
+        location.reload();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
 
-    @media (max-width: 640px) {
-      .list-item-header {
-        flex-direction: column;
+    async function updateRole(userId, role) {
+      try {
+        const response = await fetch('/api/users/' + userId, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ role })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'ロールの変更に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+        location.reload();
       }
+    }
 
-      .controls {
-        flex-direction: column;
-        gap: 12px;
-        align-items: stretch;
+    async function deleteUser(userId) {
+      if (!confirm('このユーザーを削除してもよろしいですか？投稿は残ります。')) {
+        return;
       }
 
-      .sort-buttons {
-        justify-content: center;
+      try {
+        const response = await fetch('/api/users/' + userId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || '削除に失敗しました');
+        }
+
+        location.reload();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
       }
     }
-  </style>
-</head>
-<body>
-  <div class="container" x-data="listViewApp()">
-    <!-- ヘッダー -->
-    <header>
-      <a href="/" class="logo" x-text="siteName"></a>
-      <div class="header-actions">
-        <a href="/" class="btn btn-secondary">← ホームへ</a>
-        <a href="/login" class="btn btn-primary">Login</a>
-      </div>
-    </header>
-
-    <h1 style="font-size: 28px; margin-bottom: 24px;">📚 記事一覧</h1>
+  `;
 
-    <!-- タグナビゲーション -->
-    <div class="tag-nav">
-      <span class="tag-item" :class="{ 'active': selectedTag === null }" @click="filterByTag(null)">すべて</span>
-      <template x-for="tag in tags" :key="tag.id">
-        <span class="tag-item" :class="{ 'active': selectedTag === tag.name }" @click="filterByTag(tag.name)" x-text="tag.name + ' (' + tag.count + ')'"></span>
-      </template>
-    </div>
+  return htmlResponse(renderAdminPage(env, { title: '👥 ユーザー', auth, content, styles, script }));
+}
 
-    <!-- コントロール -->
-    <div class="controls">
-      <div>
-        <span style="color: var(--color-text-secondary); font-size: 14px;">
-          <span x-text="posts.length"></span>件の記事
-        </span>
-      </div>
-      <div class="sort-buttons">
-        <button class="sort-btn" :class="{ 'active': sortOrder === 'desc' }" @click="sortOrder = 'desc'">
-          新しい順
-        </button>
-        <button class="sort-btn" :class="{ 'active': sortOrder === 'asc' }" @click="sortOrder = 'asc'">
-          古い順
-        </button>
+/**
+ * タグ管理画面
+ */
+async function handleAdminTagsPage(env, auth) {
+  const { results: tags } = await env.DB.prepare(`
+    SELECT t.id, t.name, t.description, t.color,
+      COUNT(pt.post_id) as post_count,
+      COUNT(p.id) as public_count,
+      (SELECT COUNT(*) FROM tags c WHERE c.parent_id = t.id) as child_count
+    FROM tags t
+    LEFT JOIN post_tags pt ON t.id = pt.tag_id
+    LEFT JOIN posts p ON pt.post_id = p.id AND p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+    GROUP BY t.id
+    ORDER BY t.name COLLATE NOCASE ASC
+  `).all();
+
+  const tagOptions = tags.map(tag => `
+    <option value="${tag.id}">${escapeHTML(tag.name)}（${tag.post_count}件）</option>
+  `).join('');
+
+  const content = `
+    <div class="panel">
+      <h2>タグを統合</h2>
+      <div class="merge-form">
+        <select id="mergeSource">
+          <option value="">統合元のタグ</option>
+          ${tagOptions}
+        </select>
+        <span>→</span>
+        <select id="mergeTarget">
+          <option value="">統合先のタグ</option>
+          ${tagOptions}
+        </select>
+        <button onclick="mergeTags()" class="btn btn-primary">統合する</button>
       </div>
+      <div class="help-text">統合元のタグが付いた投稿は統合先のタグに付け替えられ、統合元のタグは削除されます（子タグは統合先の子タグになります）</div>
     </div>
 
-    <!-- 読み込み中 -->
-    <div x-show="loading" class="loading">読み込み中...</div>
+    <p class="help-text tag-help">タグ名を「dev/cloudflare」のように / で区切ると「dev」の子タグになります。親のタグ名を変更すると子タグの名前も変更されます。</p>
 
-    <!-- 記事リスト -->
-    <div x-show="!loading && sortedPosts.length > 0" class="list-table">
-      <template x-for="post in sortedPosts" :key="post.id">
-        <div class="list-item">
-          <div class="list-item-header">
-            <a :href="'/post/' + post.id" class="list-item-title">
-              <span x-show="post.is_pinned" class="pinned-badge">📌</span>
-              <span x-text="getPostTitle(post.content)"></span>
-            </a>
-          </div>
-          <div class="list-item-meta">
-            <span x-text="formatDate(post.created_at)"></span>
-            <span x-show="post.image_url" class="image-indicator">🖼️ 画像あり</span>
-          </div>
-          <div class="post-tags" x-show="post.tags && post.tags.length > 0">
-            <template x-for="tag in post.tags" :key="tag">
-              <a href="#" class="tag" @click.prevent="filterByTag(tag)" x-text="'#' + tag"></a>
-            </template>
-          </div>
+    <div class="table-wrapper">
+      ${tags.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>名前</th>
+              <th>説明</th>
+              <th>色</th>
+              <th>投稿数</th>
+              <th>操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${tags.map(tag => `
+              <tr>
+                <td><input type="text" id="name-${tag.id}" value="${escapeHTML(tag.name)}" maxlength="${TAG_NAME_MAX_LENGTH}"></td>
+                <td><input type="text" id="description-${tag.id}" value="${escapeHTML(tag.description || '')}" maxlength="${TAG_DESCRIPTION_MAX_LENGTH}" placeholder="（なし）" class="description-input"></td>
+                <td>
+                  <label class="color-field">
+                    <input type="checkbox" id="useColor-${tag.id}" ${tag.color ? 'checked' : ''}>
+                    <input type="color" id="color-${tag.id}" value="${escapeHTML(tag.color || '#721b31')}">
+                  </label>
+                </td>
+                <td>
+                  ${tag.public_count > 0
+                    ? `<a href="/tag/${encodeURIComponent(tag.name)}" target="_blank" rel="noopener noreferrer">${tag.post_count}</a>`
+                    : tag.post_count}
+                </td>
+                <td class="tag-actions">
+                  <button onclick="saveTag(${tag.id})" class="btn btn-primary btn-small">保存</button>
+                  ${tag.post_count === 0 && tag.child_count === 0
+                    ? `<button onclick="deleteTag(${tag.id})" class="btn btn-danger btn-small">削除</button>`
+                    : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `
+        <div class="empty-state">
+          <p>タグはまだありません</p>
         </div>
-      </template>
+      `}
     </div>
+  `;
 
-    <!-- 空の状態 -->
-    <div x-show="!loading && sortedPosts.length === 0" class="empty-state">
-      <p style="font-size: 18px; margin-bottom: 8px;">記事が見つかりませんでした</p>
-      <p style="font-size: 14px;">別のタグを選択してみてください</p>
-    </div>
-  </div>
+  const styles = `
+    .merge-form {
+      display: flex;
+      gap: 12px;
+      align-items: center;
+      flex-wrap: wrap;
+    }
 
-  <script>
-    function listViewApp() {
-      return {
-        siteName: '${siteName}',
-        posts: [],
-        tags: [],
-        selectedTag: null,
-        loading: true,
-        sortOrder: 'desc', // 'desc' or 'asc'
+    .merge-form select {
+      min-width: 200px;
+    }
 
-        async init() {
-          await this.loadTags();
-          await this.loadPosts();
-          this.loading = false;
-        },
+    .tag-help {
+      margin-bottom: 16px;
+    }
 
-        async loadPosts() {
-          try {
-            let url = '/api/posts?limit=1000'; // 全記事取得
-            if (this.selectedTag) {
-              url += '&tag=' + encodeURIComponent(this.selectedTag);
-            }
+    .description-input {
+      width: 100%;
+      min-width: 240px;
+    }
 
-            const response = await fetch(url);
-            const data = await response.json();
-            this.posts = data.posts || [];
-          } catch (error) {
-            console.error('Failed to load posts:', error);
-          }
-        },
+    .color-field {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
 
-        async loadTags() {
-          try {
-            const response = await fetch('/api/tags');
-            const data = await response.json();
-            this.tags = data.tags || [];
-          } catch (error) {
-            console.error('Failed to load tags:', error);
-          }
-        },
+    .tag-actions {
+      white-space: nowrap;
+    }
 
-        async filterByTag(tagName) {
-          this.selectedTag = tagName;
-          this.loading = true;
-          await this.loadPosts();
-          this.loading = false;
-        },
+    td a {
+      color: #1da1f2;
+    }
+  `;
 
-        get sortedPosts() {
-          const sorted = [...this.posts];
-          if (this.sortOrder === 'asc') {
-            return sorted.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-          } else {
-            return sorted.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-          }
-        },
+  const script = `
+    async function saveTag(tagId) {
+      const name = document.getElementById('name-' + tagId).value.trim();
+      const description = document.getElementById('description-' + tagId).value.trim();
+      const color = document.getElementById('useColor-' + tagId).checked
+        ? document.getElementById('color-' + tagId).value
+        : null;
 
-        getPostTitle(content) {
-          if (!content) return '無題';
+      if (!name) {
+        alert('タグ名を入力してください');
+        return;
+      }
 
-          // Markdownのヘッダーを抽出
-          const lines = content.split('\\n');
-          for (let line of lines) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('# ')) {
-              return trimmed.replace(/^#\\s+/, '');
-            }
-          }
+      try {
+        const response = await fetch('/api/tags/' + tagId, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ name, description, color })
+        });
 
-          // ヘッダーがない場合、最初の行を取得（最大50文字）
-          const firstLine = lines[0]?.trim() || '';
-          return firstLine.length > 50 ? firstLine.substring(0, 50) + '...' : firstLine || '無題';
-        },
+        const data = await response.json();
+        if (response.status === 409) {
+          throw new Error('「' + data.tag.name + '」は既に存在します。タグを統合してください');
+        }
+        if (!response.ok) {
+          throw new Error(data.error || '保存に失敗しました');
+        }
 
-        formatDate(timestamp) {
-          if (!timestamp) return '';
+        location.reload();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
 
-          const date = new Date(timestamp);
-          return date.getFullYear() + '年' +
-                 (date.getMonth() + 1) + '月' +
-                 date.getDate() + '日 ' +
-                 date.getHours().toString().padStart(2, '0') + ':' +
-                 date.getMinutes().toString().padStart(2, '0');
+    async function mergeTags() {
+      const source = document.getElementById('mergeSource');
+      const target = document.getElementById('mergeTarget');
+
+      if (!source.value || !target.value) {
+        alert('統合元と統合先のタグを選択してください');
+        return;
+      }
+
+      if (source.value === target.value) {
+        alert('異なるタグを選択してください');
+        return;
+      }
+
+      const sourceName = source.options[source.selectedIndex].text;
+      const targetName = target.options[target.selectedIndex].text;
+      if (!confirm(sourceName + ' を ' + targetName + ' に統合してもよろしいですか？')) {
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/tags/' + source.value + '/merge', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({ into: parseInt(target.value) })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || '統合に失敗しました');
         }
+
+        location.reload();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
+
+    async function deleteTag(tagId) {
+      if (!confirm('このタグを削除してもよろしいですか？')) {
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/tags/' + tagId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || '削除に失敗しました');
+        }
+
+        location.reload();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
       }
     }
-  </script>
-</body>
-</html>
   `;
 
-  return htmlResponse(html);
+  return htmlResponse(renderAdminPage(env, { title: '🏷️ タグ', auth, content, styles, script }));
 }
 
 /**
- * 管理画面ダッシュボード
+ * セッション管理画面
  */
-async function handleAdminDashboard(request, env) {
-  const session = await getSession(env, getSessionFromCookie(request));
+async function handleAdminSessionsPage(env, auth) {
+  const sessions = await listUserSessions(env, auth.email);
+  const formatDate = value => value ? new Date(value).toLocaleString('ja-JP') : '-';
+
+  const content = `
+    <div class="panel">
+      <h2>ログイン中のセッション</h2>
+      <p class="help-text">心当たりのないセッションは失効させてください。セッションは最終アクセスから7日間、最長でログインから30日間有効です。</p>
+      <div class="session-actions">
+        <button onclick="revokeAll()" class="btn btn-danger">すべてのデバイスからログアウト</button>
+      </div>
+    </div>
 
-  // 投稿一覧を取得
-  const posts = await env.DB.prepare(
-    'SELECT id, content, image_url, is_pinned, created_at FROM posts ORDER BY created_at DESC LIMIT 50'
-  ).all();
+    <div class="table-wrapper">
+      ${sessions.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>デバイス</th>
+              <th>IPハッシュ</th>
+              <th>ログイン日時</th>
+              <th>最終アクセス</th>
+              <th>操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${sessions.map(session => `
+              <tr>
+                <td class="user-agent">
+                  ${escapeHTML(session.userAgent || '不明')}
+                  ${session.handle === auth.sessionHandle ? '<span class="current-badge">このデバイス</span>' : ''}
+                </td>
+                <td><code>${escapeHTML(session.ipHash || '-')}</code></td>
+                <td>${formatDate(session.createdAt)}</td>
+                <td>${formatDate(session.lastSeenAt)}</td>
+                <td>
+                  ${session.handle
+                    ? `<button onclick="revokeSession('${escapeHTML(session.handle)}', ${session.handle === auth.sessionHandle})" class="btn btn-danger btn-small">失効</button>`
+                    : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `
+        <div class="empty-state">
+          <p>有効なセッションはありません</p>
+        </div>
+      `}
+    </div>
+  `;
 
-  const html = `
-<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>管理画面 - ${env.SITE_NAME || 'Blog'}</title>
-  <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
+  const styles = `
+    .session-actions {
+      margin-top: 16px;
     }
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-      background: #0f0f0f;
+    .user-agent {
+      max-width: 480px;
+      word-break: break-word;
     }
 
-    .header {
-      background: #1a1a1a;
-      border-bottom: 1px solid #2d2d2d;
-      padding: 16px 24px;
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
+    .current-badge {
+      display: inline-block;
+      background: #1da1f2;
+      color: white;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      margin-left: 8px;
     }
+  `;
 
-    .header-left {
-      display: flex;
-      align-items: center;
-      gap: 16px;
-    }
+  const script = `
+    async function revokeSession(handle, isCurrent) {
+      const message = isCurrent
+        ? 'このデバイスからログアウトします。よろしいですか？'
+        : 'このセッションを失効させてもよろしいですか？';
+      if (!confirm(message)) {
+        return;
+      }
 
-    .header-left h1 {
-      font-size: 20px;
-      color: #ffffff;
-    }
+      try {
+        const response = await fetch('/api/sessions/' + handle, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
 
-    .user-info {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      color: #e0e0e0;
-    }
+        if (!response.ok) {
+          throw new Error('失効に失敗しました');
+        }
 
-    .user-avatar {
-      width: 32px;
-      height: 32px;
-      border-radius: 50%;
+        location.href = isCurrent ? '/login' : '/admin/sessions';
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
 
-    .btn {
-      padding: 8px 16px;
-      border-radius: 6px;
-      text-decoration: none;
-      font-size: 14px;
-      font-weight: 500;
-      cursor: pointer;
-      border: none;
-      transition: all 0.2s;
-      display: inline-block;
-    }
+    async function revokeAll() {
+      if (!confirm('このデバイスを含むすべてのデバイスからログアウトします。よろしいですか？')) {
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/sessions', {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
 
-    .btn-primary {
-      background: #1da1f2;
-      color: white;
-    }
+        if (!response.ok) {
+          throw new Error('ログアウトに失敗しました');
+        }
 
-    .btn-primary:hover {
-      background: #1a91da;
+        location.href = '/login';
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
+  `;
 
-    .btn-secondary {
-      background: #2d2d2d;
-      color: #e0e0e0;
-      border: 1px solid #404040;
-    }
+  return htmlResponse(renderAdminPage(env, { title: '💻 セッション', auth, content, styles, script }));
+}
 
-    .btn-secondary:hover {
-      background: #353535;
-    }
+/**
+ * パスキー管理画面
+ */
+async function handleAdminPasskeysPage(env, auth) {
+  const { results: passkeys } = await env.DB.prepare(`
+    SELECT id, name, algorithm, created_at, last_used_at
+    FROM passkeys
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `).bind(auth.user.id).all();
+
+  const formatDate = value => value ? new Date(value).toLocaleString('ja-JP') : '-';
+
+  const content = `
+    <div class="panel">
+      <h2>パスキーを登録</h2>
+      <div class="passkey-form">
+        <input type="text" id="passkeyName" placeholder="名前（例: MacBook Touch ID）">
+        <button onclick="registerPasskey()" class="btn btn-primary">このデバイスを登録</button>
+      </div>
+      <div class="help-text">登録したパスキーで、Googleアカウントを使わずにログインできます</div>
+    </div>
 
-    .container {
-      max-width: 1200px;
-      margin: 24px auto;
-      padding: 0 24px;
-    }
+    <div class="table-wrapper">
+      ${passkeys.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>名前</th>
+              <th>方式</th>
+              <th>登録日時</th>
+              <th>最終使用</th>
+              <th>操作</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${passkeys.map(passkey => `
+              <tr>
+                <td>${escapeHTML(passkey.name)}</td>
+                <td>${passkey.algorithm === -7 ? 'ES256' : 'RS256'}</td>
+                <td>${formatDate(passkey.created_at)}</td>
+                <td>${formatDate(passkey.last_used_at)}</td>
+                <td>
+                  <button onclick="deletePasskey('${escapeHTML(passkey.id)}')" class="btn btn-danger btn-small">削除</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `
+        <div class="empty-state">
+          <p>登録済みのパスキーはありません</p>
+        </div>
+      `}
+    </div>
+  `;
 
-    .actions {
+  const styles = `
+    .passkey-form {
       display: flex;
-      justify-content: space-between;
-      align-items: center;
-      margin-bottom: 24px;
+      gap: 12px;
+      flex-wrap: wrap;
     }
 
-    .actions h2 {
-      color: #ffffff;
+    .passkey-form input {
+      flex: 1;
+      min-width: 240px;
     }
+  `;
 
-    .posts-table {
-      background: #1a1a1a;
-      border: 1px solid #2d2d2d;
-      border-radius: 8px;
-      overflow: hidden;
+  const script = `
+    function toBase64Url(buffer) {
+      const bytes = new Uint8Array(buffer);
+      let binary = '';
+      bytes.forEach(byte => binary += String.fromCharCode(byte));
+      return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
     }
 
-    table {
-      width: 100%;
-      border-collapse: collapse;
+    function fromBase64Url(value) {
+      const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+      const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+      return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
     }
 
-    th {
-      background: #212121;
-      padding: 12px 16px;
-      text-align: left;
-      font-weight: 600;
-      font-size: 14px;
-      color: #b0b0b0;
-      border-bottom: 1px solid #2d2d2d;
-    }
+    async function registerPasskey() {
+      if (!window.PublicKeyCredential) {
+        alert('このブラウザはパスキーに対応していません');
+        return;
+      }
 
-    td {
-      padding: 16px;
-      border-bottom: 1px solid #2d2d2d;
-      font-size: 14px;
-      color: #e0e0e0;
-    }
+      try {
+        const optionsResponse = await fetch('/api/passkeys/register/options', { method: 'POST', headers: { 'X-CSRF-Token': csrfToken } });
+        if (!optionsResponse.ok) {
+          throw new Error('登録オプションの取得に失敗しました');
+        }
+        const options = await optionsResponse.json();
+
+        const credential = await navigator.credentials.create({
+          publicKey: {
+            ...options,
+            challenge: fromBase64Url(options.challenge),
+            user: { ...options.user, id: fromBase64Url(options.user.id) },
+            excludeCredentials: options.excludeCredentials.map(c => ({ ...c, id: fromBase64Url(c.id) }))
+          }
+        });
 
-    tr:hover {
-      background: #212121;
-    }
+        const response = await fetch('/api/passkeys/register', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({
+            name: document.getElementById('passkeyName').value.trim(),
+            clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+            attestationObject: toBase64Url(credential.response.attestationObject),
+            transports: credential.response.getTransports ? credential.response.getTransports() : []
+          })
+        });
 
-    .post-preview {
-      max-width: 400px;
-      overflow: hidden;
-      text-overflow: ellipsis;
-      white-space: nowrap;
-    }
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'パスキーの登録に失敗しました');
+        }
 
-    .post-image {
-      width: 60px;
-      height: 60px;
-      object-fit: cover;
-      border-radius: 4px;
+        alert('パスキーを登録しました');
+        location.reload();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
 
-    .post-actions {
-      display: flex;
-      gap: 8px;
-    }
+    async function deletePasskey(credentialId) {
+      if (!confirm('このパスキーを削除してもよろしいですか？')) {
+        return;
+      }
 
-    .btn-small {
-      padding: 6px 12px;
-      font-size: 13px;
-    }
+      try {
+        const response = await fetch('/api/passkeys/' + credentialId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
 
-    .btn-danger {
-      background: #dc3545;
-      color: white;
+        if (response.ok) {
+          location.reload();
+        } else {
+          alert('削除に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
     }
+  `;
 
-    .btn-danger:hover {
-      background: #c82333;
-    }
+  return htmlResponse(renderAdminPage(env, { title: '🔐 パスキー', auth, content, styles, script }));
+}
 
-    .empty-state {
-      text-align: center;
-      padding: 60px 20px;
-      color: #b0b0b0;
-    }
+/**
+ * 監査ログ画面
+ */
+async function handleAdminAuditPage(env, url, auth) {
+  const filters = {
+    action: url.searchParams.get('action') || '',
+    actor: url.searchParams.get('actor') || '',
+    postId: url.searchParams.get('post_id') || ''
+  };
+  // 不正な ?before= は無視して最新のログから表示
+  const before = parseAuditLogBefore(url.searchParams.get('before'));
+  const { entries, hasMore } = await queryAuditLog(env, {
+    ...filters,
+    before: Number.isNaN(before) ? null : before
+  });
 
-    .empty-state h2 {
-      margin-bottom: 12px;
-      color: #e0e0e0;
-    }
+  const formatDate = value => value ? new Date(value).toLocaleString('ja-JP') : '-';
+  const formatValue = value => value === null || value === undefined || value === '' ? '（なし）' : String(value);
 
-    code {
-      background: #2d2d2d;
-      padding: 2px 6px;
-      border-radius: 3px;
-      font-family: 'Courier New', monospace;
-      font-size: 13px;
-    }
+  // 変更内容を「項目: 変更前 → 変更後」の形式で表示
+  const renderDetails = details => {
+    if (!details) return '';
 
-    .menu-container {
-      position: relative;
-      display: inline-block;
+    if (details.changes) {
+      return Object.entries(details.changes).map(([field, change]) => `
+        <div class="change">
+          <span class="field">${escapeHTML(field)}</span>
+          <span class="before">${escapeHTML(formatValue(change.before))}</span>
+          →
+          <span class="after">${escapeHTML(formatValue(change.after))}</span>
+        </div>
+      `).join('');
     }
 
-    .menu-btn {
-      background: #2d2d2d;
-      color: #e0e0e0;
-      border: 1px solid #404040;
-      border-radius: 4px;
-      width: 32px;
-      height: 32px;
-      font-size: 18px;
-      cursor: pointer;
-      transition: all 0.2s;
+    return Object.entries(details).map(([key, value]) => `
+      <div class="change">
+        <span class="field">${escapeHTML(key)}</span>
+        ${escapeHTML(typeof value === 'object' && value !== null ? JSON.stringify(value) : formatValue(value))}
+      </div>
+    `).join('');
+  };
+
+  const nextParams = new URLSearchParams();
+  if (filters.action) nextParams.set('action', filters.action);
+  if (filters.actor) nextParams.set('actor', filters.actor);
+  if (filters.postId) nextParams.set('post_id', filters.postId);
+  if (entries.length > 0) nextParams.set('before', entries[entries.length - 1].id);
+
+  const content = `
+    <div class="panel">
+      <h2>絞り込み</h2>
+      <form method="GET" action="/admin/audit" class="filter-form">
+        <select name="action">
+          <option value="">すべての操作</option>
+          ${Object.entries(AUDIT_ACTIONS).map(([action, label]) => `
+            <option value="${action}" ${action === filters.action ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        <input type="text" name="actor" placeholder="操作者のメールアドレス" value="${escapeHTML(filters.actor)}">
+        <input type="text" name="post_id" placeholder="投稿ID" value="${escapeHTML(filters.postId)}">
+        <button type="submit" class="btn btn-primary">検索</button>
+        <a href="/admin/audit" class="btn btn-secondary">クリア</a>
+      </form>
+    </div>
+
+    <div class="table-wrapper">
+      ${entries.length > 0 ? `
+        <table>
+          <thead>
+            <tr>
+              <th>日時</th>
+              <th>操作者</th>
+              <th>操作</th>
+              <th>対象</th>
+              <th>変更内容</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map(entry => `
+              <tr>
+                <td class="nowrap">${formatDate(entry.created_at)}</td>
+                <td>
+                  ${escapeHTML(entry.actor_email || '-')}
+                  ${entry.actor_type ? `<div class="actor-type">${escapeHTML(entry.actor_type)}</div>` : ''}
+                </td>
+                <td class="nowrap">${escapeHTML(AUDIT_ACTIONS[entry.action] || entry.action)}</td>
+                <td>
+                  ${entry.target_post_id
+                    ? `<a href="/admin/audit?post_id=${encodeURIComponent(entry.target_post_id)}">${escapeHTML(entry.target_post_id)}</a>`
+                    : '-'}
+                </td>
+                <td class="details">${renderDetails(entry.details)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `
+        <div class="empty-state">
+          <p>該当する記録はありません</p>
+        </div>
+      `}
+    </div>
+
+    ${hasMore ? `
+      <div class="pagination">
+        <a href="/admin/audit?${nextParams.toString()}" class="btn btn-secondary">さらに古い記録 →</a>
+      </div>
+    ` : ''}
+  `;
+
+  const styles = `
+    .filter-form {
       display: flex;
+      gap: 12px;
       align-items: center;
-      justify-content: center;
+      flex-wrap: wrap;
     }
 
-    .menu-btn:hover {
-      background: #353535;
-      border-color: #505050;
+    .nowrap {
+      white-space: nowrap;
     }
 
-    .dropdown-menu {
-      display: none;
-      position: absolute;
-      right: 0;
-      top: 36px;
-      background: #1a1a1a;
-      border: 1px solid #404040;
-      border-radius: 6px;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
-      min-width: 180px;
-      z-index: 1000;
+    .actor-type {
+      font-size: 12px;
+      color: #808080;
     }
 
-    .dropdown-menu.show {
-      display: block;
+    td a {
+      color: #1da1f2;
+      text-decoration: none;
     }
 
-    .dropdown-item {
-      padding: 10px 16px;
-      color: #e0e0e0;
-      cursor: pointer;
-      font-size: 14px;
-      border: none;
-      background: none;
-      width: 100%;
-      text-align: left;
-      transition: background 0.2s;
+    .details {
+      max-width: 480px;
+      word-break: break-word;
     }
 
-    .dropdown-item:hover {
-      background: #2d2d2d;
+    .change {
+      font-size: 13px;
+      margin-bottom: 4px;
     }
 
-    .dropdown-item:first-child {
-      border-radius: 6px 6px 0 0;
+    .change .field {
+      color: #b0b0b0;
+      margin-right: 6px;
     }
 
-    .dropdown-item:last-child {
-      border-radius: 0 0 6px 6px;
+    .change .before {
+      color: #e57373;
+    }
+
+    .change .after {
+      color: #81c784;
     }
 
-    .pin-badge {
-      display: inline-block;
-      background: #1da1f2;
-      color: white;
-      padding: 2px 8px;
-      border-radius: 4px;
-      font-size: 12px;
-      font-weight: 500;
-      margin-left: 8px;
+    .pagination {
+      margin-top: 24px;
+      text-align: center;
     }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <div class="header-left">
-      <h1>📝 ブログ管理画面</h1>
-      <a href="/" target="_blank" rel="noopener noreferrer" class="btn btn-secondary">🔗 View</a>
-    </div>
-    <div class="user-info">
-      ${session?.picture ? `<img src="${session.picture}" alt="${session.name}" class="user-avatar">` : ''}
-      <span>${session?.name || 'Admin'}</span>
-      <a href="/logout" class="btn btn-secondary">ログアウト</a>
-    </div>
-  </div>
+  `;
 
-  <div class="container">
-    <div class="actions">
-      <h2>投稿一覧</h2>
-      <a href="/admin/posts/new" class="btn btn-primary">+ 新規投稿</a>
+  return htmlResponse(renderAdminPage(env, { title: '📜 監査ログ', auth, content, styles }));
+}
+
+/**
+ * ゴミ箱画面
+ */
+async function handleAdminTrashPage(env, auth) {
+  const manageAll = canManageAllPosts(auth);
+  const { results: posts } = await env.DB.prepare(`
+    SELECT p.id, p.content, p.status, p.deleted_at, u.name as author_name
+    FROM posts p
+    LEFT JOIN users u ON p.author_id = u.id
+    WHERE p.deleted_at IS NOT NULL ${manageAll ? '' : 'AND p.author_id = ?'}
+    ORDER BY p.deleted_at DESC
+  `).bind(...(manageAll ? [] : [auth.user?.id ?? null])).all();
+
+  const retentionDays = getTrashRetentionDays(env);
+  const formatDate = value => value ? new Date(value).toLocaleString('ja-JP') : '-';
+  const purgeDate = value => new Date(new Date(value).getTime() + retentionDays * 86400 * 1000).toLocaleDateString('ja-JP');
+
+  const content = `
+    <div class="panel">
+      <div class="help-text">ゴミ箱の投稿は${retentionDays}日後に画像とともに完全に削除されます</div>
     </div>
 
-    <div class="posts-table">
-      ${posts.results.length > 0 ? `
+    <div class="table-wrapper">
+      ${posts.length > 0 ? `
         <table>
           <thead>
             <tr>
-              <th>ID</th>
               <th>内容</th>
-              <th>画像</th>
-              <th>作成日時</th>
+              ${manageAll ? '<th>投稿者</th>' : ''}
+              <th>削除日時</th>
+              <th>完全削除予定</th>
               <th>操作</th>
             </tr>
           </thead>
           <tbody>
-            ${posts.results.map(post => `
+            ${posts.map(post => `
               <tr>
-                <td>
-                  <code>${post.id}</code>
-                  ${post.is_pinned ? '<span class="pin-badge">📌 固定</span>' : ''}
-                </td>
-                <td class="post-preview">${post.content.substring(0, 100).replace(/<[^>]*>/g, '')}...</td>
-                <td>
-                  ${post.image_url ? `<img src="${post.image_url}" alt="" class="post-image">` : '-'}
-                </td>
-                <td>${new Date(post.created_at).toLocaleString('ja-JP')}</td>
-                <td class="post-actions">
-                  <a href="/admin/posts/${post.id}/edit" class="btn btn-secondary btn-small">編集</a>
-                  <button onclick="deletePost('${post.id}')" class="btn btn-danger btn-small">削除</button>
-                  <div class="menu-container">
-                    <button class="menu-btn" onclick="toggleMenu(event, '${post.id}')">⋮</button>
-                    <div class="dropdown-menu" id="menu-${post.id}">
-                      <button class="dropdown-item" onclick="togglePin('${post.id}', ${post.is_pinned ? 'false' : 'true'})">
-                        ${post.is_pinned ? '📌 固定を解除' : '📌 固定記事にする'}
-                      </button>
-                    </div>
-                  </div>
+                <td class="post-content">${escapeHTML(post.content.substring(0, 100))}${post.content.length > 100 ? '...' : ''}</td>
+                ${manageAll ? `<td>${escapeHTML(post.author_name || '-')}</td>` : ''}
+                <td class="nowrap">${formatDate(post.deleted_at)}</td>
+                <td class="nowrap">${purgeDate(post.deleted_at)}</td>
+                <td class="nowrap">
+                  <button onclick="restorePost('${post.id}')" class="btn btn-secondary btn-small">復元</button>
+                  <button onclick="purgePost('${post.id}')" class="btn btn-danger btn-small">完全に削除</button>
                 </td>
               </tr>
             `).join('')}
@@ -2501,28 +8358,57 @@ async function handleAdminDashboard(request, env) {
         </table>
       ` : `
         <div class="empty-state">
-          <h2>投稿がありません</h2>
-          <p>最初の投稿を作成しましょう</p>
-          <br>
-          <a href="/admin/posts/new" class="btn btn-primary">+ 新規投稿</a>
+          <p>ゴミ箱は空です</p>
         </div>
       `}
     </div>
-  </div>
+  `;
 
-  <script>
-    async function deletePost(postId) {
-      if (!confirm('この投稿を削除してもよろしいですか？')) {
+  const styles = `
+    .post-content {
+      max-width: 480px;
+      word-break: break-word;
+    }
+
+    .nowrap {
+      white-space: nowrap;
+    }
+  `;
+
+  const script = `
+    async function restorePost(postId) {
+      try {
+        const response = await fetch('/api/trash/' + postId + '/restore', {
+          method: 'POST',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
+
+        if (response.ok) {
+          location.reload();
+        } else {
+          alert('復元に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
+
+    async function purgePost(postId) {
+      if (!confirm('この投稿を完全に削除しますか？この操作は取り消せません。')) {
         return;
       }
 
       try {
-        const response = await fetch('/api/posts/' + postId, {
-          method: 'DELETE'
+        const response = await fetch('/api/trash/' + postId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
         });
 
         if (response.ok) {
-          alert('削除しました');
           location.reload();
         } else {
           alert('削除に失敗しました');
@@ -2531,62 +8417,249 @@ async function handleAdminDashboard(request, env) {
         alert('エラーが発生しました: ' + error.message);
       }
     }
+  `;
 
-    function toggleMenu(event, postId) {
-      event.stopPropagation();
-      const menu = document.getElementById('menu-' + postId);
-      const allMenus = document.querySelectorAll('.dropdown-menu');
+  return htmlResponse(renderAdminPage(env, { title: '🗑 ゴミ箱', auth, content, styles, script }));
+}
 
-      // 他のメニューを閉じる
-      allMenus.forEach(m => {
-        if (m.id !== 'menu-' + postId) {
-          m.classList.remove('show');
-        }
+/**
+ * 投稿画面・編集画面の公開範囲の選択肢
+ */
+function renderVisibilityOptions(selected = 'public') {
+  return POST_VISIBILITIES.map(value =>
+    `<option value="${value}"${value === selected ? ' selected' : ''}>${POST_VISIBILITY_LABELS[value]}</option>`
+  ).join('');
+}
+
+/**
+ * 投稿画面・編集画面の画像選択UI（並べ替え・代替テキスト・センシティブ設定）
+ * media はアップロード済みの画像一覧（編集画面の初期値）
+ */
+function renderMediaEditor(media = []) {
+  const styles = `
+    .media-list {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+      gap: 12px;
+      margin-top: 12px;
+    }
+
+    .media-item {
+      background: #212121;
+      border: 1px solid #404040;
+      border-radius: 8px;
+      padding: 8px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    }
+
+    .media-item img {
+      width: 100%;
+      height: 120px;
+      object-fit: cover;
+      border-radius: 6px;
+    }
+
+    .media-item input[type="text"] {
+      padding: 6px 8px;
+      font-size: 13px;
+    }
+
+    .media-item label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin: 0;
+      font-size: 13px;
+      color: #b0b0b0;
+    }
+
+    .media-controls {
+      display: flex;
+      gap: 4px;
+    }
+
+    .media-controls button {
+      flex: 1;
+      padding: 4px;
+      background: #2d2d2d;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      color: #e0e0e0;
+      cursor: pointer;
+    }
+
+    .media-controls button:hover:not(:disabled) {
+      background: #404040;
+    }
+
+    .media-controls button:disabled {
+      opacity: 0.4;
+      cursor: not-allowed;
+    }
+
+    .media-controls .remove {
+      color: #e57373;
+    }
+  `;
+
+  const html = `
+    <input type="file" id="mediaInput" accept="image/*" multiple onchange="addMediaFiles(this)">
+    <div class="help-text">最大${MAX_MEDIA_PER_POST}枚まで添付できます。← → で表示順を変更できます</div>
+    <div class="media-list" id="mediaList"></div>
+  `;
+
+  const script = `
+    // 添付画像（アップロード済みの画像は url、未アップロードの画像は file を持つ）
+    const MAX_MEDIA = ${MAX_MEDIA_PER_POST};
+    const mediaItems = ${JSON.stringify(media).replace(/</g, '\\u003c')}.map(item => ({ ...item, preview: item.url }));
+
+    function addMediaFiles(input) {
+      const files = Array.from(input.files);
+      if (mediaItems.length + files.length > MAX_MEDIA) {
+        alert('画像は' + MAX_MEDIA + '枚まで添付できます');
+      }
+
+      files.slice(0, MAX_MEDIA - mediaItems.length).forEach(file => {
+        mediaItems.push({ file, preview: URL.createObjectURL(file), alt_text: '', is_sensitive: 0 });
       });
 
-      // クリックしたメニューをトグル
-      menu.classList.toggle('show');
+      input.value = '';
+      renderMediaList();
+    }
+
+    function moveMedia(index, offset) {
+      const [item] = mediaItems.splice(index, 1);
+      mediaItems.splice(index + offset, 0, item);
+      renderMediaList();
+    }
+
+    function removeMedia(index) {
+      mediaItems.splice(index, 1);
+      renderMediaList();
+    }
+
+    function renderMediaList() {
+      const list = document.getElementById('mediaList');
+      list.innerHTML = '';
+
+      mediaItems.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = 'media-item';
+
+        const img = document.createElement('img');
+        img.src = item.preview;
+        img.alt = item.alt_text || '';
+        div.appendChild(img);
+
+        const altInput = document.createElement('input');
+        altInput.type = 'text';
+        altInput.placeholder = '代替テキスト（画像の説明）';
+        altInput.value = item.alt_text || '';
+        altInput.oninput = () => { item.alt_text = altInput.value; };
+        div.appendChild(altInput);
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !!item.is_sensitive;
+        checkbox.onchange = () => { item.is_sensitive = checkbox.checked ? 1 : 0; };
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode('センシティブな画像'));
+        div.appendChild(label);
+
+        const controls = document.createElement('div');
+        controls.className = 'media-controls';
+        [
+          { text: '←', title: '前へ', disabled: index === 0, onclick: () => moveMedia(index, -1) },
+          { text: '→', title: '後ろへ', disabled: index === mediaItems.length - 1, onclick: () => moveMedia(index, 1) },
+          { text: '×', title: '削除', className: 'remove', onclick: () => removeMedia(index) }
+        ].forEach(options => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.textContent = options.text;
+          button.title = options.title;
+          button.disabled = !!options.disabled;
+          button.className = options.className || '';
+          button.onclick = options.onclick;
+          controls.appendChild(button);
+        });
+        div.appendChild(controls);
+
+        list.appendChild(div);
+      });
+
+      document.getElementById('mediaInput').disabled = mediaItems.length >= MAX_MEDIA;
     }
 
-    async function togglePin(postId, isPinned) {
-      try {
-        const response = await fetch('/api/posts/' + postId + '/pin', {
-          method: 'PUT',
+    // 未アップロードの画像をアップロードして、投稿に保存する画像一覧を返す
+    async function uploadMedia() {
+      for (const item of mediaItems) {
+        if (item.url) continue;
+
+        const formData = new FormData();
+        formData.append('image', item.file);
+
+        const uploadResponse = await fetch('/api/upload', {
+          method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'X-CSRF-Token': csrfToken
           },
-          body: JSON.stringify({ is_pinned: isPinned })
+          body: formData
         });
 
-        if (response.ok) {
-          alert(isPinned ? '固定記事に設定しました' : '固定を解除しました');
-          location.reload();
-        } else {
-          alert('設定の変更に失敗しました');
+        if (!uploadResponse.ok) {
+          throw new Error('画像のアップロードに失敗しました');
         }
-      } catch (error) {
-        alert('エラーが発生しました: ' + error.message);
+
+        const uploadData = await uploadResponse.json();
+        item.url = uploadData.url;
       }
+
+      return mediaItems.map(item => ({
+        url: item.url,
+        alt_text: item.alt_text || null,
+        is_sensitive: item.is_sensitive ? 1 : 0
+      }));
     }
 
-    // ページ外をクリックしたらメニューを閉じる
-    document.addEventListener('click', function() {
-      document.querySelectorAll('.dropdown-menu').forEach(menu => {
-        menu.classList.remove('show');
-      });
-    });
-  </script>
-</body>
-</html>
+    renderMediaList();
   `;
 
-  return htmlResponse(html);
+  return { styles, html, script };
 }
 
 /**
- * 新規投稿画面
+ * 新規投稿画面（?parent_id= でスレッドの続き、?quote_id= で引用投稿）
  */
-async function handleNewPost(env) {
+async function handleNewPost(env, url, auth) {
+  const parentId = url.searchParams.get('parent_id');
+  let parent = null;
+  if (parentId) {
+    parent = await env.DB.prepare(
+      'SELECT id, content, author_id, status, visibility FROM posts WHERE id = ? AND deleted_at IS NULL'
+    ).bind(parentId).first();
+
+    if (!parent || !canEditPost(auth, parent)) {
+      return htmlResponse('<h1>投稿が見つかりません</h1><a href="/admin">管理画面に戻る</a>', 404);
+    }
+  }
+
+  const quoteId = url.searchParams.get('quote_id');
+  let quoted = null;
+  if (quoteId) {
+    quoted = await env.DB.prepare(
+      "SELECT id, content FROM posts WHERE id = ? AND status = 'published' AND visibility = 'public' AND deleted_at IS NULL"
+    ).bind(quoteId).first();
+
+    if (!quoted) {
+      return htmlResponse('<h1>投稿が見つかりません</h1><a href="/admin">管理画面に戻る</a>', 404);
+    }
+  }
+
+  const mediaEditor = renderMediaEditor();
+
   const html = `
 <!DOCTYPE html>
 <html lang="ja">
@@ -2594,7 +8667,9 @@ async function handleNewPost(env) {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>新規投稿 - ${env.SITE_NAME || 'Blog'}</title>
+  ${csrfMetaTag(auth)}
   <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
+  ${renderMarkdownScript()}
   <style>
     * {
       margin: 0;
@@ -2662,6 +8737,11 @@ async function handleNewPost(env) {
       background: #353535;
     }
 
+    .btn-secondary:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
     .container {
       max-width: 900px;
       margin: 24px auto;
@@ -2707,7 +8787,9 @@ async function handleNewPost(env) {
     }
 
     input[type="text"],
-    input[type="file"] {
+    input[type="file"],
+    input[type="datetime-local"],
+    select {
       width: 100%;
       padding: 10px 12px;
       background: #2d2d2d;
@@ -2717,6 +8799,12 @@ async function handleNewPost(env) {
       color: #e0e0e0;
     }
 
+    input[type="datetime-local"],
+    select {
+      width: auto;
+      color-scheme: dark;
+    }
+
     input[type="text"]:focus {
       outline: none;
       border-color: #1da1f2;
@@ -2757,48 +8845,46 @@ async function handleNewPost(env) {
       color: #e0e0e0;
     }
 
+    .preview-content .spoiler {
+      background: #000;
+      color: #000;
+      cursor: pointer;
+      padding: 2px 4px;
+      border-radius: 3px;
+      transition: all 0.2s;
+    }
+
+    .preview-content .spoiler.revealed {
+      background: transparent;
+      color: inherit;
+    }
+
     .help-text {
       font-size: 13px;
       color: #b0b0b0;
       margin-top: 4px;
     }
 
-    .image-preview {
-      margin-top: 12px;
-      max-width: 400px;
-      position: relative;
+    .thread-parent {
+      margin-bottom: 24px;
+      padding: 12px 16px;
+      border-left: 3px solid #1da1f2;
+      background: #212121;
+      border-radius: 6px;
+      color: #b0b0b0;
+      font-size: 14px;
+      white-space: pre-wrap;
+      word-break: break-word;
     }
 
-    .image-preview img {
-      max-width: 100%;
-      border-radius: 8px;
-      border: 1px solid #404040;
+    .thread-parent a {
       display: block;
+      margin-bottom: 8px;
+      color: #1da1f2;
+      text-decoration: none;
     }
 
-    .image-preview .remove-btn {
-      position: absolute;
-      top: 8px;
-      right: 8px;
-      background: rgba(220, 53, 69, 0.9);
-      color: white;
-      border: none;
-      border-radius: 50%;
-      width: 28px;
-      height: 28px;
-      font-size: 18px;
-      line-height: 1;
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      transition: all 0.2s;
-    }
-
-    .image-preview .remove-btn:hover {
-      background: rgba(220, 53, 69, 1);
-      transform: scale(1.1);
-    }
+${mediaEditor.styles}
 
     .loading {
       display: none;
@@ -2813,16 +8899,32 @@ async function handleNewPost(env) {
 </head>
 <body>
   <div class="header">
-    <h1>📝 新規投稿</h1>
+    <h1>${parent ? '🧵 スレッドを続ける' : quoted ? '💬 引用投稿' : '📝 新規投稿'}</h1>
     <div class="header-actions">
       <a href="/admin" class="btn btn-secondary">キャンセル</a>
-      <button onclick="submitPost()" class="btn btn-primary" id="submitBtn">投稿する</button>
+      <button onclick="submitPost('draft')" class="btn btn-secondary" id="draftBtn">下書き保存</button>
+      <button onclick="submitPost('published', true)" class="btn btn-secondary" id="threadBtn">投稿してスレッドを続ける</button>
+      <button onclick="submitPost('published')" class="btn btn-primary" id="submitBtn">投稿する</button>
       <span class="loading" id="loading">投稿中...</span>
     </div>
   </div>
 
-  <div class="container">
-    <div class="editor-container">
+  <div class="container">
+    <div class="editor-container">
+      ${parent ? `
+      <div class="thread-parent">
+        <a href="/post/${parent.id}" target="_blank" rel="noopener noreferrer">↳ この投稿の続きとして投稿します</a>
+        ${escapeHTML(parent.content.substring(0, 200))}${parent.content.length > 200 ? '...' : ''}
+      </div>
+      ` : ''}
+
+      ${quoted ? `
+      <div class="thread-parent">
+        <a href="/post/${quoted.id}" target="_blank" rel="noopener noreferrer">💬 この投稿を引用します</a>
+        ${escapeHTML(quoted.content.substring(0, 200))}${quoted.content.length > 200 ? '...' : ''}
+      </div>
+      ` : ''}
+
       <div class="form-group">
         <label for="content">内容</label>
         <textarea id="content" placeholder="投稿内容を入力してください（Markdown対応）"></textarea>
@@ -2830,10 +8932,8 @@ async function handleNewPost(env) {
       </div>
 
       <div class="form-group">
-        <label for="image">画像</label>
-        <input type="file" id="image" accept="image/*" onchange="previewImage(this)">
-        <div class="help-text">投稿に添付する画像を選択できます</div>
-        <div class="image-preview" id="imagePreview"></div>
+        <label for="mediaInput">画像</label>
+        ${mediaEditor.html}
       </div>
 
       <div class="form-group">
@@ -2842,6 +8942,18 @@ async function handleNewPost(env) {
         <div class="help-text">カンマ区切りで複数のタグを指定できます</div>
       </div>
 
+      <div class="form-group">
+        <label for="visibility">公開範囲</label>
+        <select id="visibility">${renderVisibilityOptions(parent ? parent.visibility : 'public')}</select>
+        <div class="help-text">限定公開はURLを知っている人のみ閲覧でき、タイムライン・タグ・一覧には表示されません。非公開は管理画面のユーザーと共有リンクからのみ閲覧できます</div>
+      </div>
+
+      <div class="form-group">
+        <label for="publishAt">公開日時（予約投稿）</label>
+        <input type="datetime-local" id="publishAt" onchange="updateSubmitLabel()">
+        <div class="help-text">指定するとその日時に自動で公開されます。空欄の場合はすぐに公開されます</div>
+      </div>
+
       <div class="preview">
         <h3>プレビュー</h3>
         <div class="preview-content" id="preview"></div>
@@ -2850,6 +8962,8 @@ async function handleNewPost(env) {
   </div>
 
   <script>
+    const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
     const contentInput = document.getElementById('content');
     const previewDiv = document.getElementById('preview');
 
@@ -2859,65 +8973,56 @@ async function handleNewPost(env) {
       previewDiv.innerHTML = markdown ? marked.parse(markdown) : '<em>プレビューがここに表示されます</em>';
     });
 
-    // 画像プレビュー
-    function previewImage(input) {
-      const previewDiv = document.getElementById('imagePreview');
-      previewDiv.innerHTML = '';
+    ${mediaEditor.script}
 
-      if (input.files && input.files[0]) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          previewDiv.innerHTML = '<img src="' + e.target.result + '" alt="Preview"><button class="remove-btn" onclick="removeImage()" title="画像を削除">×</button>';
-        };
-        reader.readAsDataURL(input.files[0]);
-      }
+    // 公開日時を指定した場合は予約投稿にする
+    function updateSubmitLabel() {
+      const publishAt = document.getElementById('publishAt').value;
+      document.getElementById('submitBtn').textContent = publishAt ? '予約する' : '投稿する';
     }
 
-    // 画像削除
-    function removeImage() {
-      const imageInput = document.getElementById('image');
-      const previewDiv = document.getElementById('imagePreview');
-      imageInput.value = '';
-      previewDiv.innerHTML = '';
-    }
+    // スレッドの直前の投稿（スレッドを続ける場合のみ）
+    const parentId = ${parent ? `'${parent.id}'` : 'null'};
 
-    // 投稿送信
-    async function submitPost() {
+    // 引用する投稿（引用投稿の場合のみ）
+    const quotePostId = ${quoted ? `'${quoted.id}'` : 'null'};
+
+    // 投稿送信（status: 'published' で公開、'draft' で下書き保存）
+    // continueThread を指定すると、投稿後にその続きの投稿画面を開く
+    async function submitPost(status, continueThread = false) {
       const content = document.getElementById('content').value.trim();
-      const imageFile = document.getElementById('image').files[0];
       const tagsInput = document.getElementById('tags').value.trim();
+      const publishAtInput = document.getElementById('publishAt').value;
+      let publishAt = null;
 
       if (!content) {
         alert('内容を入力してください');
         return;
       }
 
+      if (status === 'published' && publishAtInput) {
+        publishAt = new Date(publishAtInput);
+        if (publishAt <= new Date()) {
+          alert('公開日時には未来の日時を指定してください');
+          return;
+        }
+        status = 'scheduled';
+      }
+
       const submitBtn = document.getElementById('submitBtn');
+      const draftBtn = document.getElementById('draftBtn');
+      const threadBtn = document.getElementById('threadBtn');
       const loading = document.getElementById('loading');
 
       submitBtn.disabled = true;
+      draftBtn.disabled = true;
+      threadBtn.disabled = true;
+      loading.textContent = status === 'draft' ? '保存中...' : '投稿中...';
       loading.classList.add('show');
 
       try {
-        let imageUrl = null;
-
         // 画像アップロード
-        if (imageFile) {
-          const formData = new FormData();
-          formData.append('image', imageFile);
-
-          const uploadResponse = await fetch('/api/upload', {
-            method: 'POST',
-            body: formData
-          });
-
-          if (!uploadResponse.ok) {
-            throw new Error('画像のアップロードに失敗しました');
-          }
-
-          const uploadData = await uploadResponse.json();
-          imageUrl = uploadData.url;
-        }
+        const media = await uploadMedia();
 
         // 投稿作成
         const tags = tagsInput ? tagsInput.split(',').map(t => t.trim()).filter(t => t) : [];
@@ -2925,12 +9030,18 @@ async function handleNewPost(env) {
         const response = await fetch('/api/posts', {
           method: 'POST',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
           },
           body: JSON.stringify({
             content,
-            image_url: imageUrl,
-            tags
+            media,
+            tags,
+            status,
+            visibility: document.getElementById('visibility').value,
+            publish_at: publishAt ? publishAt.toISOString() : null,
+            parent_id: parentId,
+            quote_post_id: quotePostId
           })
         });
 
@@ -2939,12 +9050,22 @@ async function handleNewPost(env) {
         }
 
         const data = await response.json();
-        alert('投稿しました！');
-        location.href = '/admin';
+
+        if (continueThread) {
+          location.href = '/admin/posts/new?parent_id=' + data.post.id;
+          return;
+        }
+
+        const messages = { draft: '下書きを保存しました', scheduled: '予約しました', published: '投稿しました！' };
+        const tabs = { draft: '?tab=drafts', scheduled: '?tab=scheduled', published: '' };
+        alert(messages[status]);
+        location.href = '/admin' + tabs[status];
 
       } catch (error) {
         alert('エラーが発生しました: ' + error.message);
         submitBtn.disabled = false;
+        draftBtn.disabled = false;
+        threadBtn.disabled = false;
         loading.classList.remove('show');
       }
     }
@@ -2959,16 +9080,20 @@ async function handleNewPost(env) {
 /**
  * 投稿編集画面
  */
-async function handleEditPost(env, postId) {
+async function handleEditPost(env, postId, auth) {
   // 投稿を取得
   const post = await env.DB.prepare(
-    'SELECT * FROM posts WHERE id = ?'
+    'SELECT * FROM posts WHERE id = ? AND deleted_at IS NULL'
   ).bind(postId).first();
 
   if (!post) {
     return htmlResponse('<h1>投稿が見つかりません</h1>', 404);
   }
 
+  if (!canEditPost(auth, post)) {
+    return htmlResponse('<h1>アクセス拒否</h1><p>この投稿を編集する権限がありません。</p><a href="/admin">管理画面に戻る</a>', 403);
+  }
+
   // タグを取得
   const tagsStmt = env.DB.prepare(
     'SELECT t.name FROM tags t JOIN post_tags pt ON t.id = pt.tag_id WHERE pt.post_id = ?'
@@ -2976,6 +9101,9 @@ async function handleEditPost(env, postId) {
   const { results: tags } = await tagsStmt.all();
   const tagsStr = tags.map(t => t.name).join(', ');
 
+  await attachMedia(env, [post]);
+  const mediaEditor = renderMediaEditor(post.media);
+
   const html = `
 <!DOCTYPE html>
 <html lang="ja">
@@ -2983,7 +9111,9 @@ async function handleEditPost(env, postId) {
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>投稿編集 - ${env.SITE_NAME || 'Blog'}</title>
+  ${csrfMetaTag(auth)}
   <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
+  ${renderMarkdownScript()}
   <style>
     * {
       margin: 0;
@@ -3051,6 +9181,21 @@ async function handleEditPost(env, postId) {
       background: #353535;
     }
 
+    .btn-secondary:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .draft-badge {
+      align-self: center;
+      background: #2d2d2d;
+      color: #e0e0e0;
+      border: 1px dashed #808080;
+      border-radius: 4px;
+      padding: 2px 8px;
+      font-size: 12px;
+    }
+
     .container {
       max-width: 900px;
       margin: 24px auto;
@@ -3096,7 +9241,9 @@ async function handleEditPost(env, postId) {
     }
 
     input[type="text"],
-    input[type="file"] {
+    input[type="file"],
+    input[type="datetime-local"],
+    select {
       width: 100%;
       padding: 10px 12px;
       background: #2d2d2d;
@@ -3106,6 +9253,12 @@ async function handleEditPost(env, postId) {
       color: #e0e0e0;
     }
 
+    input[type="datetime-local"],
+    select {
+      width: auto;
+      color-scheme: dark;
+    }
+
     input[type="text"]:focus {
       outline: none;
       border-color: #1da1f2;
@@ -3146,86 +9299,141 @@ async function handleEditPost(env, postId) {
       color: #e0e0e0;
     }
 
-    .help-text {
-      font-size: 13px;
-      color: #b0b0b0;
-      margin-top: 4px;
+    .preview-content .spoiler {
+      background: #000;
+      color: #000;
+      cursor: pointer;
+      padding: 2px 4px;
+      border-radius: 3px;
+      transition: all 0.2s;
     }
 
-    .current-image {
-      margin-top: 12px;
-      max-width: 400px;
-      position: relative;
+    .preview-content .spoiler.revealed {
+      background: transparent;
+      color: inherit;
     }
 
-    .current-image img {
-      max-width: 100%;
-      border-radius: 8px;
-      border: 1px solid #404040;
-      display: block;
+    .history {
+      margin-top: 24px;
+      padding-top: 24px;
+      border-top: 1px solid #2d2d2d;
     }
 
-    .current-image .remove-btn {
-      position: absolute;
-      top: 8px;
-      right: 8px;
-      background: rgba(220, 53, 69, 0.9);
-      color: white;
-      border: none;
-      border-radius: 50%;
-      width: 28px;
-      height: 28px;
-      font-size: 18px;
-      line-height: 1;
-      cursor: pointer;
+    .history h3 {
+      margin-bottom: 12px;
+      color: #e0e0e0;
+    }
+
+    .history-compare {
       display: flex;
+      gap: 12px;
       align-items: center;
-      justify-content: center;
-      transition: all 0.2s;
+      flex-wrap: wrap;
+      margin-bottom: 12px;
+      color: #b0b0b0;
+      font-size: 14px;
     }
 
-    .current-image .remove-btn:hover {
-      background: rgba(220, 53, 69, 1);
-      transform: scale(1.1);
+    .history-compare select {
+      padding: 6px 10px;
+      background: #2d2d2d;
+      border: 1px solid #404040;
+      border-radius: 6px;
+      color: #e0e0e0;
+      font-size: 13px;
     }
 
-    .image-preview {
-      margin-top: 12px;
-      max-width: 400px;
-      position: relative;
+    .diff {
+      background: #212121;
+      border: 1px solid #2d2d2d;
+      border-radius: 6px;
+      padding: 12px 0;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+      white-space: pre-wrap;
+      word-break: break-word;
+      max-height: 400px;
+      overflow-y: auto;
     }
 
-    .image-preview img {
-      max-width: 100%;
-      border-radius: 8px;
-      border: 1px solid #404040;
+    .diff-line {
+      padding: 0 12px;
+      color: #b0b0b0;
+    }
+
+    .diff-line.added {
+      background: rgba(40, 167, 69, 0.2);
+      color: #81c784;
+    }
+
+    .diff-line.removed {
+      background: rgba(220, 53, 69, 0.2);
+      color: #e57373;
+    }
+
+    .revision-list {
+      list-style: none;
+      margin-top: 16px;
+    }
+
+    .conflict {
+      display: none;
+      margin-bottom: 24px;
+      padding: 16px;
+      border: 1px solid #dc3545;
+      border-radius: 6px;
+      background: rgba(220, 53, 69, 0.1);
+      color: #e0e0e0;
+    }
+
+    .conflict.show {
       display: block;
     }
 
-    .image-preview .remove-btn {
-      position: absolute;
-      top: 8px;
-      right: 8px;
-      background: rgba(220, 53, 69, 0.9);
-      color: white;
-      border: none;
-      border-radius: 50%;
-      width: 28px;
-      height: 28px;
-      font-size: 18px;
-      line-height: 1;
-      cursor: pointer;
+    .conflict h3 {
+      margin-bottom: 8px;
+      color: #e57373;
+    }
+
+    .conflict p {
+      margin-bottom: 12px;
+      font-size: 14px;
+    }
+
+    .conflict textarea {
+      min-height: 120px;
+      margin: 12px 0;
+    }
+
+    .conflict-actions {
+      display: flex;
+      gap: 8px;
+      flex-wrap: wrap;
+    }
+
+    .revision-list li {
       display: flex;
+      justify-content: space-between;
       align-items: center;
-      justify-content: center;
-      transition: all 0.2s;
+      padding: 8px 0;
+      border-bottom: 1px solid #2d2d2d;
+      color: #e0e0e0;
+      font-size: 14px;
+    }
+
+    .btn-small {
+      padding: 6px 12px;
+      font-size: 13px;
     }
 
-    .image-preview .remove-btn:hover {
-      background: rgba(220, 53, 69, 1);
-      transform: scale(1.1);
+    .help-text {
+      font-size: 13px;
+      color: #b0b0b0;
+      margin-top: 4px;
     }
 
+${mediaEditor.styles}
+
     .loading {
       display: none;
       color: #b0b0b0;
@@ -3241,14 +9449,29 @@ async function handleEditPost(env, postId) {
   <div class="header">
     <h1>✏️ 投稿編集</h1>
     <div class="header-actions">
+      ${post.status === 'draft' ? '<span class="draft-badge">下書き</span>' : ''}
+      ${post.status === 'scheduled' ? '<span class="draft-badge">予約投稿</span>' : ''}
+      ${post.visibility !== 'public' ? `<span class="draft-badge">${POST_VISIBILITY_LABELS[post.visibility]}</span>` : ''}
       <a href="/admin" class="btn btn-secondary">キャンセル</a>
-      <button onclick="updatePost()" class="btn btn-primary" id="submitBtn">更新する</button>
+      <button onclick="updatePost('draft')" class="btn btn-secondary" id="draftBtn">${post.status === 'published' ? '下書きに戻す' : '下書き保存'}</button>
+      <button onclick="updatePost('published')" class="btn btn-primary" id="submitBtn">${{ draft: '公開する', scheduled: '予約する', published: '更新する' }[post.status]}</button>
       <span class="loading" id="loading">更新中...</span>
     </div>
   </div>
 
   <div class="container">
     <div class="editor-container">
+      <div class="conflict" id="conflict">
+        <h3>編集が競合しました</h3>
+        <p>この投稿は読み込んだ後に他のタブまたはユーザーによって更新されています。差分（- 最新の内容 / + あなたの編集）を確認し、必要な部分を取り込んでから保存してください。</p>
+        <div class="diff" id="conflictDiff"></div>
+        <textarea id="serverContent" readonly></textarea>
+        <div class="conflict-actions">
+          <button onclick="resolveConflict()" class="btn btn-primary btn-small">編集内容で上書き保存</button>
+          <button onclick="location.reload()" class="btn btn-secondary btn-small">最新の内容を読み込む（編集内容は破棄）</button>
+        </div>
+      </div>
+
       <div class="form-group">
         <label for="content">内容</label>
         <textarea id="content">${post.content.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</textarea>
@@ -3256,17 +9479,8 @@ async function handleEditPost(env, postId) {
       </div>
 
       <div class="form-group">
-        <label for="image">画像</label>
-        ${post.image_url ? `
-          <div class="current-image" id="currentImage">
-            <div class="help-text">現在の画像:</div>
-            <img src="${post.image_url}" alt="Current">
-            <button class="remove-btn" onclick="removeCurrentImage()" title="現在の画像を削除">×</button>
-          </div>
-        ` : ''}
-        <input type="file" id="image" accept="image/*" onchange="previewImage(this)" style="margin-top: 12px;">
-        <div class="help-text">新しい画像を選択すると、現在の画像が置き換わります</div>
-        <div class="image-preview" id="imagePreview"></div>
+        <label for="mediaInput">画像</label>
+        ${mediaEditor.html}
       </div>
 
       <div class="form-group">
@@ -3275,99 +9489,372 @@ async function handleEditPost(env, postId) {
         <div class="help-text">カンマ区切りで複数のタグを指定できます</div>
       </div>
 
+      <div class="form-group">
+        <label for="visibility">公開範囲</label>
+        <select id="visibility">${renderVisibilityOptions(post.visibility)}</select>
+        <div class="help-text">限定公開はURLを知っている人のみ閲覧でき、タイムライン・タグ・一覧には表示されません。非公開は管理画面のユーザーと共有リンクからのみ閲覧できます</div>
+      </div>
+
+      ${post.status !== 'published' ? `
+      <div class="form-group">
+        <label for="publishAt">公開日時（予約投稿）</label>
+        <input type="datetime-local" id="publishAt" onchange="updateSubmitLabel()">
+        <div class="help-text">指定するとその日時に自動で公開されます。空欄の場合はすぐに公開されます</div>
+      </div>
+      ` : ''}
+
       <div class="preview">
         <h3>プレビュー</h3>
         <div class="preview-content" id="preview"></div>
       </div>
+
+      ${post.visibility === 'private' ? `
+      <div class="history">
+        <h3>共有リンク</h3>
+        <div class="help-text">ログインしていない人にも、期限付きでこの投稿を見せることができます（公開済みの場合のみ）</div>
+        <div class="history-compare">
+          <select id="shareExpires">
+            <option value="1">1日</option>
+            <option value="${SHARE_LINK_DEFAULT_DAYS}" selected>${SHARE_LINK_DEFAULT_DAYS}日</option>
+            <option value="${SHARE_LINK_MAX_DAYS}">${SHARE_LINK_MAX_DAYS}日</option>
+          </select>
+          <button onclick="createShareLink()" class="btn btn-secondary btn-small">共有リンクを発行</button>
+        </div>
+        <input type="text" id="shareUrl" readonly style="display: none; margin-top: 12px;">
+        <ul class="revision-list" id="shareList"></ul>
+      </div>
+      ` : ''}
+
+      <div class="history">
+        <h3>編集履歴</h3>
+        <div class="history-compare">
+          <select id="revisionFrom" onchange="renderDiff()"></select>
+          →
+          <select id="revisionTo" onchange="renderDiff()"></select>
+        </div>
+        <div class="diff" id="revisionDiff"></div>
+        <ul class="revision-list" id="revisionList"></ul>
+      </div>
     </div>
   </div>
 
-  <script>
-    const contentInput = document.getElementById('content');
-    const previewDiv = document.getElementById('preview');
+  <script>
+    const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
+    const contentInput = document.getElementById('content');
+    const previewDiv = document.getElementById('preview');
+
+    // 初期プレビュー
+    previewDiv.innerHTML = marked.parse(contentInput.value);
+
+    // リアルタイムプレビュー
+    contentInput.addEventListener('input', () => {
+      const markdown = contentInput.value;
+      previewDiv.innerHTML = markdown ? marked.parse(markdown) : '<em>プレビューがここに表示されます</em>';
+    });
+
+    ${mediaEditor.script}
+
+    // 予約日時（UTC）を datetime-local の値に変換して表示
+    const publishAtInput = document.getElementById('publishAt');
+    const currentPublishAt = '${post.publish_at || ''}';
+    if (publishAtInput && currentPublishAt) {
+      const date = new Date(currentPublishAt.replace(' ', 'T') + 'Z');
+      publishAtInput.value = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    // 公開日時を指定した場合は予約投稿にする
+    function updateSubmitLabel() {
+      document.getElementById('submitBtn').textContent = publishAtInput.value ? '予約する' : '公開する';
+    }
+
+    // 編集履歴
+    let revisions = [];
+
+    function formatRevision(revision) {
+      const date = new Date(revision.created_at.replace(' ', 'T') + 'Z').toLocaleString('ja-JP');
+      return '#' + revision.id + ' ' + date + (revision.edited_by ? '（' + revision.edited_by + '）' : '');
+    }
+
+    // 差分表示用に本文・タグ・画像をまとめたテキスト
+    function revisionText(revision) {
+      const media = revision.media.map(item => '画像: ' + item.url + (item.alt_text ? '（' + item.alt_text + '）' : '') + (item.is_sensitive ? ' [センシティブ]' : ''));
+      return revision.content + '\\n\\n' +
+        'タグ: ' + revision.tags.join(', ') + '\\n' +
+        (media.length > 0 ? media.join('\\n') : '画像: なし');
+    }
+
+    // 行単位の差分（LCS）
+    function diffLines(oldText, newText) {
+      const a = oldText.split('\\n');
+      const b = newText.split('\\n');
+      const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+      }
+
+      const result = [];
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          result.push({ type: 'same', text: a[i] });
+          i++;
+          j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+          result.push({ type: 'removed', text: a[i++] });
+        } else {
+          result.push({ type: 'added', text: b[j++] });
+        }
+      }
+      while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+      while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+      return result;
+    }
+
+    function renderDiffLines(diffDiv, oldText, newText) {
+      const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+      diffDiv.innerHTML = '';
+      diffLines(oldText, newText).forEach(line => {
+        const div = document.createElement('div');
+        div.className = 'diff-line ' + line.type;
+        div.textContent = prefixes[line.type] + line.text;
+        diffDiv.appendChild(div);
+      });
+    }
+
+    function renderDiff() {
+      const from = revisions.find(r => r.id === parseInt(document.getElementById('revisionFrom').value));
+      const to = revisions.find(r => r.id === parseInt(document.getElementById('revisionTo').value));
+      const diffDiv = document.getElementById('revisionDiff');
+      diffDiv.innerHTML = '';
+
+      if (!from || !to) return;
+
+      renderDiffLines(diffDiv, revisionText(from), revisionText(to));
+    }
+
+    async function loadRevisions() {
+      try {
+        const response = await fetch('/api/posts/${postId}/revisions');
+        if (!response.ok) return;
+
+        const data = await response.json();
+        revisions = data.revisions;
+
+        const fromSelect = document.getElementById('revisionFrom');
+        const toSelect = document.getElementById('revisionTo');
+        const list = document.getElementById('revisionList');
+
+        revisions.forEach((revision, index) => {
+          fromSelect.add(new Option(formatRevision(revision), revision.id));
+          toSelect.add(new Option(formatRevision(revision), revision.id));
+
+          const item = document.createElement('li');
+          const label = document.createElement('span');
+          label.textContent = formatRevision(revision) + (index === 0 ? ' - 現在の版' : '');
+          item.appendChild(label);
+
+          if (index > 0) {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary btn-small';
+            button.textContent = 'この版に戻す';
+            button.onclick = () => restoreRevision(revision.id);
+            item.appendChild(button);
+          }
+          list.appendChild(item);
+        });
+
+        // 初期表示は直前の版と現在の版の差分
+        fromSelect.value = (revisions[1] || revisions[0] || {}).id;
+        toSelect.value = (revisions[0] || {}).id;
+        renderDiff();
+      } catch (error) {
+        console.error('Failed to load revisions:', error);
+      }
+    }
+
+    async function restoreRevision(revisionId) {
+      if (!confirm('この版の内容に戻しますか？保存していない編集内容は失われます。')) {
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/posts/${postId}/revisions/' + revisionId + '/restore', {
+          method: 'POST',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
+
+        if (response.ok) {
+          alert('復元しました');
+          location.reload();
+        } else {
+          alert('復元に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
+
+    loadRevisions();
+
+    // 共有リンク（保存済みの非公開投稿のみ）
+    async function loadShareLinks() {
+      const list = document.getElementById('shareList');
+      if (!list) return;
+
+      try {
+        const response = await fetch('/api/posts/${postId}/share-links');
+        if (!response.ok) return;
+
+        const data = await response.json();
+        list.innerHTML = '';
+
+        data.links.forEach(link => {
+          const item = document.createElement('li');
+          const label = document.createElement('span');
+          const expiresAt = new Date(link.expires_at.replace(' ', 'T') + 'Z').toLocaleString('ja-JP');
+          label.textContent = link.token_prefix + '… - ' + expiresAt + ' まで有効';
+          item.appendChild(label);
+
+          const button = document.createElement('button');
+          button.className = 'btn btn-secondary btn-small';
+          button.textContent = '無効にする';
+          button.onclick = () => deleteShareLink(link.id);
+          item.appendChild(button);
+          list.appendChild(item);
+        });
+      } catch (error) {
+        console.error('Failed to load share links:', error);
+      }
+    }
+
+    async function createShareLink() {
+      try {
+        const response = await fetch('/api/posts/${postId}/share-links', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+          },
+          body: JSON.stringify({
+            expires_in_days: parseInt(document.getElementById('shareExpires').value)
+          })
+        });
+
+        if (!response.ok) {
+          alert('共有リンクの発行に失敗しました');
+          return;
+        }
 
-    // 初期プレビュー
-    previewDiv.innerHTML = marked.parse(contentInput.value);
+        // リンクのURLは発行時にしか表示できない
+        const data = await response.json();
+        const shareUrl = document.getElementById('shareUrl');
+        shareUrl.value = data.link.url;
+        shareUrl.style.display = 'block';
+        shareUrl.select();
+        loadShareLinks();
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
+      }
+    }
 
-    // リアルタイムプレビュー
-    contentInput.addEventListener('input', () => {
-      const markdown = contentInput.value;
-      previewDiv.innerHTML = markdown ? marked.parse(markdown) : '<em>プレビューがここに表示されます</em>';
-    });
+    async function deleteShareLink(linkId) {
+      if (!confirm('この共有リンクを無効にしますか？')) {
+        return;
+      }
 
-    // 画像プレビュー
-    function previewImage(input) {
-      const previewDiv = document.getElementById('imagePreview');
-      previewDiv.innerHTML = '';
+      try {
+        const response = await fetch('/api/posts/${postId}/share-links/' + linkId, {
+          method: 'DELETE',
+          headers: {
+            'X-CSRF-Token': csrfToken
+          }
+        });
 
-      if (input.files && input.files[0]) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          previewDiv.innerHTML = '<img src="' + e.target.result + '" alt="Preview"><button class="remove-btn" onclick="removeImage()" title="画像を削除">×</button>';
-        };
-        reader.readAsDataURL(input.files[0]);
+        if (response.ok) {
+          loadShareLinks();
+        } else {
+          alert('共有リンクの削除に失敗しました');
+        }
+      } catch (error) {
+        alert('エラーが発生しました: ' + error.message);
       }
     }
 
-    // 画像削除
-    function removeImage() {
-      const imageInput = document.getElementById('image');
-      const previewDiv = document.getElementById('imagePreview');
-      imageInput.value = '';
-      previewDiv.innerHTML = '';
+    loadShareLinks();
+
+    // 読み込んだ時点のバージョン（保存時に送信し、他の更新と競合したら409が返る）
+    let postVersion = ${post.version};
+    let conflictPost = null;
+    let conflictStatus = null;
+
+    // 競合時は最新の内容との差分を表示
+    function showConflict(serverPost, content, tags, status) {
+      conflictPost = serverPost;
+      conflictStatus = status;
+
+      const serverText = serverPost.content + '\\n\\nタグ: ' + serverPost.tags.join(', ');
+      const localText = content + '\\n\\nタグ: ' + tags.join(', ');
+      renderDiffLines(document.getElementById('conflictDiff'), serverText, localText);
+      document.getElementById('serverContent').value = serverPost.content;
+
+      const conflictDiv = document.getElementById('conflict');
+      conflictDiv.classList.add('show');
+      conflictDiv.scrollIntoView({ behavior: 'smooth' });
     }
 
-    // 現在の画像を削除
-    function removeCurrentImage() {
-      const currentImageDiv = document.getElementById('currentImage');
-      if (currentImageDiv && confirm('現在の画像を削除しますか？保存時に画像なしで更新されます。')) {
-        currentImageDiv.style.display = 'none';
-      }
+    // 最新のバージョンを確認した上で、編集内容を保存
+    function resolveConflict() {
+      if (!conflictPost) return;
+
+      postVersion = conflictPost.version;
+      document.getElementById('conflict').classList.remove('show');
+      updatePost(conflictStatus);
     }
 
-    // 投稿更新
-    async function updatePost() {
+    // 投稿更新（status: 'published' で公開、'draft' で下書き保存）
+    async function updatePost(status) {
       const content = document.getElementById('content').value.trim();
-      const imageFile = document.getElementById('image').files[0];
       const tagsInput = document.getElementById('tags').value.trim();
+      let publishAt = null;
 
       if (!content) {
         alert('内容を入力してください');
         return;
       }
 
+      if (status === 'published' && publishAtInput && publishAtInput.value) {
+        publishAt = new Date(publishAtInput.value);
+        if (publishAt <= new Date()) {
+          alert('公開日時には未来の日時を指定してください');
+          return;
+        }
+        status = 'scheduled';
+      }
+
+      if (status === 'draft' && '${post.status}' === 'published' && !confirm('この投稿を非公開にして下書きに戻しますか？')) {
+        return;
+      }
+
       const submitBtn = document.getElementById('submitBtn');
+      const draftBtn = document.getElementById('draftBtn');
       const loading = document.getElementById('loading');
 
       submitBtn.disabled = true;
+      draftBtn.disabled = true;
+      loading.textContent = status === 'draft' ? '保存中...' : '更新中...';
       loading.classList.add('show');
 
       try {
-        let imageUrl = '${post.image_url || ''}';
-
-        // 現在の画像が削除された場合
-        const currentImageDiv = document.getElementById('currentImage');
-        if (currentImageDiv && currentImageDiv.style.display === 'none') {
-          imageUrl = null;
-        }
-
-        // 新しい画像がアップロードされた場合
-        if (imageFile) {
-          const formData = new FormData();
-          formData.append('image', imageFile);
-
-          const uploadResponse = await fetch('/api/upload', {
-            method: 'POST',
-            body: formData
-          });
-
-          if (!uploadResponse.ok) {
-            throw new Error('画像のアップロードに失敗しました');
-          }
-
-          const uploadData = await uploadResponse.json();
-          imageUrl = uploadData.url;
-        }
+        // 新しく追加した画像をアップロード
+        const media = await uploadMedia();
 
         // 投稿更新
         const tags = tagsInput ? tagsInput.split(',').map(t => t.trim()).filter(t => t) : [];
@@ -3375,25 +9862,42 @@ async function handleEditPost(env, postId) {
         const response = await fetch('/api/posts/${postId}', {
           method: 'PUT',
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
           },
           body: JSON.stringify({
             content,
-            image_url: imageUrl || null,
-            tags
+            media,
+            tags,
+            status,
+            visibility: document.getElementById('visibility').value,
+            publish_at: publishAt ? publishAt.toISOString() : null,
+            version: postVersion
           })
         });
 
+        if (response.status === 409) {
+          const data = await response.json();
+          showConflict(data.post, content, tags, status === 'scheduled' ? 'published' : status);
+          submitBtn.disabled = false;
+          draftBtn.disabled = false;
+          loading.classList.remove('show');
+          return;
+        }
+
         if (!response.ok) {
           throw new Error('投稿の更新に失敗しました');
         }
 
-        alert('更新しました！');
-        location.href = '/admin';
+        const messages = { draft: '下書きを保存しました', scheduled: '予約しました', published: '更新しました！' };
+        const tabs = { draft: '?tab=drafts', scheduled: '?tab=scheduled', published: '' };
+        alert(messages[status]);
+        location.href = '/admin' + tabs[status];
 
       } catch (error) {
         alert('エラーが発生しました: ' + error.message);
         submitBtn.disabled = false;
+        draftBtn.disabled = false;
         loading.classList.remove('show');
       }
     }
@@ -3406,54 +9910,10 @@ async function handleEditPost(env, postId) {
 }
 
 /**
- * 個別投稿ページハンドラー
+ * 投稿ページ・タグページ共通のスタイル（投稿本文・画像・spoiler・引用カード）
  */
-async function handlePostPage(env, postId) {
-  try {
-    // 投稿を取得
-    const post = await env.DB.prepare(
-      'SELECT * FROM posts WHERE id = ?'
-    ).bind(postId).first();
-
-    if (!post) {
-      return htmlResponse('<h1>投稿が見つかりません</h1>', 404);
-    }
-
-    // タグを取得
-    const tagsStmt = env.DB.prepare(
-      'SELECT t.name FROM tags t JOIN post_tags pt ON t.id = pt.tag_id WHERE pt.post_id = ?'
-    ).bind(postId);
-    const { results: tags } = await tagsStmt.all();
-    post.tags = tags.map(t => t.name);
-
-    // OGPメタタグ用のデータ
-    const siteName = env.SITE_NAME || 'My Blog';
-    const ogTitle = post.content.substring(0, 100).replace(/<[^>]*>/g, '');
-    const ogDescription = post.content.substring(0, 200).replace(/<[^>]*>/g, '');
-    const ogImage = post.image_url || '';
-    const ogUrl = env.SITE_URL + '/post/' + postId;
-
-    const html = `
-<!DOCTYPE html>
-<html lang="ja">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${ogTitle} - ${siteName}</title>
-
-  <!-- OGP Meta Tags -->
-  <meta property="og:title" content="${ogTitle}">
-  <meta property="og:description" content="${ogDescription}">
-  ${ogImage ? `<meta property="og:image" content="${ogImage}">` : ''}
-  <meta property="og:url" content="${ogUrl}">
-  <meta property="og:type" content="article">
-  <meta name="twitter:card" content="summary_large_image">
-
-  <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
-  <script src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js" defer></script>
-  <style>
-    /* Same CSS as index page */
-    :root {
+function renderPostPageStyles() {
+  return `:root {
       --color-primary: #3965a0ff;
       --color-primary-dark: #0d668fff;
       --color-bg: #3d3b3bff;
@@ -3529,9 +9989,70 @@ async function handlePostPage(env, postId) {
     .post-image {
       width: 100%;
       border-radius: 8px;
+      display: block;
+    }
+
+    .post-gallery {
+      display: grid;
+      gap: 4px;
       margin: 24px 0;
     }
 
+    .post-gallery:not(.gallery-1) {
+      grid-template-columns: 1fr 1fr;
+    }
+
+    .post-gallery:not(.gallery-1) .post-image {
+      height: 240px;
+      object-fit: cover;
+    }
+
+    .post-gallery.gallery-3 .post-image-container:first-child {
+      grid-row: span 2;
+    }
+
+    .post-gallery.gallery-3 .post-image-container:first-child .post-image {
+      height: 484px;
+    }
+
+    .post-image-container {
+      position: relative;
+    }
+
+    .spoiler-image {
+      filter: blur(20px);
+      cursor: pointer;
+      transition: filter 0.3s;
+    }
+
+    .spoiler-image.revealed {
+      filter: none;
+    }
+
+    .spoiler-overlay {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      pointer-events: none;
+    }
+
+    .spoiler-warning {
+      background: rgba(0, 0, 0, 0.7);
+      color: white;
+      padding: 20px 32px;
+      border-radius: 12px;
+      text-align: center;
+    }
+
+    .spoiler-image.revealed ~ .spoiler-overlay {
+      display: none;
+    }
+
     .post-tags {
       display: flex;
       gap: 8px;
@@ -3584,6 +10105,28 @@ async function handlePostPage(env, postId) {
       color: var(--color-text-secondary);
     }
 
+    .post-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 12px;
+      gap: 12px;
+    }
+
+    .post-author {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 14px;
+      font-weight: 600;
+    }
+
+    .author-avatar {
+      width: 28px;
+      height: 28px;
+      border-radius: 50%;
+    }
+
     .toast {
       position: fixed;
       bottom: 20px;
@@ -3597,22 +10140,168 @@ async function handlePostPage(env, postId) {
       z-index: 1000;
     }
 
-    .toast.show {
-      opacity: 1;
+    .toast.show {
+      opacity: 1;
+    }
+
+    .spoiler {
+      background: #000;
+      color: #000;
+      cursor: pointer;
+      padding: 2px 4px;
+      border-radius: 3px;
+      transition: all 0.2s;
+    }
+
+    .spoiler.revealed {
+      background: transparent;
+      color: inherit;
+    }
+
+    ${renderQuoteCardStyles()}
+
+    .quote-count {
+      font-size: 14px;
+      color: var(--color-text-secondary);
+    }`;
+}
+
+/**
+ * 投稿ページ・タグページ共通の Alpine.js メソッド（Markdown表示・画像の表示・日時の書式）
+ */
+function renderPostPageMethods() {
+  return `renderMarkdown(content) {
+          if (!content) return '';
+
+          return marked.parse(content);
+        },
+
+        revealImage(imgId) {
+          const img = document.getElementById(imgId);
+          if (img) {
+            img.classList.add('revealed');
+          }
+        },
+
+        formatTimestamp(timestamp) {
+          if (!timestamp) return '';
+
+          const date = new Date(timestamp);
+          return date.getFullYear() + '年' +
+                 (date.getMonth() + 1) + '月' +
+                 date.getDate() + '日 ' +
+                 date.getHours().toString().padStart(2, '0') + ':' +
+                 date.getMinutes().toString().padStart(2, '0');
+        }`;
+}
+
+/**
+ * 個別投稿ページハンドラー
+ */
+async function handlePostPage(request, env, postId) {
+  try {
+    // 投稿を取得
+    const post = await env.DB.prepare(`
+      SELECT p.*, u.name as author_name, u.picture as author_picture
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      WHERE p.id = ? AND p.deleted_at IS NULL
+    `).bind(postId).first();
+
+    // 下書きは編集できるユーザーにのみプレビューとして表示
+    // 非公開の投稿は管理画面のユーザーと共有リンクからのみ表示
+    const isPreview = post && post.status !== 'published';
+    if (!post || !(await canRequestViewPost(request, env, post))) {
+      return htmlResponse('<h1>投稿が見つかりません</h1>', 404);
+    }
+
+    // タグを取得
+    const tagsStmt = env.DB.prepare(
+      'SELECT t.name FROM tags t JOIN post_tags pt ON t.id = pt.tag_id WHERE pt.post_id = ?'
+    ).bind(postId);
+    const { results: tags } = await tagsStmt.all();
+    post.tags = tags.map(t => t.name);
+
+    await attachMedia(env, [post]);
+    await attachQuotes(env, [post]);
+
+    // スレッドの場合は前後の投稿も表示（共有リンクで閲覧している場合は表示しない）
+    let thread = await getVisibleThreadPosts(request, env, postId);
+    if (!thread.some(threadPost => threadPost.id === postId)) {
+      thread = [];
+    }
+
+    // OGPメタタグ用のデータ
+    const siteName = env.SITE_NAME || 'My Blog';
+    // spoiler の中身は伏せ字にしてから切り詰める
+    const ogText = maskSpoilers(post.content);
+    const ogTitle = escapeHTML(ogText.substring(0, 100).replace(/<[^>]*>/g, ''));
+    const ogDescription = escapeHTML(ogText.substring(0, 200).replace(/<[^>]*>/g, ''));
+    // センシティブな画像はOGPに含めない
+    const ogImages = post.media.filter(item => !item.is_sensitive);
+    const ogUrl = env.SITE_URL + '/post/' + postId;
+
+    const html = `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${ogTitle} - ${siteName}</title>
+  ${renderFeedLinks(env)}
+
+  <!-- OGP Meta Tags -->
+  <meta property="og:title" content="${ogTitle}">
+  <meta property="og:description" content="${ogDescription}">
+  ${ogImages.map(item => `
+  <meta property="og:image" content="${escapeHTML(item.url)}">
+  ${item.alt_text ? `<meta property="og:image:alt" content="${escapeHTML(item.alt_text)}">` : ''}
+  `).join('')}
+  <meta property="og:url" content="${ogUrl}">
+  <meta property="og:type" content="article">
+  <meta name="twitter:card" content="${ogImages.length > 0 ? 'summary_large_image' : 'summary'}">
+  ${isPreview || post.visibility !== 'public' ? '<meta name="robots" content="noindex">' : ''}
+
+  <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
+  ${renderMarkdownScript()}
+  <script src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js" defer></script>
+  <style>
+    /* Same CSS as index page */
+    ${renderPostPageStyles()}
+
+    .draft-banner {
+      background: var(--color-bg-secondary);
+      border: 1px dashed var(--color-border);
+      border-radius: 8px;
+      padding: 12px 16px;
+      margin-bottom: 20px;
+      font-size: 14px;
+    }
+
+    .draft-banner a {
+      color: var(--color-primary);
     }
 
-    .spoiler {
-      background: #000;
-      color: #000;
-      cursor: pointer;
-      padding: 2px 4px;
-      border-radius: 3px;
-      transition: all 0.2s;
+    .thread-label {
+      font-size: 14px;
+      color: var(--color-text-secondary);
+      margin-bottom: 12px;
     }
 
-    .spoiler.revealed {
-      background: transparent;
-      color: inherit;
+    .thread-item {
+      padding: 0 0 16px 16px;
+      margin-bottom: 16px;
+      border-left: 2px solid var(--color-border);
+      opacity: 0.8;
+    }
+
+    .thread-item .post-timestamp {
+      color: var(--color-text-secondary);
+      text-decoration: none;
+    }
+
+    .thread-item .post-timestamp:hover {
+      text-decoration: underline;
     }
   </style>
 </head>
@@ -3620,19 +10309,49 @@ async function handlePostPage(env, postId) {
   <div class="container" x-data="postPage()">
     <a href="/" class="back-btn">← 戻る</a>
 
+    ${isPreview ? `
+      <div class="draft-banner">
+        ${post.status === 'scheduled'
+          ? `⏰ この投稿は予約投稿です（${post.publish_at} UTC に公開予定）。`
+          : '📝 この投稿は下書きです（公開されていません）。'}
+        <a href="/admin/posts/${postId}/edit">編集する</a>
+      </div>
+    ` : ''}
+
+    <template x-if="thread.length > 1">
+      <div class="thread-label" x-text="'🧵 スレッド（' + (threadIndex + 1) + '/' + thread.length + '）'"></div>
+    </template>
+
+    <template x-for="item in thread.slice(0, threadIndex)" :key="item.id">
+      <div class="thread-item">
+        <a :href="'/post/' + item.id" class="post-timestamp" x-text="formatTimestamp(item.created_at)"></a>
+        <div class="post-content" x-html="renderMarkdown(item.content)"></div>
+        ${renderGallery('item')}
+        ${renderQuoteCard('item')}
+      </div>
+    </template>
+
     <article>
-      <!-- タイムスタンプ -->
-      <div class="post-timestamp" x-text="formatTimestamp(post.created_at)" style="margin-bottom: 12px; text-align: right;"></div>
+      <!-- 作成者 & タイムスタンプ -->
+      <div class="post-header">
+        <div class="post-author">
+          <template x-if="post.author_picture">
+            <img :src="post.author_picture" alt="" class="author-avatar">
+          </template>
+          <span x-text="post.author_name || ''"></span>
+        </div>
+        <div class="post-timestamp" x-text="formatTimestamp(post.created_at)"></div>
+      </div>
 
       <div class="post-content" x-html="renderMarkdown(post.content)"></div>
 
-      <template x-if="post.image_url">
-        <img :src="post.image_url" class="post-image" alt="投稿画像">
-      </template>
+      ${renderGallery('post')}
+
+      ${renderQuoteCard('post')}
 
       <div class="post-tags" x-show="post.tags && post.tags.length > 0">
         <template x-for="tag in post.tags" :key="tag">
-          <a :href="'/?tag=' + encodeURIComponent(tag)" class="tag" x-text="'#' + tag"></a>
+          <a :href="'/tag/' + encodeURIComponent(tag)" class="tag" x-text="'#' + tag"></a>
         </template>
       </div>
 
@@ -3649,26 +10368,46 @@ async function handlePostPage(env, postId) {
         <button class="share-btn" @click="sharePost()">
           🔗 共有
         </button>
+
+        <span x-show="post.quote_count > 0" class="quote-count" x-text="'💬 ' + post.quote_count + '件の引用'"></span>
       </div>
     </article>
+
+    <template x-for="item in thread.slice(threadIndex + 1)" :key="item.id">
+      <div class="thread-item">
+        <a :href="'/post/' + item.id" class="post-timestamp" x-text="formatTimestamp(item.created_at)"></a>
+        <div class="post-content" x-html="renderMarkdown(item.content)"></div>
+        ${renderGallery('item')}
+        ${renderQuoteCard('item')}
+      </div>
+    </template>
   </div>
 
   <div id="toast" class="toast"></div>
 
   <script>
+    // 共有リンクで閲覧している場合は、いいねのAPIにも共有トークンを渡す
+    const shareToken = new URLSearchParams(window.location.search).get('share');
+    const shareQuery = shareToken ? '?share=' + encodeURIComponent(shareToken) : '';
+
     function postPage() {
       return {
-        post: ${JSON.stringify(post)},
+        post: ${JSON.stringify(post).replace(/</g, '\\u003c')},
+        thread: ${JSON.stringify(thread).replace(/</g, '\\u003c')},
         likes: 0,
         liked: false,
 
+        get threadIndex() {
+          return Math.max(this.thread.findIndex(item => item.id === this.post.id), 0);
+        },
+
         async init() {
           await this.loadLikes();
         },
 
         async loadLikes() {
           try {
-            const response = await fetch('/api/likes/${postId}');
+            const response = await fetch('/api/likes/${postId}' + shareQuery);
             const data = await response.json();
             this.likes = data.likes;
             this.liked = data.liked;
@@ -3679,7 +10418,7 @@ async function handlePostPage(env, postId) {
 
         async toggleLike() {
           try {
-            const response = await fetch('/api/like/${postId}', {
+            const response = await fetch('/api/like/${postId}' + shareQuery, {
               method: 'POST'
             });
             const data = await response.json();
@@ -3713,24 +10452,303 @@ async function handlePostPage(env, postId) {
           }, 3000);
         },
 
-        renderMarkdown(content) {
-          if (!content) return '';
+        ${renderPostPageMethods()}
+      }
+    }
+  </script>
+</body>
+</html>
+    `;
 
-          let html = marked.parse(content);
+    return htmlResponse(html);
+  } catch (error) {
+    console.error('Error rendering post page:', error);
+    return htmlResponse('<h1>エラーが発生しました</h1>', 500);
+  }
+}
 
-          return html;
+/**
+ * タグページハンドラー
+ */
+async function handleTagPage(request, env, tagSegment) {
+  try {
+    const url = new URL(request.url);
+    const tag = decodeURIComponent(tagSegment);
+    const tagRecord = await findTagByName(env, normalizeTagName(tag));
+    if (!tagRecord) {
+      return htmlResponse('<h1>タグが見つかりません</h1>', 404);
+    }
+
+    // 大文字・小文字や全角などが異なるURLは正規のタグ名のURLへ転送
+    if (tagRecord.name !== tag) {
+      return new Response(null, {
+        status: 301,
+        headers: { 'Location': `/tag/${encodeURIComponent(tagRecord.name)}${url.search}` }
+      });
+    }
+
+    // 公開中の投稿のみ数える（非公開・限定公開の投稿しかないタグは表示しない）
+    // 子孫のタグが付いた投稿も含める
+    const { count: totalCount } = await env.DB.prepare(`
+      SELECT COUNT(*) as count
+      FROM posts p
+      WHERE p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+        AND p.id IN (${TAGGED_POST_IDS_SQL})
+    `).bind(tagRecord.name).first();
+
+    const totalPages = Math.ceil(totalCount / TAG_PAGE_SIZE);
+    const page = Number(url.searchParams.get('page') || 1);
+    if (totalCount === 0 || !Number.isInteger(page) || page < 1 || page > totalPages) {
+      return htmlResponse('<h1>タグが見つかりません</h1>', 404);
+    }
+
+    const { results: posts } = await env.DB.prepare(`
+      SELECT
+        p.*,
+        GROUP_CONCAT(t.name) as tags,
+        u.name as author_name,
+        u.picture as author_picture,
+        COALESCE((SELECT COUNT(*) FROM likes WHERE post_id = p.id), 0) as likes
+      FROM posts p
+      LEFT JOIN users u ON p.author_id = u.id
+      LEFT JOIN post_tags pt ON p.id = pt.post_id
+      LEFT JOIN tags t ON pt.tag_id = t.id
+      WHERE p.status = 'published' AND p.visibility = 'public' AND p.deleted_at IS NULL
+        AND p.id IN (${TAGGED_POST_IDS_SQL})
+      GROUP BY p.id
+      ORDER BY p.created_at DESC
+      LIMIT ? OFFSET ?
+    `).bind(tagRecord.name, TAG_PAGE_SIZE, (page - 1) * TAG_PAGE_SIZE).all();
+
+    posts.forEach(post => {
+      post.tags = post.tags ? post.tags.split(',') : [];
+    });
+
+    await attachMedia(env, posts);
+    await attachQuotes(env, posts);
+
+    // 親のタグへのリンクと、公開中の投稿がある子タグ
+    const tagPathParts = tagRecord.name.split('/');
+    const ancestors = tagPathParts.slice(0, -1).map((part, index) => ({
+      label: part,
+      name: tagPathParts.slice(0, index + 1).join('/')
+    }));
+    const children = (await getPublicTagCounts(env)).filter(child => child.parent_id === tagRecord.id);
+
+    // OGPメタタグ用のデータ
+    const siteName = env.SITE_NAME || 'My Blog';
+    const tagName = escapeHTML(tagRecord.name);
+    const tagPath = '/tag/' + encodeURIComponent(tagRecord.name);
+    const pagePath = (n) => n > 1 ? `${tagPath}?page=${n}` : tagPath;
+    const title = `#${tagName}${page > 1 ? `（${page}ページ目）` : ''} - ${escapeHTML(siteName)}`;
+    const countText = `「#${tagName}」タグの投稿（${totalCount}件）`;
+    const description = tagRecord.description ? escapeHTML(tagRecord.description) : countText;
+    // センシティブな画像はOGPに含めない
+    const ogImage = posts.flatMap(post => post.media).find(item => !item.is_sensitive);
+    const ogUrl = env.SITE_URL + pagePath(page);
+
+    const html = `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <meta name="description" content="${description}">
+  <link rel="canonical" href="${ogUrl}">
+  ${page > 1 ? `<link rel="prev" href="${pagePath(page - 1)}">` : ''}
+  ${page < totalPages ? `<link rel="next" href="${pagePath(page + 1)}">` : ''}
+  ${renderFeedLinks(env, tagRecord.name)}
+
+  <!-- OGP Meta Tags -->
+  <meta property="og:title" content="${title}">
+  <meta property="og:description" content="${description}">
+  ${ogImage ? `<meta property="og:image" content="${escapeHTML(ogImage.url)}">` : ''}
+  <meta property="og:url" content="${ogUrl}">
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="${escapeHTML(siteName)}">
+  <meta name="twitter:card" content="${ogImage ? 'summary_large_image' : 'summary'}">
+
+  <script src="https://cdn.jsdelivr.net/npm/marked@11.0.0/marked.min.js"></script>
+  ${renderMarkdownScript()}
+  <script src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js" defer></script>
+  <style>
+    ${renderPostPageStyles()}
+
+    .tag-header {
+      margin-bottom: 32px;
+      padding-bottom: 20px;
+      border-bottom: 1px solid var(--color-border);
+    }
+
+    .tag-header h1 {
+      font-size: 28px;
+      margin-bottom: 8px;
+    }
+
+    .tag-description {
+      margin-bottom: 8px;
+    }
+
+    .tag-breadcrumb {
+      font-size: 14px;
+      color: var(--color-text-secondary);
+      margin-bottom: 4px;
+    }
+
+    .tag-breadcrumb a {
+      color: var(--color-primary);
+      text-decoration: none;
+    }
+
+    .tag-meta {
+      display: flex;
+      gap: 16px;
+      font-size: 14px;
+      color: var(--color-text-secondary);
+    }
+
+    .tag-meta a {
+      color: var(--color-primary);
+      text-decoration: none;
+    }
+
+    article {
+      padding-bottom: 24px;
+      margin-bottom: 24px;
+      border-bottom: 1px solid var(--color-border);
+    }
+
+    article .post-timestamp {
+      text-decoration: none;
+    }
+
+    article .post-timestamp:hover {
+      text-decoration: underline;
+    }
+
+    .pagination {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      font-size: 14px;
+      color: var(--color-text-secondary);
+    }
+
+    .pagination a {
+      color: var(--color-primary);
+      text-decoration: none;
+    }
+
+    .pagination a:hover {
+      text-decoration: underline;
+    }
+
+  </style>
+</head>
+<body>
+  <div class="container" x-data="tagPage()">
+    <a href="/" class="back-btn">← 戻る</a>
+
+    <header class="tag-header">
+      ${ancestors.length > 0 ? `
+        <nav class="tag-breadcrumb">
+          ${ancestors.map(ancestor => `<a href="/tag/${encodeURIComponent(ancestor.name)}">#${escapeHTML(ancestor.label)}</a> /`).join('\n          ')}
+        </nav>
+      ` : ''}
+      <h1${tagRecord.color ? ` style="color: ${escapeHTML(tagRecord.color)}"` : ''}>#${tagName}</h1>
+      ${tagRecord.description ? `<p class="tag-description">${description}</p>` : ''}
+      ${children.length > 0 ? `
+        <div class="post-tags">
+          ${children.map(child => `<a href="/tag/${encodeURIComponent(child.name)}" class="tag">#${escapeHTML(child.name.substring(tagRecord.name.length + 1))} (${child.count})</a>`).join('\n          ')}
+        </div>
+      ` : ''}
+      <div class="tag-meta">
+        <span>${totalCount}件の投稿</span>
+        <span>${page} / ${totalPages} ページ</span>
+        <a href="${tagPath}/${FEED_FORMATS.rss.path}">📡 RSS</a>
+      </div>
+    </header>
+
+    <template x-for="post in posts" :key="post.id">
+      <article>
+        <!-- 作成者 & タイムスタンプ -->
+        <div class="post-header">
+          <div class="post-author">
+            <template x-if="post.author_picture">
+              <img :src="post.author_picture" alt="" class="author-avatar">
+            </template>
+            <span x-text="post.author_name || ''"></span>
+          </div>
+          <a :href="'/post/' + post.id" class="post-timestamp" x-text="formatTimestamp(post.created_at)"></a>
+        </div>
+
+        <div class="post-content" x-html="renderMarkdown(post.content)"></div>
+
+        ${renderGallery('post')}
+
+        ${renderQuoteCard('post')}
+
+        <div class="post-tags" x-show="post.tags && post.tags.length > 0">
+          <template x-for="tag in post.tags" :key="tag">
+            <a :href="'/tag/' + encodeURIComponent(tag)" class="tag" x-text="'#' + tag"></a>
+          </template>
+        </div>
+
+        <div class="post-actions">
+          <button
+            class="like-btn"
+            :class="{ 'liked': post.liked }"
+            @click="toggleLike(post)"
+          >
+            <span x-text="post.liked ? '❤️' : '♡'"></span>
+            <span x-text="post.likes || 0"></span>
+          </button>
+
+          <span x-show="post.quote_count > 0" class="quote-count" x-text="'💬 ' + post.quote_count + '件の引用'"></span>
+        </div>
+      </article>
+    </template>
+
+    <nav class="pagination">
+      <span>${page > 1 ? `<a href="${pagePath(page - 1)}">← 新しい投稿</a>` : ''}</span>
+      <span>${page} / ${totalPages}</span>
+      <span>${page < totalPages ? `<a href="${pagePath(page + 1)}">古い投稿 →</a>` : ''}</span>
+    </nav>
+  </div>
+
+  <script>
+    function tagPage() {
+      return {
+        posts: ${JSON.stringify(posts).replace(/</g, '\\u003c')},
+
+        init() {
+          // いいね状態をローカルストレージから復元
+          this.posts.forEach(post => {
+            post.liked = localStorage.getItem('liked_' + post.id) === 'true';
+          });
         },
 
-        formatTimestamp(timestamp) {
-          if (!timestamp) return '';
+        async toggleLike(post) {
+          try {
+            const response = await fetch('/api/like/' + post.id, {
+              method: 'POST'
+            });
+            const data = await response.json();
 
-          const date = new Date(timestamp);
-          return date.getFullYear() + '年' +
-                 (date.getMonth() + 1) + '月' +
-                 date.getDate() + '日 ' +
-                 date.getHours().toString().padStart(2, '0') + ':' +
-                 date.getMinutes().toString().padStart(2, '0');
-        }
+            if (data.success) {
+              post.likes = data.likes;
+              post.liked = data.liked;
+
+              // ローカルストレージに保存
+              localStorage.setItem('liked_' + post.id, data.liked);
+            }
+          } catch (error) {
+            console.error('Failed to toggle like:', error);
+          }
+        },
+
+        ${renderPostPageMethods()}
       }
     }
   </script>
@@ -3740,7 +10758,10 @@ async function handlePostPage(env, postId) {
 
     return htmlResponse(html);
   } catch (error) {
-    console.error('Error rendering post page:', error);
+    if (error instanceof URIError) {
+      return htmlResponse('<h1>タグが見つかりません</h1>', 404);
+    }
+    console.error('Error rendering tag page:', error);
     return htmlResponse('<h1>エラーが発生しました</h1>', 500);
   }
 }
@@ -3802,7 +10823,12 @@ export default {
 
     // ログイン
     if (pathname === '/login') {
-      return handleLoginPage(env);
+      return handleLoginPage(request, env);
+    }
+
+    // OAuth 開始
+    if (pathname === '/auth/google') {
+      return handleAuthStart(request, env);
     }
 
     // OAuth コールバック
@@ -3810,6 +10836,11 @@ export default {
       return handleAuthCallback(request, env);
     }
 
+    // 開発用ログイン（DEV_LOGIN 有効時のみ）
+    if (pathname === '/auth/dev') {
+      return handleDevLogin(request, env);
+    }
+
     // ログアウト
     if (pathname === '/logout') {
       return handleLogout(request, env);
@@ -3817,50 +10848,112 @@ export default {
 
     // 管理画面（認証必須）
     if (pathname === '/admin') {
-      const authenticated = await isAuthenticated(request, env);
-      if (!authenticated) {
-        return new Response(null, {
-          status: 302,
-          headers: { 'Location': '/login' }
-        });
+      const { auth, response } = await authorizeAdminPage(request, env, url);
+      if (response) {
+        return response;
+      }
+      return handleAdminDashboard(request, env, auth);
+    }
+
+    // APIトークン管理画面（ownerのみ）
+    if (pathname === '/admin/tokens') {
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'admin');
+      if (response) {
+        return response;
+      }
+      return handleAdminTokensPage(env, auth);
+    }
+
+    // ユーザー管理画面（ownerのみ）
+    if (pathname === '/admin/users') {
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'admin');
+      if (response) {
+        return response;
+      }
+      return handleAdminUsersPage(env, auth);
+    }
+
+    // タグ管理画面（ownerのみ）
+    if (pathname === '/admin/tags') {
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'admin');
+      if (response) {
+        return response;
       }
-      return handleAdminDashboard(request, env);
+      return handleAdminTagsPage(env, auth);
+    }
+
+    // 監査ログ画面（ownerのみ）
+    if (pathname === '/admin/audit') {
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'admin');
+      if (response) {
+        return response;
+      }
+      return handleAdminAuditPage(env, url, auth);
+    }
+
+    // ゴミ箱画面（write権限必須）
+    if (pathname === '/admin/trash') {
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'write');
+      if (response) {
+        return response;
+      }
+      return handleAdminTrashPage(env, auth);
+    }
+
+    // セッション管理画面（認証必須）
+    if (pathname === '/admin/sessions') {
+      const { auth, response } = await authorizeAdminPage(request, env, url);
+      if (response) {
+        return response;
+      }
+      return handleAdminSessionsPage(env, auth);
+    }
+
+    // パスキー管理画面（認証必須）
+    if (pathname === '/admin/passkeys') {
+      const { auth, response } = await authorizeAdminPage(request, env, url);
+      if (response) {
+        return response;
+      }
+      return handleAdminPasskeysPage(env, auth);
     }
 
     // 新規投稿画面（認証必須）
     if (pathname === '/admin/posts/new') {
-      const authenticated = await isAuthenticated(request, env);
-      if (!authenticated) {
-        return new Response(null, {
-          status: 302,
-          headers: { 'Location': '/login' }
-        });
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'write');
+      if (response) {
+        return response;
       }
-      return handleNewPost(env);
+      return handleNewPost(env, url, auth);
     }
 
     // 投稿編集画面（認証必須）
     if (pathname.match(/^\/admin\/posts\/[^/]+\/edit$/)) {
-      const authenticated = await isAuthenticated(request, env);
-      if (!authenticated) {
-        return new Response(null, {
-          status: 302,
-          headers: { 'Location': '/login' }
-        });
+      const { auth, response } = await authorizeAdminPage(request, env, url, 'write');
+      if (response) {
+        return response;
       }
       const postId = pathname.split('/')[3];
-      return handleEditPost(env, postId);
+      return handleEditPost(env, postId, auth);
     }
 
     // 個別投稿ページ
     if (pathname.startsWith('/post/')) {
       const postId = pathname.split('/')[2];
-      return handlePostPage(env, postId);
+      return handlePostPage(request, env, postId);
+    }
+
+    // フィード（/tag/:name/ 以下はタグごとのフィード）
+    const feedMatch = pathname.match(/^(?:\/tag\/(.+))?\/(feed\.xml|atom\.xml|feed\.json)$/);
+    if (feedMatch && request.method === 'GET') {
+      const formatKey = Object.keys(FEED_FORMATS).find(key => FEED_FORMATS[key].path === feedMatch[2]);
+      return handleFeed(request, env, formatKey, feedMatch[1] || null);
     }
 
-    // TODO: タグフィルタリング
-    if (pathname.startsWith('/tag/')) {
-      return htmlResponse('<h1>Tag page - Coming soon</h1>');
+    // タグページ（階層のあるタグは /tag/dev/cloudflare のように / を含む）
+    const tagMatch = pathname.match(/^\/tag\/(.+)$/);
+    if (tagMatch) {
+      return handleTagPage(request, env, tagMatch[1]);
     }
 
     // トップページ
@@ -3875,5 +10968,17 @@ export default {
 
     // 404
     return new Response('Not found', { status: 404 });
+  },
+
+  // Cron Trigger: 予約投稿の公開とゴミ箱の自動削除
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(Promise.all([
+      publishScheduledPosts(env).catch(error => {
+        console.error('Error publishing scheduled posts:', error);
+      }),
+      purgeDeletedPosts(env).catch(error => {
+        console.error('Error purging deleted posts:', error);
+      })
+    ]));
   }
 };
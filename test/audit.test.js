@@ -0,0 +1,24 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { OWNER_EMAIL, login, sessionFetch } from './helpers.js';
+
+describe('audit log filters', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await login(OWNER_EMAIL);
+  });
+
+  it('matches the actor filter as a partial email', async () => {
+    const response = await sessionFetch(owner, 'GET', '/api/audit?actor=OWNER@');
+    const { entries } = await response.json();
+    expect(entries.length).toBeGreaterThan(0);
+    expect(entries.every(entry => entry.actor_email === OWNER_EMAIL)).toBe(true);
+  });
+
+  it('treats % and _ in the actor filter literally', async () => {
+    for (const actor of ['%', '_', 'owner_example']) {
+      const response = await sessionFetch(owner, 'GET', `/api/audit?actor=${encodeURIComponent(actor)}`);
+      expect((await response.json()).entries, actor).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,221 @@
+import { SELF, env } from 'cloudflare:test';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { ORIGIN, OWNER_EMAIL, login, sessionFetch } from './helpers.js';
+
+/**
+ * APIトークン（またはトークンなし）でAPIを呼び出す
+ */
+function tokenFetch(token, method, path, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  return SELF.fetch(`${ORIGIN}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+/**
+ * 指定スコープのAPIトークンを発行
+ */
+async function createToken(owner, scopes) {
+  const response = await sessionFetch(owner, 'POST', '/api/tokens', { name: scopes.join('-'), scopes });
+  expect(response.status).toBe(201);
+  return (await response.json()).token.token;
+}
+
+/**
+ * アップロード用の multipart リクエストを送信
+ */
+function uploadFetch(token) {
+  const form = new FormData();
+  form.append('image', new File([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], 'a.png', { type: 'image/png' }));
+  const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+  return SELF.fetch(`${ORIGIN}/api/upload`, { method: 'POST', headers, body: form });
+}
+
+describe('API authorization', () => {
+  let owner;
+  let postId;
+  let readToken;
+  let writeToken;
+  let uploadToken;
+
+  beforeAll(async () => {
+    owner = await login(OWNER_EMAIL);
+    const response = await sessionFetch(owner, 'POST', '/api/posts', { content: 'hello' });
+    expect(response.status).toBe(201);
+    postId = (await response.json()).post.id;
+    readToken = await createToken(owner, ['read']);
+    writeToken = await createToken(owner, ['read', 'write']);
+    uploadToken = await createToken(owner, ['read', 'upload']);
+  });
+
+  const writeRequests = () => [
+    ['POST', '/api/posts', { content: 'new post' }],
+    ['PUT', `/api/posts/${postId}`, { content: 'edited' }],
+    ['DELETE', `/api/posts/${postId}`],
+    ['PUT', `/api/posts/${postId}/pin`, { is_pinned: true }]
+  ];
+
+  describe('anonymous requests', () => {
+    it('rejects post writes with 401', async () => {
+      for (const [method, path, body] of writeRequests()) {
+        const response = await tokenFetch(null, method, path, body);
+        expect(response.status, `${method} ${path}`).toBe(401);
+      }
+    });
+
+    it('rejects uploads with 401', async () => {
+      const response = await uploadFetch(null);
+      expect(response.status).toBe(401);
+    });
+
+    it('rejects an invalid token with 401', async () => {
+      const response = await tokenFetch('nct_invalid', 'POST', '/api/posts', { content: 'x' });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('under-scoped tokens', () => {
+    it('rejects post writes from a read token with 403', async () => {
+      for (const [method, path, body] of writeRequests()) {
+        const response = await tokenFetch(readToken, method, path, body);
+        expect(response.status, `${method} ${path}`).toBe(403);
+        expect(await response.json()).toMatchObject({ required_scope: 'write' });
+      }
+    });
+
+    it('rejects uploads without the upload scope with 403', async () => {
+      for (const token of [readToken, writeToken]) {
+        const response = await uploadFetch(token);
+        expect(response.status).toBe(403);
+        expect(await response.json()).toMatchObject({ required_scope: 'upload' });
+      }
+    });
+
+    it('leaves the post unchanged after rejected writes', async () => {
+      const response = await tokenFetch(readToken, 'GET', `/api/posts/${postId}`);
+      expect(response.status).toBe(200);
+      expect((await response.json()).post).toMatchObject({ content: 'hello' });
+    });
+  });
+
+  describe('scoped tokens', () => {
+    it('allows post writes from a write token', async () => {
+      const created = await tokenFetch(writeToken, 'POST', '/api/posts', { content: 'by token' });
+      expect(created.status).toBe(201);
+
+      const { post } = await created.json();
+      const pinned = await tokenFetch(writeToken, 'PUT', `/api/posts/${post.id}/pin`, { is_pinned: true });
+      expect(pinned.status).toBe(200);
+
+      const deleted = await tokenFetch(writeToken, 'DELETE', `/api/posts/${post.id}`);
+      expect(deleted.status).toBe(200);
+    });
+
+    it('stores an upload from an upload token in R2', async () => {
+      const response = await uploadFetch(uploadToken);
+      expect(response.status).toBe(200);
+
+      const { url, filename } = await response.json();
+      expect(url).toBe(`${ORIGIN}/images/${filename}`);
+      expect(await env.R2.head(filename)).toMatchObject({ size: 4 });
+
+      const audit = await env.DB.prepare(
+        "SELECT actor_type, details FROM audit_log WHERE action = 'image.upload' ORDER BY id DESC LIMIT 1"
+      ).first();
+      expect(audit.actor_type).toBe('token');
+      expect(JSON.parse(audit.details)).toMatchObject({ filename, type: 'image/png', size: 4 });
+    });
+  });
+});
+
+describe('session management', () => {
+  let viewer;
+
+  beforeAll(async () => {
+    const owner = await login(OWNER_EMAIL);
+    const invited = await sessionFetch(owner, 'POST', '/api/users', { email: 'viewer@example.com', role: 'viewer' });
+    expect(invited.status).toBe(201);
+    viewer = await login('viewer@example.com');
+  });
+
+  it('lets a viewer list and revoke its own sessions', async () => {
+    const listed = await sessionFetch(viewer, 'GET', '/api/sessions');
+    expect(listed.status).toBe(200);
+    expect((await listed.json()).sessions).toHaveLength(1);
+
+    const missing = await sessionFetch(viewer, 'DELETE', '/api/sessions/0000000000000000');
+    expect(missing.status).toBe(404);
+
+    const revoked = await sessionFetch(viewer, 'DELETE', '/api/sessions');
+    expect(revoked.status).toBe(200);
+    expect(await revoked.json()).toMatchObject({ revoked: 1 });
+  });
+
+  it('rejects API tokens', async () => {
+    const owner = await login(OWNER_EMAIL);
+    const token = await createToken(owner, ['read', 'write']);
+    const response = await tokenFetch(token, 'DELETE', '/api/sessions');
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('passkey management', () => {
+  let viewer;
+
+  beforeAll(async () => {
+    const owner = await login(OWNER_EMAIL);
+    const invited = await sessionFetch(owner, 'POST', '/api/users', { email: 'passkey-viewer@example.com', role: 'viewer' });
+    expect(invited.status).toBe(201);
+    viewer = await login('passkey-viewer@example.com');
+  });
+
+  it('lets a viewer register and delete its own passkeys', async () => {
+    const options = await sessionFetch(viewer, 'POST', '/api/passkeys/register/options');
+    expect(options.status).toBe(200);
+    expect(await options.json()).toHaveProperty('challenge');
+
+    const missing = await sessionFetch(viewer, 'DELETE', '/api/passkeys/unknown');
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('owner bootstrap', () => {
+  it('does not recreate a deleted ALLOWED_EMAIL account on login', async () => {
+    const owner = await login(OWNER_EMAIL);
+    const invited = await sessionFetch(owner, 'POST', '/api/users', { email: 'second-owner@example.com', role: 'owner' });
+    expect(invited.status).toBe(201);
+
+    const secondOwner = await login('second-owner@example.com');
+    const { users } = await (await sessionFetch(secondOwner, 'GET', '/api/users')).json();
+    const ownerId = users.find(user => user.email === OWNER_EMAIL).id;
+    const deleted = await sessionFetch(secondOwner, 'DELETE', `/api/users/${ownerId}`);
+    expect(deleted.status).toBe(200);
+
+    const response = await SELF.fetch(`${ORIGIN}/auth/dev?email=${encodeURIComponent(OWNER_EMAIL)}`, { redirect: 'manual' });
+    expect(response.status).toBe(403);
+
+    const after = await (await sessionFetch(secondOwner, 'GET', '/api/users')).json();
+    expect(after.users.map(user => user.email)).not.toContain(OWNER_EMAIL);
+  });
+});
+
+describe('session cookies', () => {
+  it('rejects a signed session ID without the per-user key', async () => {
+    const sessionId = 'a'.repeat(64);
+    const key = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(env.SESSION_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(sessionId));
+    const encoded = btoa(String.fromCharCode(...new Uint8Array(signature)))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    await env.SESSION_KV.put(`session:${sessionId}`, JSON.stringify({ email: OWNER_EMAIL, csrfToken: 'csrf', lastSeenAt: Date.now() }));
+
+    const response = await SELF.fetch(`${ORIGIN}/api/sessions`, {
+      headers: { 'Cookie': `session=${sessionId}.${encoded}` }
+    });
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,32 @@
+import { SELF, env } from 'cloudflare:test';
+
+export const ORIGIN = 'http://localhost';
+export const OWNER_EMAIL = 'owner@example.com';
+
+/**
+ * 開発用ログインでセッションを作成し、Cookie と CSRFトークンを返す
+ */
+export async function login(email) {
+  const response = await SELF.fetch(`${ORIGIN}/auth/dev?email=${encodeURIComponent(email)}`, { redirect: 'manual' });
+  const cookie = response.headers.get('Set-Cookie').split(';')[0];
+  const sessionId = cookie.substring('session='.length, cookie.lastIndexOf('.'));
+  const session = await env.SESSION_KV.get(`session:${sessionId}`, 'json');
+  return { cookie, csrfToken: session.csrfToken };
+}
+
+/**
+ * セッション認証でAPIを呼び出す
+ */
+export function sessionFetch(session, method, path, body, headers = {}) {
+  return SELF.fetch(`${ORIGIN}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cookie': session.cookie,
+      'X-CSRF-Token': session.csrfToken,
+      'Origin': ORIGIN,
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
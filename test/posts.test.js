@@ -0,0 +1,90 @@
+import { SELF } from 'cloudflare:test';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { ORIGIN, OWNER_EMAIL, login, sessionFetch } from './helpers.js';
+
+describe('concurrent edits', () => {
+  let owner;
+  let postId;
+
+  beforeAll(async () => {
+    owner = await login(OWNER_EMAIL);
+    const response = await sessionFetch(owner, 'POST', '/api/posts', { content: 'v1' });
+    postId = (await response.json()).post.id;
+  });
+
+  it('rejects a stale version even within the same second', async () => {
+    const loaded = await sessionFetch(owner, 'GET', `/api/posts/${postId}`);
+    const etag = loaded.headers.get('ETag');
+    const { post } = await loaded.json();
+
+    const first = await sessionFetch(owner, 'PUT', `/api/posts/${postId}`, { content: 'v2', tags: [], version: post.version });
+    expect(first.status).toBe(200);
+    expect((await first.json()).version).toBe(post.version + 1);
+
+    const staleBody = await sessionFetch(owner, 'PUT', `/api/posts/${postId}`, { content: 'v3', tags: [], version: post.version });
+    expect(staleBody.status).toBe(409);
+    expect((await staleBody.json()).post).toMatchObject({ content: 'v2' });
+
+    const staleHeader = await sessionFetch(owner, 'PUT', `/api/posts/${postId}`, { content: 'v3', tags: [] }, { 'If-Match': etag });
+    expect(staleHeader.status).toBe(409);
+  });
+});
+
+describe('quotes', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await login(OWNER_EMAIL);
+  });
+
+  it('rejects quoting an unlisted post', async () => {
+    const unlisted = await sessionFetch(owner, 'POST', '/api/posts', { content: 'unlisted', visibility: 'unlisted' });
+    const { post } = await unlisted.json();
+
+    const response = await sessionFetch(owner, 'POST', '/api/posts', { content: 'quote', quote_post_id: post.id });
+    expect(response.status).toBe(400);
+  });
+
+  it('hides a quoted post once it becomes unlisted', async () => {
+    const original = await sessionFetch(owner, 'POST', '/api/posts', { content: 'secret later' });
+    const quotedId = (await original.json()).post.id;
+    const quote = await sessionFetch(owner, 'POST', '/api/posts', { content: 'quote', quote_post_id: quotedId });
+    const quoteId = (await quote.json()).post.id;
+
+    const updated = await sessionFetch(owner, 'PUT', `/api/posts/${quotedId}`, { content: 'secret later', tags: [], visibility: 'unlisted' });
+    expect(updated.status).toBe(200);
+
+    const { post } = await (await sessionFetch(owner, 'GET', `/api/posts/${quoteId}`)).json();
+    expect(post.quoted_post).toEqual({ id: quotedId, deleted: true });
+
+    const feed = await (await sessionFetch(owner, 'GET', '/feed.json')).text();
+    expect(feed).not.toContain('secret later');
+  });
+});
+
+describe('feeds', () => {
+  it('does not answer 304 from If-Modified-Since after the newest post is deleted', async () => {
+    const owner = await login(OWNER_EMAIL);
+    await sessionFetch(owner, 'POST', '/api/posts', { content: 'older' });
+    const newest = await sessionFetch(owner, 'POST', '/api/posts', { content: 'newest' });
+    const newestId = (await newest.json()).post.id;
+
+    const first = await SELF.fetch(`${ORIGIN}/feed.json`);
+    const etag = first.headers.get('ETag');
+    await first.text();
+
+    const deleted = await sessionFetch(owner, 'DELETE', `/api/posts/${newestId}`);
+    expect(deleted.status).toBe(200);
+
+    const modifiedSince = await SELF.fetch(`${ORIGIN}/feed.json`, { headers: { 'If-Modified-Since': new Date().toUTCString() } });
+    expect(modifiedSince.status).toBe(200);
+    expect(await modifiedSince.text()).not.toContain('newest');
+
+    const stale = await SELF.fetch(`${ORIGIN}/feed.json`, { headers: { 'If-None-Match': etag } });
+    expect(stale.status).toBe(200);
+
+    const current = await SELF.fetch(`${ORIGIN}/feed.json`, { headers: { 'If-None-Match': stale.headers.get('ETag') } });
+    await stale.text();
+    expect(current.status).toBe(304);
+  });
+});
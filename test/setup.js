@@ -0,0 +1,14 @@
+import { env } from 'cloudflare:test';
+import schema from '../schema.sql?raw';
+
+/**
+ * schema.sql を文単位に分割（トリガーは BEGIN 〜 END を1文として扱う）
+ */
+function splitStatements(sql) {
+  const withoutComments = sql.replace(/^--.*$/gm, '');
+  return (withoutComments.match(/\s*(CREATE TRIGGER[\s\S]*?END;|[^;]+;)/g) || [])
+    .map(statement => statement.trim())
+    .filter(Boolean);
+}
+
+await env.DB.batch(splitStatements(schema).map(statement => env.DB.prepare(statement)));
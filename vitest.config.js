@@ -0,0 +1,23 @@
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+export default defineWorkersConfig({
+  test: {
+    setupFiles: ['./test/setup.js'],
+    poolOptions: {
+      workers: {
+        singleWorker: true,
+        wrangler: { configPath: './wrangler.toml' },
+        miniflare: {
+          // テスト用の設定（本番の値は wrangler.toml / secret を使う）
+          bindings: {
+            SITE_URL: 'http://localhost',
+            ALLOWED_ORIGINS: 'http://localhost',
+            ALLOWED_EMAIL: 'owner@example.com',
+            SESSION_SECRET: 'test-session-secret',
+            DEV_LOGIN: 'true'
+          }
+        }
+      }
+    }
+  }
+});